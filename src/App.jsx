@@ -1,5 +1,20 @@
-import React, { useRef, useState, useCallback, useEffect } from 'react'
+import React, { useRef, useState, useCallback, useEffect, useMemo } from 'react'
 import Canvas from './components/Canvas.jsx'
+import PlotPreview from './components/PlotPreview.jsx'
+import { DEFAULT_VIEWPORT, isValidViewport, sameViewport } from './lib/viewport.js'
+import { toImplicitExpression } from './lib/curves.js'
+import { DEFAULT_PARAMS, MODE_VARIABLES, STYLE_VARIABLES, detectParameters, defaultParamValue, defaultParamSettings, randomParam } from './lib/params.js'
+import { interpolateLayerKeyframes, sortKeyframes } from './lib/animation.js'
+import { buildPalette, createGifEncoder } from './lib/gif.js'
+import { recordWebm, webmSupported } from './lib/video.js'
+import { createHistory } from './lib/history.js'
+import { downloadBlob } from './lib/download.js'
+import { BLEND_MODES } from './lib/blend.js'
+import { FILL_STYLES } from './lib/fillstyle.js'
+import { BACKGROUND_TYPES, BACKGROUND_PATTERNS, IMAGE_FITS, DEFAULT_BACKGROUND } from './lib/background.js'
+import { SYMMETRY_MODES, ROTATIONAL_SYMMETRY } from './lib/symmetry.js'
+import { DEFAULT_TRANSFORM, isIdentityPlacement } from './lib/transform.js'
+import { PAPER_SIZES, DEFAULT_PLOTTER_SETTINGS, pathColors, planPlot, planToGcode, planToHpgl } from './lib/plotter.js'
 
 const DEFAULT_EXPR = 'sin(a*x + b)*c'
 const RANDOM_FUNCS = [
@@ -10,30 +25,236 @@ const RANDOM_FUNCS = [
   'sin(a*x*x + b) * c',
   'tan(a*x + b)*c', // added
 ]
+// Parametric presets: Lissajous, rose, spirograph (hypotrochoid), harmonograph
+const RANDOM_PARAMETRIC = [
+  { x: '4*sin((a+2)*t + b)', y: '4*sin((c+1)*t)', tMax: '2*pi' },
+  { x: '4*cos((a+3)*t)*cos(t)', y: '4*cos((a+3)*t)*sin(t)', tMax: '2*pi' },
+  { x: '2*cos(t) + (c+2)*cos(2*t/3)', y: '2*sin(t) - (c+2)*sin(2*t/3)', tMax: '6*pi' },
+  { x: '4*sin((a+1)*t + b)*exp(-0.02*t)', y: '4*sin(2.01*t)*exp(-0.02*t)', tMax: '40*pi' },
+]
+// Polar presets: rose, spiral, cardioid, butterfly
+const RANDOM_POLAR = [
+  { r: '4*cos((a+3)*theta + b)', thetaMax: '2*pi' },
+  { r: '0.2*theta*c', thetaMax: '8*pi' },
+  { r: '2*c*(1 + cos(theta + b))', thetaMax: '2*pi' },
+  { r: 'exp(sin(theta)) - 2*cos(4*theta) + sin((2*theta - pi)/24)^5', thetaMax: '24*pi' },
+]
+// Implicit presets f(x, y) = 0 (a single "=" is read as lhs - rhs)
+const RANDOM_IMPLICIT = [
+  'x^2 + y^2 - 9*a = sin(b*x*y)',
+  'sin(a*x) + sin(y) = c/2',
+  '(x^2 + y^2)^2 = 16*a*(x^2 - y^2)',
+  'y^2 = x^3 - 4*a*x + b',
+  'sin(x*y/a) = cos(x + y + b)',
+]
+
+// Colors handed to new layers in turn
+const LAYER_COLORS = ['#111827', '#dc2626', '#2563eb', '#059669', '#d97706', '#7c3aed']
+
+// A live function layer: curve definition for every mode (the toolbar keeps
+// the inactive modes' expressions around), params and line style
+function createLayer(overrides = {}) {
+  return {
+    id: `${Date.now()}-${Math.random()}`,
+    name: 'Layer 1',
+    visible: true,
+    // curve mode: 'fx' plots y = f(x); 'parametric' plots (x(t), y(t));
+    // 'polar' plots r = f(θ) around the canvas center; 'implicit' traces
+    // the contour f(x, y) = 0 (plus optional iso-levels k·c)
+    mode: 'fx',
+    expr: DEFAULT_EXPR,
+    exprX: RANDOM_PARAMETRIC[0].x,
+    exprY: RANDOM_PARAMETRIC[0].y,
+    tMin: '0',
+    tMax: RANDOM_PARAMETRIC[0].tMax,
+    samples: 2000,
+    polarExpr: RANDOM_POLAR[0].r,
+    thetaMin: '0',
+    thetaMax: RANDOM_POLAR[0].thetaMax,
+    implicitExpr: RANDOM_IMPLICIT[0],
+    kMin: 0,
+    kMax: 0,
+    gridCell: 4, // contour sampling grid in CSS px
+    params: DEFAULT_PARAMS,
+    // per-parameter slider settings { min, max, step, locked }, created on demand
+    paramSettings: {},
+    lineColor: '#111827',
+    lineWidth: 2,
+    lineOpacity: 1,
+    tilt: 0,
+    // placement about the canvas center besides the tilt (see lib/transform.js):
+    // scale, skew (degrees) and offset (px)
+    scaleX: 1,
+    scaleY: 1,
+    skew: 0,
+    offsetX: 0,
+    offsetY: 0,
+    // styling along the curve (see Canvas.jsx): color gradient, width and
+    // opacity expressions of x, y and s (blank = the constants above), dashes
+    gradient: 'none',
+    gradientColor: '#ef4444',
+    widthExpr: '',
+    opacityExpr: '',
+    lineDash: '',
+    lineCap: 'butt',
+    lineJoin: 'miter',
+    // area fill of y = f(x) curves (see Canvas.jsx): 'none', or to the
+    // 'axis', to a second 'curve' g(x) = areaExpr, 'above' or 'below';
+    // areaFill is 'solid', 'gradient' (areaColor to areaColor2) or 'hatch'
+    area: 'none',
+    areaExpr: '0',
+    areaFill: 'solid',
+    areaColor: '#6366f1',
+    areaColor2: '#ffffff',
+    areaOpacity: 0.4,
+    hatchAngle: 45,
+    hatchSpacing: 6,
+    // copies of the curve around the canvas center (see lib/symmetry.js);
+    // symmetryCount is N for the rotational modes
+    symmetry: 'none',
+    symmetryCount: 6,
+    // how the layer paints over what is beneath (see lib/blend.js)
+    blendMode: 'source-over',
+    ...overrides,
+  }
+}
+
+// Layer fields edited through the toolbar, in the order of the setters below
+const LAYER_FIELDS = [
+  'mode', 'expr', 'exprX', 'exprY', 'tMin', 'tMax', 'samples', 'polarExpr', 'thetaMin', 'thetaMax',
+  'implicitExpr', 'kMin', 'kMax', 'gridCell', 'params', 'paramSettings', 'lineColor', 'lineWidth', 'lineOpacity', 'tilt',
+  'symmetry', 'symmetryCount', 'gradient', 'gradientColor', 'widthExpr', 'opacityExpr', 'lineDash', 'lineCap', 'lineJoin',
+  'area', 'areaExpr', 'areaFill', 'areaColor', 'areaColor2', 'areaOpacity', 'hatchAngle', 'hatchSpacing', 'blendMode',
+  'scaleX', 'scaleY', 'skew', 'offsetX', 'offsetY',
+]
+
+// Layer fields driven by interpolated keyframe values
+const animatedFields = (layer, values) => ({
+  params: { ...layer.params, ...values.params },
+  tilt: values.tilt,
+  lineColor: values.lineColor,
+  lineWidth: values.lineWidth,
+})
+
+const VIEW_KEYS = ['xMin', 'xMax', 'yMin', 'yMax']
+
+// Undo steps kept; each is a snapshot sharing its contents with its neighbours
+const HISTORY_LIMIT = 200
+// Layer edits (slider drags, typing) are recorded once they pause this long (ms)
+const EDIT_SETTLE_MS = 600
+
+// PNG export presets; inch sizes are converted to pixels at their DPI
+const EXPORT_PRESETS = [
+  { label: 'A4 · 300 DPI', unit: 'in', width: 8.27, height: 11.69, dpi: 300 },
+  { label: 'A3 · 300 DPI', unit: 'in', width: 11.69, height: 16.54, dpi: 300 },
+  { label: '4K', unit: 'px', width: 3840, height: 2160, dpi: 300 },
+  { label: 'Square 2048', unit: 'px', width: 2048, height: 2048, dpi: 300 },
+]
+// Canvas area some browsers (notably iOS Safari) can't exceed
+const LARGE_EXPORT_PIXELS = 4096 * 4096
+
+// Export size { unit, width, height, dpi } in device pixels
+const exportPixels = ({ unit, width, height, dpi }) => (unit === 'in'
+  ? { width: Math.round(width * dpi), height: Math.round(height * dpi) }
+  : { width: Math.round(width), height: Math.round(height) })
+
+// GIF frames are downscaled to this width to keep encoding time and file size sane
+const GIF_MAX_WIDTH = 640
+
+// Bucket fills of one Magic run
+const MAGIC_FILLS = 10
+
+// Viewport bounds as editable strings (trimmed to 6 significant digits)
+const formatViewport = (view) =>
+  Object.fromEntries(VIEW_KEYS.map(k => [k, String(Number(view[k].toPrecision(6)))]))
+
+const parseViewport = (draft) =>
+  Object.fromEntries(VIEW_KEYS.map(k => [k, draft[k].trim() === '' ? NaN : Number(draft[k])]))
 
 export default function App() {
-  const [expr, setExpr] = useState(DEFAULT_EXPR)
-  const [params, setParams] = useState({ a: 1, b: 0, c: 1 })
-  const [lineColor, setLineColor] = useState('#111827')
+  // live function layers, drawn bottom to top; the toolbar edits the active one
+  const [layers, setLayers] = useState(() => [createLayer()])
+  const [activeLayerId, setActiveLayerId] = useState(null)
+  const activeLayer = layers.find(l => l.id === activeLayerId) || layers[0]
+  const activeLayerIdRef = useRef(activeLayer.id)
+  activeLayerIdRef.current = activeLayer.id
+  const layerCountRef = useRef(1) // for default layer names
+  const {
+    mode, expr, exprX, exprY, tMin, tMax, samples, polarExpr, thetaMin, thetaMax,
+    implicitExpr, kMin, kMax, gridCell, params, paramSettings, lineColor, lineWidth, lineOpacity, tilt,
+    symmetry, symmetryCount, gradient, gradientColor, widthExpr, opacityExpr, lineDash, lineCap, lineJoin,
+    area, areaExpr, areaFill, areaColor, areaColor2, areaOpacity, hatchAngle, hatchSpacing, blendMode,
+    scaleX, scaleY, skew, offsetX, offsetY,
+  } = activeLayer
   // add a separate color for the bucket tool so it doesn't affect line drawing
   const [bucketColor, setBucketColor] = useState('#111827')
-  const [bgColor] = useState('#ffffff')
-  const [tilt, setTilt] = useState(0)
-  const [lineWidth, setLineWidth] = useState(2)
-  const [lineOpacity, setLineOpacity] = useState(1)
+  // canvas background: color, gradient, pattern or image (see lib/background.js)
+  const [background, setBackground] = useState(DEFAULT_BACKGROUND)
+  const [showBackgroundMenu, setShowBackgroundMenu] = useState(false)
+  const [backgroundError, setBackgroundError] = useState(null)
+  // baked artwork: frozen strokes and fills, replayed by the canvas (see Canvas.jsx)
+  const [scene, setScene] = useState([])
+  // world-space rectangle shown on the canvas (pan/zoom, numeric entry, fit)
+  const [viewport, setViewport] = useState(DEFAULT_VIEWPORT)
+  const [squareAspect, setSquareAspect] = useState(false)
+  // guides drawn over the canvas, never into the artwork (see Canvas.jsx)
+  const [guides, setGuides] = useState({ axes: false, grid: false, labels: false, readout: false, intersections: false })
+  const [viewDraft, setViewDraft] = useState(() => formatViewport(DEFAULT_VIEWPORT))
   const [activeTool, setActiveTool] = useState('line')
   const [showLineMenu, setShowLineMenu] = useState(false)
   const [showParamMenu, setShowParamMenu] = useState(false)
+  const [showRangeMenu, setShowRangeMenu] = useState(false)
+  const [showViewMenu, setShowViewMenu] = useState(false)
+  const [showAnimMenu, setShowAnimMenu] = useState(false)
+  const [showLayerMenu, setShowLayerMenu] = useState(false)
+  const [showExportMenu, setShowExportMenu] = useState(false)
+  // PNG export size: width/height in `unit` ('px', or 'in' at `dpi`)
+  const [exportSize, setExportSize] = useState(null)
+  const [exporting, setExporting] = useState(null) // 'png' | 'svg' while rendering
+  const [exportError, setExportError] = useState(null)
+  const [exportNote, setExportNote] = useState(null) // curves exported as previews
+  // pen-plotter export: settings, color -> pen number, and the curves to plot
+  // (taken from the canvas while the dialog is open)
+  const [showPlotMenu, setShowPlotMenu] = useState(false)
+  const [plotSettings, setPlotSettings] = useState(DEFAULT_PLOTTER_SETTINGS)
+  const [penMap, setPenMap] = useState({})
+  const [plotSource, setPlotSource] = useState(null)
+  const [showTravel, setShowTravel] = useState(true)
+  // parameter sweep: draws a family of the active layer's curve (see lib/sweep.js)
+  const [showSweepMenu, setShowSweepMenu] = useState(false)
+  const [showAreaMenu, setShowAreaMenu] = useState(false)
+  // transform tool: handles on the canvas edit the active layer's placement
+  const [showTransformMenu, setShowTransformMenu] = useState(false)
+  const [transformSnap, setTransformSnap] = useState(true)
+  const [sweepSettings, setSweepSettings] = useState({
+    key: 'a', from: 0, to: 1, count: 20,
+    colorRamp: false, colorTo: '#ef4444',
+    opacityRamp: false, opacityFrom: 1, opacityTo: 0.2,
+  })
+  // animation timeline: per-layer keyframes of params/tilt/color/width over time (s)
+  const [keyframes, setKeyframes] = useState([])
+  const [animDuration, setAnimDuration] = useState(4)
+  const [animFps, setAnimFps] = useState(30)
+  const [animTime, setAnimTime] = useState(0)
+  const [isPlaying, setIsPlaying] = useState(false)
+  const [exportProgress, setExportProgress] = useState(null) // 0..1 while exporting
+  const [animNote, setAnimNote] = useState(null) // curves exported as previews
+  const [animError, setAnimError] = useState(null) // why the last animation export failed
+  const animTimeRef = useRef(0)
+  const exportAbortRef = useRef(null)
   // add bucket popover state
   const [showBucketMenu, setShowBucketMenu] = useState(false)
-  const isAnyMenuOpen = showLineMenu || showParamMenu || showBucketMenu
+  const isAnyMenuOpen = showLineMenu || showParamMenu || showBucketMenu || showRangeMenu || showViewMenu || showAnimMenu || showLayerMenu || showExportMenu || showPlotMenu || showSweepMenu || showAreaMenu || showBackgroundMenu || showTransformMenu
   const canvasRef = useRef(null)
   const containerRef = useRef(null) // wrapper that contains the canvas
   const [bucketCursorUrl, setBucketCursorUrl] = useState(() => {
     try { return localStorage.getItem('fxart:bucketCursorUrl') } catch { return null }
   })
   const [toolbarReady, setToolbarReady] = useState(!!bucketCursorUrl)
-  const [isMagicRunning, setIsMagicRunning] = useState(false)
+  const [magicProgress, setMagicProgress] = useState(null) // fills done while a Magic run is under way
+  const isMagicRunning = magicProgress !== null
+  const magicRunRef = useRef(null) // { cancelled } of the Magic run under way
+  const [fillError, setFillError] = useState(null) // why the last bucket fill or Magic run failed
   // measure bucket cursor image to place hotspot at bottom-right
   const [bucketCursorSize, setBucketCursorSize] = useState({ w: 0, h: 0 })
   const [isLandscape, setIsLandscape] = useState(false)
@@ -41,27 +262,488 @@ export default function App() {
   // New: bucket controls
   const [bucketTolerance, setBucketTolerance] = useState(24) // similarity to seed (sum abs RGBA)
   const [gapCloseRadius, setGapCloseRadius] = useState(1)    // barrier dilation in px
+  const [bucketBlend, setBucketBlend] = useState('source-over') // blend mode of new fills
+  const [bucketStyle, setBucketStyle] = useState('solid') // paint of new fills (see lib/fillstyle.js)
+  const [bucketColor2, setBucketColor2] = useState('#ffffff') // gradient end, noise mix
+  const [bucketAngle, setBucketAngle] = useState(45) // gradient and hatch angle in degrees
+  const [bucketSpacing, setBucketSpacing] = useState(8) // hatch spacing, noise grain in px
+  const [bucketSmooth, setBucketSmooth] = useState(true) // fill anti-aliased curve edges
+  const bucketPaint = useMemo(() => ({
+    style: bucketStyle, color2: bucketColor2, angle: bucketAngle, spacing: bucketSpacing, smooth: bucketSmooth,
+  }), [bucketStyle, bucketColor2, bucketAngle, bucketSpacing, bucketSmooth])
+
+  // Set a field of the active layer; `value` may be an updater function
+  // like a state setter's
+  const setLayerField = useCallback((key, value) => {
+    setLayers(ls => ls.map(l => (l.id === activeLayerIdRef.current
+      ? { ...l, [key]: typeof value === 'function' ? value(l[key]) : value }
+      : l)))
+  }, [])
+
+  const [
+    setMode, setExpr, setExprX, setExprY, setTMin, setTMax, setSamples, setPolarExpr, setThetaMin, setThetaMax,
+    setImplicitExpr, setKMin, setKMax, setGridCell, setParams, setParamSettings, setLineColor, setLineWidth, setLineOpacity, setTilt,
+    setSymmetry, setSymmetryCount, setGradient, setGradientColor, setWidthExpr, setOpacityExpr, setLineDash, setLineCap, setLineJoin,
+    setArea, setAreaExpr, setAreaFill, setAreaColor, setAreaColor2, setAreaOpacity, setHatchAngle, setHatchSpacing, setBlendMode,
+    setScaleX, setScaleY, setSkew, setOffsetX, setOffsetY,
+  ] = useMemo(() => LAYER_FIELDS.map(key => value => setLayerField(key, value)), [setLayerField])
+
+  // --- Layers --------------------------------------------------------------
+  const updateLayer = useCallback((id, patch) => {
+    setLayers(ls => ls.map(l => (l.id === id ? { ...l, ...patch } : l)))
+  }, [])
+
+  // New layers go on top of the active one
+  const insertLayer = useCallback((layer) => {
+    setLayers(ls => {
+      const at = ls.findIndex(l => l.id === activeLayerIdRef.current)
+      return [...ls.slice(0, at + 1), layer, ...ls.slice(at + 1)]
+    })
+    setActiveLayerId(layer.id)
+  }, [])
+
+  const addLayer = useCallback(() => {
+    const n = ++layerCountRef.current
+    insertLayer(createLayer({
+      name: `Layer ${n}`,
+      expr: RANDOM_FUNCS[Math.floor(Math.random() * RANDOM_FUNCS.length)],
+      lineColor: LAYER_COLORS[(n - 1) % LAYER_COLORS.length],
+    }))
+  }, [insertLayer])
+
+  const duplicateLayer = useCallback(() => {
+    insertLayer({ ...activeLayer, id: `${Date.now()}-${Math.random()}`, name: `${activeLayer.name} copy` })
+  }, [activeLayer, insertLayer])
+
+  const removeLayer = useCallback((id) => {
+    if (layers.length < 2) return
+    const at = layers.findIndex(l => l.id === id)
+    const rest = layers.filter(l => l.id !== id)
+    setLayers(rest)
+    if (id === activeLayer.id) setActiveLayerId(rest[Math.max(0, at - 1)].id)
+    setKeyframes(ks => ks.filter(k => k.layerId !== id))
+  }, [layers, activeLayer])
+
+  // Move a layer up (dir = 1, drawn later) or down (dir = -1) the stack
+  const moveLayer = useCallback((id, dir) => {
+    setLayers(ls => {
+      const at = ls.findIndex(l => l.id === id)
+      const to = at + dir
+      if (at < 0 || to < 0 || to >= ls.length) return ls
+      const next = [...ls]
+      next.splice(to, 0, next.splice(at, 1)[0])
+      return next
+    })
+  }, [])
 
   const updateParam = useCallback((key, value) => {
     setParams(p => ({ ...p, [key]: value }))
   }, [])
 
+  // Free symbols of the expressions being edited become parameters
+  const paramNames = useMemo(() => {
+    const sources = {
+      fx: [expr, area === 'curve' ? areaExpr : ''],
+      parametric: [exprX, exprY],
+      polar: [polarExpr],
+      implicit: [toImplicitExpression(implicitExpr)],
+    }[mode] || []
+    const names = detectParameters(sources, MODE_VARIABLES[mode])
+    for (const name of detectParameters([widthExpr, opacityExpr], STYLE_VARIABLES)) {
+      if (!names.includes(name)) names.push(name)
+    }
+    // iso-levels are spaced by c even when the expression doesn't use it
+    if (mode === 'implicit' && (kMin || kMax) && !names.includes('c')) names.push('c')
+    return names
+  }, [mode, expr, exprX, exprY, polarExpr, implicitExpr, kMin, kMax, widthExpr, opacityExpr, area, areaExpr])
+
+  // Give newly detected parameters a value; values of symbols that
+  // disappear are kept so editing an expression back restores them
+  useEffect(() => {
+    setParams(p => {
+      const missing = paramNames.filter(k => !(k in p))
+      if (!missing.length) return p
+      return { ...p, ...Object.fromEntries(missing.map(k => [k, defaultParamValue(k)])) }
+    })
+  }, [paramNames])
+
+  const settingsFor = useCallback((key) => paramSettings[key] || defaultParamSettings(key), [paramSettings])
+
+  const updateParamSetting = useCallback((key, patch) => {
+    setParamSettings(s => ({ ...s, [key]: { ...(s[key] || defaultParamSettings(key)), ...patch } }))
+  }, [])
+
+  const randomizeParams = useCallback(() => {
+    setParams(p => {
+      const next = { ...p }
+      paramNames.forEach(k => {
+        const settings = settingsFor(k)
+        if (!settings.locked) next[k] = randomParam(settings)
+      })
+      return next
+    })
+  }, [paramNames, settingsFor])
+
+  const resetParams = useCallback(() => {
+    setParams(p => ({ ...p, ...Object.fromEntries(paramNames.map(k => [k, defaultParamValue(k)])) }))
+  }, [paramNames])
+
   const handleReset = useCallback(() => {
     canvasRef.current?.reset()
   }, [])
 
-  const handleSave = useCallback(() => {
-    canvasRef.current?.save()
+  // Export dialog; the size starts at the on-screen canvas size
+  const screenExportSize = useCallback(() => {
+    const el = containerRef.current?.querySelector('canvas')
+    return { unit: 'px', width: el?.width || 1920, height: el?.height || 1080, dpi: 300 }
+  }, [])
+
+  const openExportMenu = useCallback(() => {
+    setShowExportMenu(v => !v)
+    setExportError(null)
+    setExportNote(null)
+    setExportSize(size => size || screenExportSize())
+  }, [screenExportSize])
+
+  const setExportUnit = useCallback((unit) => {
+    setExportSize(size => {
+      if (size.unit === unit) return size
+      const round2 = (v) => Math.round(v * 100) / 100
+      return unit === 'in'
+        ? { ...size, unit, width: round2(size.width / size.dpi), height: round2(size.height / size.dpi) }
+        : { ...size, unit, ...exportPixels(size) }
+    })
+  }, [])
+
+  // Export at the dialog's size as 'png' or 'svg' (sized in inches when the
+  // dialog is)
+  const handleExport = useCallback(async (format) => {
+    const { width, height } = exportPixels(exportSize)
+    if (!(width >= 1 && height >= 1)) return
+    setExporting(format)
+    setExportError(null)
+    setExportNote(null)
+    // Let the button show progress before the (blocking) render
+    await new Promise(resolve => setTimeout(resolve, 30))
+    try {
+      const note = format === 'svg'
+        ? await canvasRef.current?.exportSvg({ width, height, dpi: exportSize.unit === 'in' ? exportSize.dpi : undefined })
+        : await canvasRef.current?.exportPng({ width, height })
+      setExportNote(note ?? null)
+    } catch (e) {
+      setExportError(e.message)
+    } finally {
+      setExporting(null)
+    }
+  }, [exportSize])
+
+  // Plotter export. The paths are re-read whenever the artwork or view
+  // changes while the dialog (and its preview) is open.
+  useEffect(() => {
+    if (!showPlotMenu) return
+    let current = true
+    canvasRef.current?.plotterPaths().then(source => {
+      if (current) setPlotSource(source)
+    })
+    return () => { current = false }
+  }, [showPlotMenu, layers, scene, viewport, squareAspect])
+
+  const plotPlan = useMemo(() => {
+    if (!showPlotMenu || !plotSource) return null
+    return planPlot(plotSource.paths, plotSource.width, plotSource.height, plotSettings, penMap)
+  }, [showPlotMenu, plotSource, plotSettings, penMap])
+
+  const setPlotField = useCallback((key, value) => {
+    setPlotSettings(s => ({ ...s, [key]: value }))
+  }, [])
+
+  const handlePlotExport = useCallback((format) => {
+    if (!plotPlan?.pens.length) return
+    const text = format === 'hpgl' ? planToHpgl(plotPlan, plotSettings) : planToGcode(plotPlan, plotSettings)
+    downloadBlob(new Blob([text], { type: 'text/plain' }), format === 'hpgl' ? 'fxart.hpgl' : 'fxart.gcode')
+  }, [plotPlan, plotSettings])
+
+  // Sweep range of `key` ('tilt' or a parameter) from the active layer's
+  // current value
+  const sweepRangeFor = useCallback((key) => {
+    const from = key === 'tilt' ? tilt : Number(params[key]) || 0
+    return { key, from, to: from + (key === 'tilt' ? 90 : 1) }
+  }, [tilt, params])
+
+  const openSweepMenu = useCallback(() => {
+    setShowSweepMenu(v => !v)
+    setSweepSettings(s => ({ ...s, ...sweepRangeFor(s.key === 'tilt' || paramNames.includes(s.key) ? s.key : (paramNames[0] || 'tilt')) }))
+  }, [sweepRangeFor, paramNames])
+
+  const setSweepField = useCallback((key, value) => {
+    setSweepSettings(s => ({ ...s, [key]: value }))
   }, [])
 
+  const sweepValid = Number.isFinite(sweepSettings.from) && Number.isFinite(sweepSettings.to) &&
+    sweepSettings.count >= 1 && sweepSettings.count <= 500
+
+  const handleSweep = useCallback(() => {
+    const { key, from, to, count, colorRamp, colorTo, opacityRamp, opacityFrom, opacityTo } = sweepSettings
+    canvasRef.current?.sweep({
+      key, from, to, count: Math.round(count),
+      colorTo: colorRamp ? colorTo : null,
+      opacityFrom: opacityRamp ? opacityFrom : null,
+      opacityTo: opacityRamp ? opacityTo : null,
+    })
+  }, [sweepSettings])
+
   const handleFreeze = useCallback(() => {
     canvasRef.current?.freeze()
   }, [])
 
+  // --- Undo/redo -----------------------------------------------------------
+  // Snapshots of { scene, layers, activeLayerId }. Scene changes (freeze,
+  // fills, reset) are recorded as they happen and a Magic run as one step;
+  // layer edits are recorded once they pause, so a slider drag or a typed
+  // expression undoes in one go.
+  const historyRef = useRef(null)
+  if (!historyRef.current) historyRef.current = createHistory(HISTORY_LIMIT)
+  const currentStateRef = useRef(null)
+  currentStateRef.current = { scene, layers, activeLayerId }
+  const recordedRef = useRef(currentStateRef.current) // state the next undo step starts from
+  const editTimerRef = useRef(null)
+  const batchRef = useRef(false) // true while a Magic run is in progress
+  const animatedRef = useRef(false) // next layers change comes from the animation
+  const [historyState, setHistoryState] = useState({ canUndo: false, canRedo: false })
+
+  const syncHistoryState = useCallback(() => {
+    const history = historyRef.current
+    setHistoryState({ canUndo: history.canUndo, canRedo: history.canRedo })
+  }, [])
+
+  // Turn the change since the last recorded state into an undo step
+  const checkpoint = useCallback(() => {
+    clearTimeout(editTimerRef.current)
+    const prev = recordedRef.current
+    const cur = currentStateRef.current
+    if (prev.scene === cur.scene && prev.layers === cur.layers) return
+    historyRef.current.push(prev)
+    recordedRef.current = cur
+    syncHistoryState()
+  }, [syncHistoryState])
+
+  useEffect(() => {
+    const recorded = recordedRef.current
+    if (recorded.scene === scene && recorded.layers === layers) return
+    if (animatedRef.current) {
+      // Animation frames aren't edits
+      animatedRef.current = false
+      recordedRef.current = { ...recorded, layers }
+      return
+    }
+    if (batchRef.current) return
+    if (recorded.scene !== scene) {
+      // Layer edits still settling become their own step first
+      if (recorded.layers !== layers) {
+        historyRef.current.push(recorded)
+        recordedRef.current = { ...recorded, layers, activeLayerId }
+      }
+      checkpoint()
+      return
+    }
+    clearTimeout(editTimerRef.current)
+    editTimerRef.current = setTimeout(checkpoint, EDIT_SETTLE_MS)
+    setHistoryState({ canUndo: true, canRedo: false })
+  }, [scene, layers]) // eslint-disable-line react-hooks/exhaustive-deps
+
+  useEffect(() => () => clearTimeout(editTimerRef.current), [])
+
+  const restoreSnapshot = useCallback((snapshot) => {
+    recordedRef.current = snapshot
+    setScene(snapshot.scene)
+    setLayers(snapshot.layers)
+    setActiveLayerId(snapshot.activeLayerId)
+    syncHistoryState()
+  }, [syncHistoryState])
+
+  const undo = useCallback(() => {
+    checkpoint()
+    const snapshot = historyRef.current.undo(currentStateRef.current)
+    if (snapshot) restoreSnapshot(snapshot)
+  }, [checkpoint, restoreSnapshot])
+
+  const redo = useCallback(() => {
+    checkpoint()
+    const snapshot = historyRef.current.redo(currentStateRef.current)
+    if (snapshot) restoreSnapshot(snapshot)
+  }, [checkpoint, restoreSnapshot])
+
+  // Ctrl+Z / Ctrl+Shift+Z (Ctrl+Y too; Cmd on macOS). Text fields keep
+  // their own undo.
+  useEffect(() => {
+    const onKeyDown = (e) => {
+      if (!(e.ctrlKey || e.metaKey) || e.altKey) return
+      const key = e.key.toLowerCase()
+      if (key !== 'z' && key !== 'y') return
+      const el = document.activeElement
+      const isText = el && ((el.tagName === 'INPUT' && !['range', 'checkbox', 'color', 'button'].includes(el.type)) ||
+        el.tagName === 'TEXTAREA' || el.tagName === 'SELECT' || el.isContentEditable)
+      if (isText) return
+      e.preventDefault()
+      if (key === 'y' || e.shiftKey) redo()
+      else undo()
+    }
+    window.addEventListener('keydown', onKeyDown)
+    return () => window.removeEventListener('keydown', onKeyDown)
+  }, [undo, redo])
+
+  // --- Animation ---------------------------------------------------------
+  // `values` maps layer ids to interpolated keyframe values
+  const applyAnimValues = useCallback((values) => {
+    checkpoint()
+    animatedRef.current = true
+    setLayers(ls => ls.map(l => (values[l.id] ? { ...l, ...animatedFields(l, values[l.id]) } : l)))
+  }, [checkpoint])
+
+  const seekAnimation = useCallback((time) => {
+    animTimeRef.current = time
+    setAnimTime(time)
+    applyAnimValues(interpolateLayerKeyframes(keyframes, time))
+  }, [keyframes, applyAnimValues])
+
+  // Capture the active layer's current look as a keyframe at the playhead
+  // (replacing one of that layer already there)
+  const addKeyframe = useCallback(() => {
+    const time = animTimeRef.current
+    const layerId = activeLayer.id
+    setKeyframes(ks => sortKeyframes([
+      ...ks.filter(k => k.layerId !== layerId || Math.abs(k.time - time) > 1e-6),
+      { id: `${Date.now()}-${Math.random()}`, layerId, time, params: { ...params }, tilt, lineColor, lineWidth },
+    ]))
+  }, [activeLayer.id, params, tilt, lineColor, lineWidth])
+
+  const updateKeyframeTime = useCallback((id, time) => {
+    setKeyframes(ks => sortKeyframes(ks.map(k => (k.id === id ? { ...k, time } : k))))
+  }, [])
+
+  const removeKeyframe = useCallback((id) => {
+    setKeyframes(ks => ks.filter(k => k.id !== id))
+  }, [])
+
+  // Realtime preview loop; drives the same state the sliders do
+  useEffect(() => {
+    if (!isPlaying || !keyframes.length) return
+    let raf
+    const start = performance.now() - animTimeRef.current * 1000
+    const tick = (now) => {
+      const time = ((now - start) / 1000) % animDuration
+      animTimeRef.current = time
+      setAnimTime(time)
+      applyAnimValues(interpolateLayerKeyframes(keyframes, time))
+      raf = requestAnimationFrame(tick)
+    }
+    raf = requestAnimationFrame(tick)
+    return () => cancelAnimationFrame(raf)
+  }, [isPlaying, keyframes, animDuration, applyAnimValues])
+
+  // Offline export: every frame is rendered from its time index, so the
+  // video doesn't depend on playback speed (except WebM recorded without
+  // WebCodecs, see lib/video.js). WebM falls back to GIF where the browser
+  // can't encode it.
+  const exportAnimation = useCallback(async (format) => {
+    const api = canvasRef.current
+    if (!api || !keyframes.length || exportAbortRef.current) return
+    setIsPlaying(false)
+    const frameCount = Math.max(1, Math.round(animDuration * animFps))
+    const styleAt = (i) => {
+      const values = interpolateLayerKeyframes(keyframes, i / animFps)
+      return Object.fromEntries(layers.filter(l => values[l.id]).map(l => [l.id, animatedFields(l, values[l.id])]))
+    }
+    const abort = new AbortController()
+    exportAbortRef.current = abort
+    setExportProgress(0)
+    setAnimNote(null)
+    setAnimError(null)
+    // Frames keep the first note of curves drawn as previews
+    const frame = async (i, scale) => {
+      const [canvas, note] = await api.renderFrame(styleAt(i), scale)
+      if (note) setAnimNote(prev => prev ?? note)
+      return canvas
+    }
+    try {
+      if (format === 'webm' && webmSupported()) {
+        const first = await frame(0)
+        const blob = await recordWebm(first.width, first.height, frameCount, animFps,
+          async (ctx, i) => ctx.drawImage(await frame(i), 0, 0),
+          { onProgress: setExportProgress, signal: abort.signal })
+        if (blob) downloadBlob(blob, 'fxart.webm')
+        return
+      }
+      const probe = await frame(0)
+      const scale = Math.min(1, GIF_MAX_WIDTH / probe.width)
+      const frameData = async (i) => {
+        const canvas = await frame(i, scale)
+        return canvas.getContext('2d').getImageData(0, 0, canvas.width, canvas.height)
+      }
+      // Shared palette from a handful of frames spread over the timeline
+      const picks = [...new Set(Array.from({ length: 6 }, (_, k) => Math.round((k * (frameCount - 1)) / 5)))]
+      const samples = []
+      for (const i of picks) samples.push(await frameData(i))
+      const palette = buildPalette(samples.map(d => d.data))
+      const encoder = createGifEncoder(samples[0].width, samples[0].height, { palette, delayMs: 1000 / animFps })
+      for (let i = 0; i < frameCount; i++) {
+        if (abort.signal.aborted) return
+        encoder.addFrame((await frameData(i)).data)
+        setExportProgress((i + 1) / frameCount)
+        await new Promise(resolve => setTimeout(resolve, 0))
+      }
+      downloadBlob(new Blob([encoder.finish()], { type: 'image/gif' }), 'fxart.gif')
+    } catch (e) {
+      setAnimError(e.message)
+    } finally {
+      exportAbortRef.current = null
+      setExportProgress(null)
+    }
+  }, [keyframes, animDuration, animFps, layers])
+
+  const handleFitView = useCallback(() => {
+    canvasRef.current?.fitToCurve()
+  }, [])
+
+  // Apply typed bounds as soon as they form a valid viewport
+  const updateViewDraft = useCallback((key, value) => {
+    setViewDraft(d => {
+      const next = { ...d, [key]: value }
+      const view = parseViewport(next)
+      if (isValidViewport(view)) setViewport(view)
+      return next
+    })
+  }, [])
+
+  // Keep the bound fields in sync with pan/zoom/fit (but don't clobber
+  // text that already parses to the current viewport, e.g. "1.")
+  useEffect(() => {
+    setViewDraft(d => (sameViewport(parseViewport(d), viewport) ? d : formatViewport(viewport)))
+  }, [viewport])
+
   const handleRandom = useCallback(() => {
+    if (mode === 'parametric') {
+      const next = RANDOM_PARAMETRIC[Math.floor(Math.random() * RANDOM_PARAMETRIC.length)]
+      setExprX(next.x)
+      setExprY(next.y)
+      setTMin('0')
+      setTMax(next.tMax)
+      return
+    }
+    if (mode === 'polar') {
+      const next = RANDOM_POLAR[Math.floor(Math.random() * RANDOM_POLAR.length)]
+      setPolarExpr(next.r)
+      setThetaMin('0')
+      setThetaMax(next.thetaMax)
+      return
+    }
+    if (mode === 'implicit') {
+      setImplicitExpr(RANDOM_IMPLICIT[Math.floor(Math.random() * RANDOM_IMPLICIT.length)])
+      return
+    }
     const next = RANDOM_FUNCS[Math.floor(Math.random() * RANDOM_FUNCS.length)]
     setExpr(next)
-  }, [])
+  }, [mode])
 
   // Sync a CSS variable to the device's visual viewport height to avoid
   // bottom address bar gaps on mobile browsers.
@@ -82,180 +764,112 @@ export default function App() {
     }
   }, [])
 
-  // Helper: hex string -> [r,g,b,a]
-  const hexToRgba = useCallback((hex) => {
-    let h = hex.replace('#', '')
-    if (h.length === 3) h = h.split('').map(c => c + c).join('')
-    const num = parseInt(h, 16)
-    return [(num >> 16) & 255, (num >> 8) & 255, num & 255, 255]
-  }, [])
-
-  // Edge-aware Flood fill (non-recursive) on 2D canvas context
-  // - Builds a barrier mask from non-background pixels
-  // - Dilates the mask gapClose px to seal pinholes
-  // - Carves out pixels similar to the seed color so recoloring works
-  // - Grows fill only through non-barrier pixels similar to the seed color
-  const floodFill = useCallback((canvasEl, x, y, fillRgba, tolerance = 24, gapClose = 1, bgHex = '#ffffff') => {
-    const ctx = canvasEl.getContext('2d')
-    if (!ctx) return
-    const { width, height } = canvasEl
-    const img = ctx.getImageData(0, 0, width, height)
-    const data = img.data
-
-    const idx = (xx, yy) => (yy * width + xx) * 4
-    const start = idx(x, y)
-    const target = [data[start], data[start + 1], data[start + 2], data[start + 3]]
-
-    const sameColor = (o, n) => o[0] === n[0] && o[1] === n[1] && o[2] === n[2] && o[3] === n[3]
-    if (sameColor(target, fillRgba)) return
-
-    // Build barrier mask from non-background pixels (vs bg color)
-    const bg = hexToRgba(bgHex)
-    const barrier = new Uint8Array(width * height)
-    const barrierThreshold = 40 // sum(abs(rgb - bg)) above this is considered an edge/line
-
-    for (let p = 0, i = 0; i < data.length; i += 4, p++) {
-      const dr = data[i] - bg[0]
-      const dg = data[i + 1] - bg[1]
-      const db = data[i + 2] - bg[2]
-      const dist = Math.abs(dr) + Math.abs(dg) + Math.abs(db)
-      if (dist > barrierThreshold) barrier[p] = 1
-    }
+  const setBackgroundField = (key, value) => setBackground(bg => ({ ...bg, [key]: value }))
 
-    // Dilate barrier mask by 'gapClose' pixels to seal microscopic gaps
-    if (gapClose > 0) {
-      let cur = barrier
-      for (let iter = 0; iter < gapClose; iter++) {
-        const next = new Uint8Array(width * height)
-        for (let y = 0; y < height; y++) {
-          for (let x = 0; x < width; x++) {
-            const p = y * width + x
-            if (cur[p]) { next[p] = 1; continue }
-            let found = false
-            for (let dy = -1; dy <= 1 && !found; dy++) {
-              const yy = y + dy
-              if (yy < 0 || yy >= height) continue
-              for (let dx = -1; dx <= 1; dx++) {
-                if (dx === 0 && dy === 0) continue
-                const xx = x + dx
-                if (xx < 0 || xx >= width) continue
-                if (cur[yy * width + xx]) { found = true; break }
-              }
-            }
-            if (found) next[p] = 1
-          }
-        }
-        cur = next
-      }
-      barrier.set(cur)
+  // Use a local image file as the background (from the file picker or a drop)
+  const loadBackgroundImage = useCallback((file) => {
+    if (!file || !String(file.type).startsWith('image/')) {
+      setBackgroundError('Choose an image file')
+      return
     }
-
-    // New: carve out pixels similar to the seed color so bucket can recolor existing regions
-    {
-      const carveTol = Math.max(tolerance, 24)
-      for (let p = 0, i = 0; i < data.length; i += 4, p++) {
-        const dr = data[i] - target[0]
-        const dg = data[i + 1] - target[1]
-        const db = data[i + 2] - target[2]
-        const da = data[i + 3] - target[3]
-        const sum = Math.abs(dr) + Math.abs(dg) + Math.abs(db) + Math.abs(da)
-        if (sum <= carveTol) barrier[p] = 0
-      }
+    const url = URL.createObjectURL(file)
+    const image = new Image()
+    image.onload = () => {
+      URL.revokeObjectURL(url)
+      setBackgroundError(null)
+      setBackground(bg => ({ ...bg, type: 'image', image }))
     }
-
-    // If the seed starts on a barrier pixel, abort (after carve-out)
-    if (barrier[(start >> 2)] === 1) return
-
-    const closeEnough = (i) => {
-      const p = i >> 2
-      if (barrier[p]) return false
-      const dr = data[i] - target[0]
-      const dg = data[i + 1] - target[1]
-      const db = data[i + 2] - target[2]
-      const da = data[i + 3] - target[3]
-      return (Math.abs(dr) + Math.abs(dg) + Math.abs(db) + Math.abs(da)) <= tolerance
+    image.onerror = () => {
+      URL.revokeObjectURL(url)
+      setBackgroundError('This image could not be loaded')
     }
+    image.src = url
+  }, [])
 
-    const stack = [[x, y]]
-    while (stack.length) {
-      const [cx, cy] = stack.pop()
-      let lx = cx
-      // move left within non-barrier and similarity tolerance
-      while (lx >= 0 && closeEnough(idx(lx, cy))) lx--
-      lx++
-      let rx = cx
-      // move right within non-barrier and similarity tolerance
-      while (rx < width && closeEnough(idx(rx, cy))) rx++
-
-      // fill the span
-      for (let xx = lx; xx < rx; xx++) {
-        const di = idx(xx, cy)
-        data[di] = fillRgba[0]
-        data[di + 1] = fillRgba[1]
-        data[di + 2] = fillRgba[2]
-        data[di + 3] = fillRgba[3]
-
-        // check up
-        if (cy > 0 && closeEnough(idx(xx, cy - 1))) stack.push([xx, cy - 1])
-        // check down
-        if (cy < height - 1 && closeEnough(idx(xx, cy + 1))) stack.push([xx, cy + 1])
-      }
-    }
+  // Dropping an image file on the canvas makes it the background
+  const handleCanvasDragOver = (e) => {
+    if (Array.from(e.dataTransfer?.types || []).includes('Files')) e.preventDefault()
+  }
+  const handleCanvasDrop = (e) => {
+    const file = Array.from(e.dataTransfer?.files || []).find(f => String(f.type).startsWith('image/'))
+    if (!file) return
+    e.preventDefault()
+    loadBackgroundImage(file)
+  }
 
-    ctx.putImageData(img, 0, 0)
-  }, [hexToRgba])
+  // Show a failed fill in the Bucket menu (cancelled fills aren't failures)
+  const reportFillError = useCallback((err) => {
+    if (err?.name === 'AbortError') return
+    setFillError(err?.message || 'The fill failed')
+    setShowBucketMenu(true)
+  }, [])
 
   // Handle user click when Bucket tool is active
   const handleBucketClick = useCallback((e) => {
-    if (activeTool !== 'bucket') return
+    if (activeTool !== 'bucket' || isMagicRunning) return
     const container = containerRef.current
     if (!container) return
     const canvasEl = container.querySelector('canvas')
     if (!canvasEl) return
 
+    // Fill point in CSS pixels; the canvas records the fill in its scene
     const rect = canvasEl.getBoundingClientRect()
-    const scaleX = (canvasEl.width || rect.width) / rect.width
-    const scaleY = (canvasEl.height || rect.height) / rect.height
+    const x = e.clientX - rect.left
+    const y = e.clientY - rect.top
 
-    const clientX = e.clientX
-    const clientY = e.clientY
-    const x = Math.floor((clientX - rect.left) * scaleX)
-    const y = Math.floor((clientY - rect.top) * scaleY)
-
-    const fillRgba = hexToRgba(bucketColor)
-    floodFill(canvasEl, x, y, fillRgba, bucketTolerance, gapCloseRadius, bgColor)
+    setFillError(null)
+    canvasRef.current?.fill(x, y, { ...bucketPaint, color: bucketColor, tolerance: bucketTolerance, gapClose: gapCloseRadius, blend: bucketBlend })
+      ?.catch(reportFillError)
     e.stopPropagation()
     e.preventDefault()
-  }, [activeTool, hexToRgba, floodFill, bucketColor, bucketTolerance, gapCloseRadius, bgColor])
+  }, [activeTool, isMagicRunning, bucketColor, bucketPaint, bucketTolerance, gapCloseRadius, bucketBlend, reportFillError])
 
-  // Magic: fill 10 random points using flood fill (edge-aware, with current settings)
+  // Magic: fill 10 random points using flood fill (edge-aware, with current
+  // settings), one after another in the fill worker so progress shows and
+  // the run can be cancelled (keeping the fills done so far)
   const handleMagic = useCallback(async () => {
     const container = containerRef.current
     const canvasEl = container?.querySelector('canvas')
-    if (!canvasEl) return
+    if (!canvasEl || magicRunRef.current) return
 
     const rect = canvasEl.getBoundingClientRect()
-    const cw = canvasEl.width || rect.width
-    const ch = canvasEl.height || rect.height
-    const N = 10
+    const cw = rect.width
+    const ch = rect.height
+    const N = MAGIC_FILLS
 
-    setIsMagicRunning(true)
+    const run = { cancelled: false }
+    magicRunRef.current = run
+    setMagicProgress(0)
+    setFillError(null)
     setActiveTool('bucket') // keep bucket tool UI/cursor
+    // The whole run is one undo step
+    checkpoint()
+    batchRef.current = true
 
-    const raf = () => new Promise(requestAnimationFrame)
+    const randomColor = () => `#${Math.floor(Math.random() * 0xffffff).toString(16).padStart(6, '0')}`
     try {
-      for (let i = 0; i < N; i++) {
+      for (let i = 0; i < N && !run.cancelled; i++) {
         const px = Math.floor(Math.random() * cw)
         const py = Math.floor(Math.random() * ch)
-        const color = `#${Math.floor(Math.random() * 0xffffff).toString(16).padStart(6, '0')}`
-        const fillRgba = hexToRgba(color)
-        floodFill(canvasEl, px, py, fillRgba, bucketTolerance, gapCloseRadius, bgColor)
-        if (i % 8 === 0) await raf()
+        await canvasRef.current?.fill(px, py, { ...bucketPaint, color: randomColor(), color2: randomColor(), tolerance: bucketTolerance, gapClose: gapCloseRadius, blend: bucketBlend })
+        setMagicProgress(i + 1)
       }
+    } catch (err) {
+      reportFillError(err)
     } finally {
-      setIsMagicRunning(false)
+      magicRunRef.current = null
+      batchRef.current = false
+      setMagicProgress(null)
+      // Let the last fills reach `scene` before recording the step
+      setTimeout(checkpoint, 0)
     }
-  }, [hexToRgba, floodFill, bucketTolerance, gapCloseRadius, bgColor])
+  }, [bucketPaint, bucketTolerance, gapCloseRadius, bucketBlend, checkpoint, reportFillError])
+
+  const cancelMagic = useCallback(() => {
+    if (!magicRunRef.current) return
+    magicRunRef.current.cancelled = true
+    canvasRef.current?.cancelFills()
+  }, [])
 
   // Capture the bucket cursor URL once (on mount), then persist it. Hide toolbar until captured to prevent icon flicker.
   useEffect(() => {
@@ -317,8 +931,136 @@ export default function App() {
 
   const inputWidthClass = isLandscape ? 'w-40' : 'w-36 sm:w-56 md:w-64'
 
+  const exportPx = exportSize ? exportPixels(exportSize) : null
+  const exportValid = Boolean(exportPx) && exportPx.width >= 1 && exportPx.height >= 1
+  // Numeric field of the export size (width, height or dpi)
+  const exportField = (key) => (
+    <input
+      type="number"
+      min={key === 'dpi' || exportSize.unit === 'px' ? 1 : 0.01}
+      step={key === 'dpi' || exportSize.unit === 'px' ? 1 : 0.01}
+      value={Number.isFinite(exportSize[key]) ? exportSize[key] : ''}
+      onChange={e => { const v = e.target.value; setExportSize(size => ({ ...size, [key]: v === '' ? NaN : Number(v) })) }}
+      className="w-full mt-1 px-2 py-1 rounded-md border border-gray-200 text-sm"
+    />
+  )
+
+  const plotField = (key, step) => (
+    <input
+      type="number"
+      min={0}
+      step={step}
+      value={plotSettings[key]}
+      onChange={e => setPlotField(key, e.target.value === '' ? '' : Number(e.target.value))}
+      className="w-full mt-1 px-2 py-1 rounded-md border border-gray-200 text-sm"
+    />
+  )
+
   const ToolbarInner = (
     <>
+                {/* Layers popover: choose the layer the toolbar edits, show/hide and reorder */}
+                <div className="relative">
+                  <button
+                    onClick={() => setShowLayerMenu(v => !v)}
+                    className="px-3 py-1.5 rounded-md text-sm border border-gray-200 text-gray-800 hover:bg-gray-50"
+                    title={`Layers (editing ${activeLayer.name})`}
+                    aria-label="Layers"
+                  >
+                    <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round" aria-hidden="true">
+                      <path d="M12 3l9 5-9 5-9-5 9-5z" />
+                      <path d="M3 13l9 5 9-5" />
+                    </svg>
+                  </button>
+                  {showLayerMenu && (
+                    <div
+                      className={`absolute ${isLandscape ? 'right-full mr-2 top-0' : 'mt-2 left-0'} w-72 bg-white border border-gray-200 rounded-lg shadow p-3 z-50`}
+                      style={{ maxHeight: 'calc(var(--app-vh) - 16px)', overflowY: 'auto' }}
+                    >
+                      <label className="block mb-3 text-sm text-gray-600">
+                        Name
+                        <input
+                          value={activeLayer.name}
+                          onChange={e => updateLayer(activeLayer.id, { name: e.target.value })}
+                          className="w-full mt-1 px-2 py-1 rounded-md border border-gray-200 text-sm"
+                        />
+                      </label>
+                      {/* Top of the stack first */}
+                      <ul className="mb-3 space-y-1">
+                        {[...layers].reverse().map((layer, i) => (
+                          <li
+                            key={layer.id}
+                            className={`flex items-center gap-1 px-1 py-0.5 rounded-md ${layer.id === activeLayer.id ? 'bg-indigo-50' : ''}`}
+                          >
+                            <input
+                              type="checkbox"
+                              checked={layer.visible}
+                              onChange={e => updateLayer(layer.id, { visible: e.target.checked })}
+                              title={layer.visible ? 'Hide layer' : 'Show layer'}
+                              aria-label={`Show ${layer.name}`}
+                            />
+                            <button
+                              onClick={() => setActiveLayerId(layer.id)}
+                              className={`flex-1 min-w-0 flex items-center gap-2 px-1 text-left text-sm ${layer.id === activeLayer.id ? 'text-indigo-700' : 'text-gray-800'}`}
+                              title="Edit this layer"
+                            >
+                              <span
+                                className="flex-none w-3 h-3 rounded-full border border-gray-200"
+                                style={{ backgroundColor: layer.lineColor, opacity: layer.lineOpacity }}
+                              />
+                              <span className="truncate">{layer.name}</span>
+                            </button>
+                            <button
+                              onClick={() => moveLayer(layer.id, 1)}
+                              disabled={i === 0}
+                              className="px-1.5 py-0.5 rounded-md text-xs border border-gray-200 text-gray-700 hover:bg-gray-50 disabled:opacity-40"
+                              aria-label="Move layer up"
+                            >
+                              ↑
+                            </button>
+                            <button
+                              onClick={() => moveLayer(layer.id, -1)}
+                              disabled={i === layers.length - 1}
+                              className="px-1.5 py-0.5 rounded-md text-xs border border-gray-200 text-gray-700 hover:bg-gray-50 disabled:opacity-40"
+                              aria-label="Move layer down"
+                            >
+                              ↓
+                            </button>
+                            <button
+                              onClick={() => removeLayer(layer.id)}
+                              disabled={layers.length < 2}
+                              className="px-1.5 py-0.5 rounded-md text-xs border border-gray-200 text-gray-700 hover:bg-gray-50 disabled:opacity-40"
+                              aria-label="Delete layer"
+                            >
+                              ×
+                            </button>
+                          </li>
+                        ))}
+                      </ul>
+                      <div className="flex justify-end gap-2">
+                        <button
+                          onClick={addLayer}
+                          className="px-2 py-1 rounded-md text-sm border border-gray-200 text-gray-700 hover:bg-gray-50"
+                        >
+                          + Add
+                        </button>
+                        <button
+                          onClick={duplicateLayer}
+                          className="px-2 py-1 rounded-md text-sm border border-gray-200 text-gray-700 hover:bg-gray-50"
+                        >
+                          Duplicate
+                        </button>
+                        <button
+                          onClick={() => setShowLayerMenu(false)}
+                          className="px-2 py-1 rounded-md text-sm text-white"
+                          style={{ backgroundColor: '#4f46e5' }}
+                        >
+                          Done
+                        </button>
+                      </div>
+                    </div>
+                  )}
+                </div>
+
                 {/* Line menu (icon only + color sample) */}
                 <div className="relative">
                   <button
@@ -379,6 +1121,114 @@ export default function App() {
                           className="w-full"
                         />
                       </div>
+                      {/* Styling along the curve */}
+                      <div className="mt-3">
+                        <label className="block text-sm text-gray-600 mb-1">Gradient</label>
+                        <div className="flex items-center gap-2">
+                          <select
+                            value={gradient || 'none'}
+                            onChange={e => setGradient(e.target.value)}
+                            className="flex-1 px-2 py-1 rounded-md border border-gray-200 text-sm bg-white"
+                          >
+                            <option value="none">None</option>
+                            <option value="arc">Along the curve</option>
+                            <option value="x">By x</option>
+                            <option value="y">By y</option>
+                          </select>
+                          <input
+                            type="color"
+                            value={gradientColor || '#ef4444'}
+                            onChange={e => setGradientColor(e.target.value)}
+                            disabled={!gradient || gradient === 'none'}
+                            title="End color"
+                            className="w-8 h-8 p-0 border-none bg-transparent disabled:opacity-40"
+                          />
+                        </div>
+                      </div>
+                      {[['Width', widthExpr, setWidthExpr, '1 + abs(sin(x))*4'], ['Opacity', opacityExpr, setOpacityExpr, '0.2 + 0.8*s']].map(([label, value, set, example]) => (
+                        <label key={label} className="block mt-3 text-sm text-gray-600">
+                          {label} expression (x, y, s)
+                          <input
+                            value={value || ''}
+                            onChange={e => set(e.target.value)}
+                            placeholder={`e.g. ${example}`}
+                            className="w-full mt-1 px-2 py-1 rounded-md border border-gray-200 text-sm font-mono"
+                          />
+                        </label>
+                      ))}
+                      <p className="mt-1 text-xs text-gray-500">s runs from 0 to 1 along the curve; blank uses the slider.</p>
+                      <div className="flex gap-2 mt-3">
+                        <label className="flex-1 text-sm text-gray-600">
+                          Dashes
+                          <input
+                            value={lineDash || ''}
+                            onChange={e => setLineDash(e.target.value)}
+                            placeholder="e.g. 8 4"
+                            className="w-full mt-1 px-2 py-1 rounded-md border border-gray-200 text-sm font-mono"
+                          />
+                        </label>
+                        <label className="flex-1 text-sm text-gray-600">
+                          Cap
+                          <select
+                            value={lineCap || 'butt'}
+                            onChange={e => setLineCap(e.target.value)}
+                            className="w-full mt-1 px-2 py-1 rounded-md border border-gray-200 text-sm bg-white"
+                          >
+                            <option value="butt">Butt</option>
+                            <option value="round">Round</option>
+                            <option value="square">Square</option>
+                          </select>
+                        </label>
+                        <label className="flex-1 text-sm text-gray-600">
+                          Join
+                          <select
+                            value={lineJoin || 'miter'}
+                            onChange={e => setLineJoin(e.target.value)}
+                            className="w-full mt-1 px-2 py-1 rounded-md border border-gray-200 text-sm bg-white"
+                          >
+                            <option value="miter">Miter</option>
+                            <option value="round">Round</option>
+                            <option value="bevel">Bevel</option>
+                          </select>
+                        </label>
+                      </div>
+                      <label className="block mt-3 text-sm text-gray-600">
+                        Blend mode
+                        <select
+                          value={blendMode || 'source-over'}
+                          onChange={e => setBlendMode(e.target.value)}
+                          className="w-full mt-1 px-2 py-1 rounded-md border border-gray-200 text-sm bg-white"
+                          title="How the line and area paint over what is beneath"
+                        >
+                          {BLEND_MODES.map(m => <option key={m.value} value={m.value}>{m.label}</option>)}
+                        </select>
+                      </label>
+                      {/* Symmetry: the curve is drawn once per copy around the canvas center */}
+                      <div className="mt-3">
+                        <label className="block text-sm text-gray-600 mb-1">Symmetry</label>
+                        <select
+                          value={symmetry || 'none'}
+                          onChange={e => setSymmetry(e.target.value)}
+                          className="w-full px-2 py-1 rounded-md border border-gray-200 text-sm bg-white"
+                        >
+                          {SYMMETRY_MODES.map(m => <option key={m.value} value={m.value}>{m.label}</option>)}
+                        </select>
+                      </div>
+                      {ROTATIONAL_SYMMETRY.includes(symmetry) && (
+                        <div className="mt-3">
+                          <label className="block text-sm text-gray-600 mb-1">
+                            Copies: {symmetryCount}{symmetry === 'kaleidoscope' ? ` (×2 mirrored)` : ''}
+                          </label>
+                          <input
+                            type="range"
+                            min={2}
+                            max={24}
+                            value={symmetryCount}
+                            onChange={e => setSymmetryCount(Number(e.target.value))}
+                            className="w-full"
+                          />
+                        </div>
+                      )}
                     </div>
                   )}
                 </div>
@@ -415,15 +1265,63 @@ export default function App() {
                       className={`absolute ${isLandscape ? 'right-full mr-2 top-0' : 'mt-2 left-0'} w-64 bg-white border border-gray-200 rounded-lg shadow p-3 z-50`}
                       style={{ maxHeight: 'calc(var(--app-vh) - 16px)', overflowY: 'auto' }}
                     >
-                      <div className="flex items-center justify-between">
-                        <label className="text-sm text-gray-600">Color</label>
+                      <div className="flex items-end gap-2">
+                        <label className="flex-1 text-sm text-gray-600">
+                          Style
+                          <select
+                            value={bucketStyle}
+                            onChange={e => setBucketStyle(e.target.value)}
+                            className="w-full mt-1 px-2 py-1 rounded-md border border-gray-200 text-sm bg-white"
+                          >
+                            {FILL_STYLES.map(s => <option key={s.value} value={s.value}>{s.label}</option>)}
+                          </select>
+                        </label>
                         <input
                           type="color"
                           value={bucketColor}
                           onChange={e => setBucketColor(e.target.value)}
+                          title={bucketStyle === 'linear' || bucketStyle === 'radial' ? 'Start color' : 'Color'}
                           className="w-8 h-8 p-0 border-none bg-transparent"
                         />
+                        {['linear', 'radial', 'noise'].includes(bucketStyle) && (
+                          <input
+                            type="color"
+                            value={bucketColor2}
+                            onChange={e => setBucketColor2(e.target.value)}
+                            title={bucketStyle === 'noise' ? 'Second color' : 'End color'}
+                            className="w-8 h-8 p-0 border-none bg-transparent"
+                          />
+                        )}
                       </div>
+                      {['linear', 'hatch', 'noise'].includes(bucketStyle) && (
+                        <div className="flex gap-2 mt-3">
+                          {bucketStyle !== 'noise' && (
+                            <label className="flex-1 text-sm text-gray-600">
+                              Angle (°)
+                              <input
+                                type="number"
+                                step={5}
+                                value={bucketAngle}
+                                onChange={e => setBucketAngle(Number(e.target.value) || 0)}
+                                className="w-full mt-1 px-2 py-1 rounded-md border border-gray-200 text-sm"
+                              />
+                            </label>
+                          )}
+                          {bucketStyle !== 'linear' && (
+                            <label className="flex-1 text-sm text-gray-600">
+                              {bucketStyle === 'noise' ? 'Grain (px)' : 'Spacing (px)'}
+                              <input
+                                type="number"
+                                min={1}
+                                step={1}
+                                value={bucketSpacing}
+                                onChange={e => setBucketSpacing(Math.max(1, Number(e.target.value) || 1))}
+                                className="w-full mt-1 px-2 py-1 rounded-md border border-gray-200 text-sm"
+                              />
+                            </label>
+                          )}
+                        </div>
+                      )}
 
                       {/* New: Tolerance slider */}
                       <div className="mt-3">
@@ -457,29 +1355,373 @@ export default function App() {
                         />
                       </div>
 
-                      <div className="mt-3 pt-3 border-t border-gray-200">
-                        <button
-                          onClick={handleMagic}
-                          className="w-full px-3 py-1.5 rounded-md text-sm border border-purple-300 text-purple-700 hover:bg-purple-50"
-                          title="Auto-fill 10 random points with random colors"
+                      <label className="flex items-center gap-2 mt-3 text-sm text-gray-600" title="Also fill the edge pixels of anti-aliased curves in part, leaving no halo">
+                        <input
+                          type="checkbox"
+                          checked={bucketSmooth}
+                          onChange={e => setBucketSmooth(e.target.checked)}
+                        />
+                        Smooth edges
+                      </label>
+
+                      <label className="block mt-3 text-sm text-gray-600">
+                        Blend mode
+                        <select
+                          value={bucketBlend}
+                          onChange={e => setBucketBlend(e.target.value)}
+                          className="w-full mt-1 px-2 py-1 rounded-md border border-gray-200 text-sm bg-white"
                         >
-                          Magic
-                        </button>
+                          {BLEND_MODES.map(m => <option key={m.value} value={m.value}>{m.label}</option>)}
+                        </select>
+                      </label>
+
+                      <div className="mt-3 pt-3 border-t border-gray-200">
+                        {isMagicRunning ? (
+                          // Clickable while the rest of the toolbar is locked
+                          <div className="flex items-center gap-2 text-sm text-gray-600 pointer-events-auto">
+                            <span className="flex-1">Filling… {magicProgress}/{MAGIC_FILLS}</span>
+                            <button
+                              onClick={cancelMagic}
+                              className="px-2 py-1 rounded-md text-sm border border-gray-200 text-gray-700 hover:bg-gray-50"
+                            >
+                              Cancel
+                            </button>
+                          </div>
+                        ) : (
+                          <button
+                            onClick={handleMagic}
+                            className="w-full px-3 py-1.5 rounded-md text-sm border border-purple-300 text-purple-700 hover:bg-purple-50"
+                            title={`Auto-fill ${MAGIC_FILLS} random points with random colors`}
+                          >
+                            Magic
+                          </button>
+                        )}
+                        {fillError && <p className="mt-2 text-xs text-red-600">{fillError}</p>}
                       </div>
                     </div>
                   )}
                 </div>
 
-                {/* f(x) input - narrowed to keep menu compact */}
-                <div className="flex-none">
-                  <input
-                    value={expr}
-                    onChange={e => setExpr(e.target.value)}
-                    placeholder="f(x) ="
-                    className={`${inputWidthClass} px-3 py-1.5 rounded-md border border-gray-200 text-sm`}
-                  />
+                {/* Area fill popover: geometric fill under, over or between y = f(x) curves */}
+                <div className="relative">
+                  <button
+                    onClick={() => setShowAreaMenu(v => !v)}
+                    className={`px-3 py-1.5 rounded-md text-sm border ${area && area !== 'none' ? 'border-indigo-500 text-indigo-700 bg-indigo-50' : 'border-gray-200 text-gray-800 hover:bg-gray-50'}`}
+                    title="Area fill"
+                  >
+                    Area
+                  </button>
+                  {showAreaMenu && (
+                    <div
+                      className={`absolute ${isLandscape ? 'right-full mr-2 top-0' : 'mt-2 left-0'} w-64 bg-white border border-gray-200 rounded-lg shadow p-3 z-50`}
+                      style={{ maxHeight: 'calc(var(--app-vh) - 16px)', overflowY: 'auto' }}
+                    >
+                      {mode !== 'fx' ? (
+                        <p className="text-sm text-gray-600">Area fills apply to y = f(x) curves.</p>
+                      ) : (
+                        <>
+                          <label className="block mb-3 text-sm text-gray-600">
+                            Fill
+                            <select
+                              value={area || 'none'}
+                              onChange={e => setArea(e.target.value)}
+                              className="w-full mt-1 px-2 py-1 rounded-md border border-gray-200 text-sm bg-white"
+                            >
+                              <option value="none">None</option>
+                              <option value="axis">Between f(x) and y = 0</option>
+                              <option value="curve">Between f(x) and g(x)</option>
+                              <option value="above">Above the curve</option>
+                              <option value="below">Below the curve</option>
+                            </select>
+                          </label>
+                          {area === 'curve' && (
+                            <label className="block mb-3 text-sm text-gray-600">
+                              g(x)
+                              <input
+                                value={areaExpr}
+                                onChange={e => setAreaExpr(e.target.value)}
+                                className="w-full mt-1 px-2 py-1 rounded-md border border-gray-200 text-sm font-mono"
+                              />
+                            </label>
+                          )}
+                          <div className="flex items-end gap-2 mb-3">
+                            <label className="flex-1 text-sm text-gray-600">
+                              Style
+                              <select
+                                value={areaFill}
+                                onChange={e => setAreaFill(e.target.value)}
+                                className="w-full mt-1 px-2 py-1 rounded-md border border-gray-200 text-sm bg-white"
+                              >
+                                <option value="solid">Solid</option>
+                                <option value="gradient">Gradient</option>
+                                <option value="hatch">Hatched</option>
+                              </select>
+                            </label>
+                            <input
+                              type="color"
+                              value={areaColor}
+                              onChange={e => setAreaColor(e.target.value)}
+                              title={areaFill === 'gradient' ? 'Top color' : 'Color'}
+                              className="w-8 h-8 p-0 border-none bg-transparent"
+                            />
+                            {areaFill === 'gradient' && (
+                              <input
+                                type="color"
+                                value={areaColor2}
+                                onChange={e => setAreaColor2(e.target.value)}
+                                title="Bottom color"
+                                className="w-8 h-8 p-0 border-none bg-transparent"
+                              />
+                            )}
+                          </div>
+                          {areaFill === 'hatch' && (
+                            <div className="flex gap-2 mb-3">
+                              <label className="flex-1 text-sm text-gray-600">
+                                Angle (°)
+                                <input
+                                  type="number"
+                                  step={5}
+                                  value={hatchAngle}
+                                  onChange={e => setHatchAngle(Number(e.target.value) || 0)}
+                                  className="w-full mt-1 px-2 py-1 rounded-md border border-gray-200 text-sm"
+                                />
+                              </label>
+                              <label className="flex-1 text-sm text-gray-600">
+                                Spacing (px)
+                                <input
+                                  type="number"
+                                  min={1}
+                                  step={1}
+                                  value={hatchSpacing}
+                                  onChange={e => setHatchSpacing(Math.max(1, Number(e.target.value) || 1))}
+                                  className="w-full mt-1 px-2 py-1 rounded-md border border-gray-200 text-sm"
+                                />
+                              </label>
+                            </div>
+                          )}
+                          <label className="block text-sm text-gray-600 mb-1">
+                            Opacity: {Number(areaOpacity).toFixed(2)}
+                          </label>
+                          <input
+                            type="range"
+                            min={0.05}
+                            max={1}
+                            step={0.05}
+                            value={areaOpacity}
+                            onChange={e => setAreaOpacity(Number(e.target.value))}
+                            className="w-full"
+                          />
+                        </>
+                      )}
+                    </div>
+                  )}
                 </div>
 
+                {/* Curve mode */}
+                <select
+                  value={mode}
+                  onChange={e => { setMode(e.target.value); setShowRangeMenu(false) }}
+                  className="px-2 py-1.5 rounded-md border border-gray-200 text-sm bg-white text-gray-800"
+                  title="Curve mode"
+                  aria-label="Curve mode"
+                >
+                  <option value="fx">y = f(x)</option>
+                  <option value="parametric">x(t), y(t)</option>
+                  <option value="polar">r(θ)</option>
+                  <option value="implicit">f(x, y) = 0</option>
+                </select>
+
+                {mode === 'parametric' || mode === 'polar' ? (
+                  <>
+                    {mode === 'parametric' ? (
+                      // x(t) / y(t) inputs
+                      <div className="flex-none flex flex-col gap-1">
+                        <input
+                          value={exprX}
+                          onChange={e => setExprX(e.target.value)}
+                          placeholder="x(t) ="
+                          className={`${inputWidthClass} px-3 py-1.5 rounded-md border border-gray-200 text-sm`}
+                        />
+                        <input
+                          value={exprY}
+                          onChange={e => setExprY(e.target.value)}
+                          placeholder="y(t) ="
+                          className={`${inputWidthClass} px-3 py-1.5 rounded-md border border-gray-200 text-sm`}
+                        />
+                      </div>
+                    ) : (
+                      // r(θ) input; the angle is available as theta or θ
+                      <div className="flex-none">
+                        <input
+                          value={polarExpr}
+                          onChange={e => setPolarExpr(e.target.value)}
+                          placeholder="r(θ) ="
+                          className={`${inputWidthClass} px-3 py-1.5 rounded-md border border-gray-200 text-sm`}
+                        />
+                      </div>
+                    )}
+
+                    {/* t / θ range popover */}
+                    <div className="relative">
+                      <button
+                        onClick={() => setShowRangeMenu(v => !v)}
+                        className="px-3 py-1.5 rounded-md text-sm border border-gray-200 text-gray-800 hover:bg-gray-50"
+                        title={mode === 'polar' ? 'Angle range' : 'Parameter range'}
+                      >
+                        {mode === 'polar' ? 'θ' : 't'}
+                      </button>
+                      {showRangeMenu && (
+                        <div
+                          className={`absolute ${isLandscape ? 'right-full mr-2 top-0' : 'mt-2 right-0'} w-64 bg-white border border-gray-200 rounded-lg shadow p-3 z-50`}
+                          style={{ maxHeight: 'calc(var(--app-vh) - 16px)', overflowY: 'auto' }}
+                        >
+                          <div className="flex gap-2 mb-3">
+                            <label className="flex-1 text-sm text-gray-600">
+                              {mode === 'polar' ? 'θ' : 't'} min
+                              <input
+                                value={mode === 'polar' ? thetaMin : tMin}
+                                onChange={e => (mode === 'polar' ? setThetaMin : setTMin)(e.target.value)}
+                                className="w-full mt-1 px-2 py-1 rounded-md border border-gray-200 text-sm"
+                              />
+                            </label>
+                            <label className="flex-1 text-sm text-gray-600">
+                              {mode === 'polar' ? 'θ' : 't'} max
+                              <input
+                                value={mode === 'polar' ? thetaMax : tMax}
+                                onChange={e => (mode === 'polar' ? setThetaMax : setTMax)(e.target.value)}
+                                className="w-full mt-1 px-2 py-1 rounded-md border border-gray-200 text-sm"
+                              />
+                            </label>
+                          </div>
+                          {mode === 'polar' && (
+                            <div className="flex gap-1 mb-3">
+                              {[1, 2, 4, 8, 12].map(turns => (
+                                <button
+                                  key={turns}
+                                  onClick={() => { setThetaMin('0'); setThetaMax(`${2 * turns}*pi`) }}
+                                  className="flex-1 px-1 py-1 rounded-md text-xs border border-gray-200 text-gray-700 hover:bg-gray-50"
+                                  title={`${turns} full turn${turns > 1 ? 's' : ''}`}
+                                >
+                                  {turns}×
+                                </button>
+                              ))}
+                            </div>
+                          )}
+                          <div className="mb-3">
+                            <label className="block text-sm text-gray-600 mb-1">
+                              Samples: {samples}
+                            </label>
+                            <input
+                              type="range"
+                              min={100}
+                              max={20000}
+                              step={100}
+                              value={samples}
+                              onChange={e => setSamples(Number(e.target.value))}
+                              className="w-full"
+                            />
+                          </div>
+                          <div className="flex justify-end">
+                            <button
+                              onClick={() => setShowRangeMenu(false)}
+                              className="px-2 py-1 rounded-md text-sm text-white"
+                              style={{ backgroundColor: '#4f46e5' }}
+                            >
+                              Done
+                            </button>
+                          </div>
+                        </div>
+                      )}
+                    </div>
+                  </>
+                ) : mode === 'implicit' ? (
+                  <>
+                    {/* f(x, y) input; "lhs = rhs" is accepted */}
+                    <div className="flex-none">
+                      <input
+                        value={implicitExpr}
+                        onChange={e => setImplicitExpr(e.target.value)}
+                        placeholder="f(x, y) = 0"
+                        className={`${inputWidthClass} px-3 py-1.5 rounded-md border border-gray-200 text-sm`}
+                      />
+                    </div>
+
+                    {/* Iso-levels popover */}
+                    <div className="relative">
+                      <button
+                        onClick={() => setShowRangeMenu(v => !v)}
+                        className="px-3 py-1.5 rounded-md text-sm border border-gray-200 text-gray-800 hover:bg-gray-50"
+                        title="Iso-levels"
+                      >
+                        k
+                      </button>
+                      {showRangeMenu && (
+                        <div
+                          className={`absolute ${isLandscape ? 'right-full mr-2 top-0' : 'mt-2 right-0'} w-64 bg-white border border-gray-200 rounded-lg shadow p-3 z-50`}
+                          style={{ maxHeight: 'calc(var(--app-vh) - 16px)', overflowY: 'auto' }}
+                        >
+                          <p className="text-xs text-gray-500 mb-2">Draws f = k·c for every integer k in the range.</p>
+                          <div className="flex gap-2 mb-3">
+                            <label className="flex-1 text-sm text-gray-600">
+                              k from
+                              <input
+                                type="number"
+                                step={1}
+                                value={kMin}
+                                onChange={e => setKMin(Number(e.target.value))}
+                                className="w-full mt-1 px-2 py-1 rounded-md border border-gray-200 text-sm"
+                              />
+                            </label>
+                            <label className="flex-1 text-sm text-gray-600">
+                              k to
+                              <input
+                                type="number"
+                                step={1}
+                                value={kMax}
+                                onChange={e => setKMax(Number(e.target.value))}
+                                className="w-full mt-1 px-2 py-1 rounded-md border border-gray-200 text-sm"
+                              />
+                            </label>
+                          </div>
+                          <div className="mb-3">
+                            <label className="block text-sm text-gray-600 mb-1">
+                              Grid cell: {gridCell}px
+                            </label>
+                            <input
+                              type="range"
+                              min={1}
+                              max={12}
+                              step={1}
+                              value={gridCell}
+                              onChange={e => setGridCell(Number(e.target.value))}
+                              className="w-full"
+                            />
+                          </div>
+                          <div className="flex justify-end">
+                            <button
+                              onClick={() => setShowRangeMenu(false)}
+                              className="px-2 py-1 rounded-md text-sm text-white"
+                              style={{ backgroundColor: '#4f46e5' }}
+                            >
+                              Done
+                            </button>
+                          </div>
+                        </div>
+                      )}
+                    </div>
+                  </>
+                ) : (
+                  // f(x) input - narrowed to keep menu compact
+                  <div className="flex-none">
+                    <input
+                      value={expr}
+                      onChange={e => setExpr(e.target.value)}
+                      placeholder="f(x) ="
+                      className={`${inputWidthClass} px-3 py-1.5 rounded-md border border-gray-200 text-sm`}
+                    />
+                  </div>
+                )}
+
                 {/* Random function */}
                 <button
                   onClick={handleRandom}
@@ -489,7 +1731,7 @@ export default function App() {
                   Rnd
                 </button>
 
-                {/* Parameters popover (a, b, c) */}
+                {/* Parameters popover (free symbols of the expression) */}
                 <div className="relative">
                   <button
                     onClick={() => setShowParamMenu(v => !v)}
@@ -503,26 +1745,78 @@ export default function App() {
                       className={`absolute ${isLandscape ? 'right-full mr-2 top-0' : 'mt-2 right-0'} w-72 bg-white border border-gray-200 rounded-lg shadow p-3 z-50`}
                       style={{ maxHeight: 'calc(var(--app-vh) - 16px)', overflowY: 'auto' }}
                     >
-                      {['a','b','c'].map(k => (
-                        <div className="mb-3" key={k}>
-                          <div className="flex justify-between text-sm text-gray-600 mb-1">
-                            <label>{k}</label>
-                            <span>{params[k]}</span>
+                      {paramNames.length === 0 && (
+                        <p className="mb-3 text-sm text-gray-500">No free parameters in this expression.</p>
+                      )}
+                      {paramNames.map(k => {
+                        const settings = settingsFor(k)
+                        const value = params[k] ?? defaultParamValue(k)
+                        return (
+                          <div className="mb-3 pb-3 border-b border-gray-100" key={k}>
+                            <div className="flex items-center gap-2 text-sm text-gray-600 mb-1">
+                              <label className="flex-1 font-medium">{k}</label>
+                              <input
+                                type="number"
+                                step="any"
+                                value={value}
+                                onChange={e => {
+                                  const v = Number(e.target.value)
+                                  if (e.target.value !== '' && isFinite(v)) updateParam(k, v)
+                                }}
+                                className="w-24 px-2 py-0.5 rounded-md border border-gray-200 text-sm text-right"
+                                aria-label={`${k} value`}
+                              />
+                              <button
+                                onClick={() => updateParamSetting(k, { locked: !settings.locked })}
+                                className={`w-7 h-7 rounded-md border flex items-center justify-center ${settings.locked ? 'border-indigo-500 text-indigo-700 bg-indigo-50' : 'border-gray-200 text-gray-500 hover:bg-gray-50'}`}
+                                title={settings.locked ? `Unlock ${k}` : `Lock ${k} (keep it when randomizing)`}
+                                aria-pressed={settings.locked}
+                              >
+                                <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round" aria-hidden="true">
+                                  <rect x="5" y="11" width="14" height="10" rx="2" />
+                                  <path d={settings.locked ? 'M8 11V7a4 4 0 0 1 8 0v4' : 'M8 11V7a4 4 0 0 1 7.5-2'} />
+                                </svg>
+                              </button>
+                            </div>
+                            <input
+                              type="range"
+                              min={settings.min}
+                              max={settings.max}
+                              step={settings.step}
+                              value={value}
+                              onChange={e => updateParam(k, Number(e.target.value))}
+                              className="w-full"
+                            />
+                            <div className="flex gap-2 mt-1">
+                              {['min', 'max', 'step'].map(field => (
+                                <label key={field} className="flex-1 text-xs text-gray-500">
+                                  {field}
+                                  <input
+                                    type="number"
+                                    step="any"
+                                    value={settings[field]}
+                                    onChange={e => {
+                                      const v = Number(e.target.value)
+                                      if (e.target.value !== '' && isFinite(v) && (field !== 'step' || v > 0)) updateParamSetting(k, { [field]: v })
+                                    }}
+                                    className="w-full px-1 py-0.5 rounded border border-gray-200 text-xs"
+                                  />
+                                </label>
+                              ))}
+                            </div>
                           </div>
-                          <input
-                            type="range"
-                            min={k === 'c' ? 0 : -10}
-                            max={10}
-                            step={0.1}
-                            value={params[k]}
-                            onChange={e => updateParam(k, Number(e.target.value))}
-                            className="w-full"
-                          />
-                        </div>
-                      ))}
+                        )
+                      })}
                       <div className="flex justify-end gap-2">
                         <button
-                          onClick={() => setParams({ a: 1, b: 0, c: 1 })}
+                          onClick={randomizeParams}
+                          className="px-2 py-1 rounded-md text-sm border border-purple-300 text-purple-700 hover:bg-purple-50"
+                          title="Randomize unlocked parameters"
+                        >
+                          Randomize
+                        </button>
+                        <button
+                          onClick={resetParams}
                           className="px-2 py-1 rounded-md text-sm border border-gray-200 text-gray-700 hover:bg-gray-50"
                         >
                           Reset
@@ -539,13 +1833,592 @@ export default function App() {
                   )}
                 </div>
 
-                {/* Tilt */}
-                <button
-                  onClick={() => setTilt(t => (t + 10) % 360)}
-                  className="px-3 py-1.5 rounded-md text-sm border border-gray-200 text-gray-800 hover:bg-gray-50"
-                  title={`Tilt (${Math.round(tilt)}°)`}
+                {/* Transform popover: rotation, scale, skew and offset of the active layer,
+                    also editable with handles on the canvas while the tool is active */}
+                <div className="relative">
+                  <button
+                    onClick={() => {
+                      if (!showTransformMenu) setActiveTool('transform')
+                      setShowTransformMenu(v => !v)
+                    }}
+                    className={`px-3 py-1.5 rounded-md text-sm border ${activeTool === 'transform' ? 'border-indigo-500 text-indigo-700 bg-indigo-50' : 'border-gray-200 text-gray-800 hover:bg-gray-50'}`}
+                    title={`Transform (rotation ${Math.round(tilt)}°)`}
+                  >
+                    Transform
+                  </button>
+                  {showTransformMenu && (
+                    <div
+                      className={`absolute ${isLandscape ? 'right-full mr-2 top-0' : 'mt-2 right-0'} w-64 bg-white border border-gray-200 rounded-lg shadow p-3 z-50`}
+                      style={{ maxHeight: 'calc(var(--app-vh) - 16px)', overflowY: 'auto' }}
+                    >
+                      <div className="grid grid-cols-2 gap-2 mb-3">
+                        {[
+                          ['Rotation (°)', tilt, setTilt, 1],
+                          ['Skew (°)', skew, setSkew, 1],
+                          ['Scale x', scaleX, setScaleX, 0.1],
+                          ['Scale y', scaleY, setScaleY, 0.1],
+                          ['Offset x (px)', offsetX, setOffsetX, 1],
+                          ['Offset y (px)', offsetY, setOffsetY, 1],
+                        ].map(([label, value, set, step]) => (
+                          <label key={label} className="text-sm text-gray-600">
+                            {label}
+                            <input
+                              type="number"
+                              step={step}
+                              value={Math.round((Number(value) || 0) * 1000) / 1000}
+                              onChange={e => set(Number(e.target.value) || 0)}
+                              className="w-full mt-1 px-2 py-1 rounded-md border border-gray-200 text-sm"
+                            />
+                          </label>
+                        ))}
+                      </div>
+                      <label className="flex items-center gap-2 mb-1 text-sm text-gray-600">
+                        <input
+                          type="checkbox"
+                          checked={activeTool === 'transform'}
+                          onChange={e => setActiveTool(e.target.checked ? 'transform' : 'line')}
+                        />
+                        Handles on the canvas
+                      </label>
+                      <label className="flex items-center gap-2 mb-3 text-sm text-gray-600" title="Rotation to 15°, skew to 5°, scale to 0.1 and offsets to 10 px">
+                        <input
+                          type="checkbox"
+                          checked={transformSnap}
+                          onChange={e => setTransformSnap(e.target.checked)}
+                        />
+                        Snap while dragging (Shift toggles)
+                      </label>
+                      <div className="flex justify-end gap-2">
+                        <button
+                          onClick={() => updateLayer(activeLayer.id, DEFAULT_TRANSFORM)}
+                          disabled={isIdentityPlacement(activeLayer)}
+                          className="px-2 py-1 rounded-md text-sm border border-gray-200 text-gray-700 hover:bg-gray-50 disabled:opacity-50"
+                        >
+                          Reset
+                        </button>
+                        <button
+                          onClick={() => setShowTransformMenu(false)}
+                          className="px-2 py-1 rounded-md text-sm text-white"
+                          style={{ backgroundColor: '#4f46e5' }}
+                        >
+                          Done
+                        </button>
+                      </div>
+                    </div>
+                  )}
+                </div>
+
+                {/* Parameter sweep popover: freeze a family of curves in one step */}
+                <div className="relative">
+                  <button
+                    onClick={openSweepMenu}
+                    className="px-3 py-1.5 rounded-md text-sm border border-gray-200 text-gray-800 hover:bg-gray-50"
+                    title="Sweep a parameter (draw a family of curves)"
+                  >
+                    Sweep
+                  </button>
+                  {showSweepMenu && (
+                    <div
+                      className={`absolute ${isLandscape ? 'right-full mr-2 top-0' : 'mt-2 right-0'} w-64 bg-white border border-gray-200 rounded-lg shadow p-3 z-50`}
+                      style={{ maxHeight: 'calc(var(--app-vh) - 16px)', overflowY: 'auto' }}
+                    >
+                      <label className="block mb-3 text-sm text-gray-600">
+                        Sweep
+                        <select
+                          value={sweepSettings.key}
+                          onChange={e => setSweepSettings(s => ({ ...s, ...sweepRangeFor(e.target.value) }))}
+                          className="w-full mt-1 px-2 py-1 rounded-md border border-gray-200 text-sm bg-white"
+                        >
+                          {paramNames.map(k => <option key={k} value={k}>{k}</option>)}
+                          <option value="tilt">tilt (°)</option>
+                        </select>
+                      </label>
+                      <div className="flex gap-2 mb-3">
+                        {['from', 'to', 'count'].map(field => (
+                          <label key={field} className="flex-1 text-sm text-gray-600">
+                            {field === 'count' ? 'Copies' : field === 'from' ? 'From' : 'To'}
+                            <input
+                              type="number"
+                              min={field === 'count' ? 1 : undefined}
+                              max={field === 'count' ? 500 : undefined}
+                              step={field === 'count' ? 1 : 'any'}
+                              value={Number.isFinite(sweepSettings[field]) ? sweepSettings[field] : ''}
+                              onChange={e => setSweepField(field, e.target.value === '' ? NaN : Number(e.target.value))}
+                              className="w-full mt-1 px-2 py-1 rounded-md border border-gray-200 text-sm"
+                            />
+                          </label>
+                        ))}
+                      </div>
+                      <div className="flex items-center justify-between mb-3">
+                        <label className="flex items-center gap-2 text-sm text-gray-600">
+                          <input
+                            type="checkbox"
+                            checked={sweepSettings.colorRamp}
+                            onChange={e => setSweepField('colorRamp', e.target.checked)}
+                          />
+                          Color ramp to
+                        </label>
+                        <input
+                          type="color"
+                          value={sweepSettings.colorTo}
+                          onChange={e => setSweepField('colorTo', e.target.value)}
+                          disabled={!sweepSettings.colorRamp}
+                          className="w-8 h-8 p-0 border-none bg-transparent disabled:opacity-40"
+                        />
+                      </div>
+                      <label className="flex items-center gap-2 mb-1 text-sm text-gray-600">
+                        <input
+                          type="checkbox"
+                          checked={sweepSettings.opacityRamp}
+                          onChange={e => setSweepField('opacityRamp', e.target.checked)}
+                        />
+                        Opacity ramp
+                      </label>
+                      {sweepSettings.opacityRamp && ['opacityFrom', 'opacityTo'].map(field => (
+                        <div key={field} className="mb-2">
+                          <label className="block text-sm text-gray-600 mb-1">
+                            {field === 'opacityFrom' ? 'First' : 'Last'}: {sweepSettings[field].toFixed(2)}
+                          </label>
+                          <input
+                            type="range"
+                            min={0.05}
+                            max={1}
+                            step={0.05}
+                            value={sweepSettings[field]}
+                            onChange={e => setSweepField(field, Number(e.target.value))}
+                            className="w-full"
+                          />
+                        </div>
+                      ))}
+                      <p className="mt-2 mb-1 text-xs text-gray-500">
+                        Freezes {Number.isFinite(sweepSettings.count) ? Math.round(sweepSettings.count) : 0} copies of the active layer's curve as one undo step.
+                      </p>
+                      <div className="flex justify-end gap-2 mt-2">
+                        <button
+                          onClick={() => setShowSweepMenu(false)}
+                          className="px-2 py-1 rounded-md text-sm border border-gray-200 text-gray-700 hover:bg-gray-50"
+                        >
+                          Close
+                        </button>
+                        <button
+                          onClick={handleSweep}
+                          disabled={!sweepValid}
+                          className="px-2 py-1 rounded-md text-sm text-white disabled:opacity-50"
+                          style={{ backgroundColor: '#4f46e5' }}
+                        >
+                          Draw family
+                        </button>
+                      </div>
+                    </div>
+                  )}
+                </div>
+
+                {/* Viewport popover */}
+                <div className="relative">
+                  <button
+                    onClick={() => setShowViewMenu(v => !v)}
+                    className="px-3 py-1.5 rounded-md text-sm border border-gray-200 text-gray-800 hover:bg-gray-50"
+                    title="Viewport (drag to pan, wheel or pinch to zoom)"
+                  >
+                    View
+                  </button>
+                  {showViewMenu && (
+                    <div
+                      className={`absolute ${isLandscape ? 'right-full mr-2 top-0' : 'mt-2 right-0'} w-64 bg-white border border-gray-200 rounded-lg shadow p-3 z-50`}
+                      style={{ maxHeight: 'calc(var(--app-vh) - 16px)', overflowY: 'auto' }}
+                    >
+                      <div className="grid grid-cols-2 gap-2 mb-3">
+                        {[['xMin', 'x min'], ['xMax', 'x max'], ['yMin', 'y min'], ['yMax', 'y max']].map(([k, label]) => (
+                          <label key={k} className="text-sm text-gray-600">
+                            {label}
+                            <input
+                              type="number"
+                              step="any"
+                              value={viewDraft[k]}
+                              onChange={e => updateViewDraft(k, e.target.value)}
+                              className="w-full mt-1 px-2 py-1 rounded-md border border-gray-200 text-sm"
+                            />
+                          </label>
+                        ))}
+                      </div>
+                      <label className="flex items-center gap-2 mb-3 text-sm text-gray-600">
+                        <input
+                          type="checkbox"
+                          checked={squareAspect}
+                          onChange={e => setSquareAspect(e.target.checked)}
+                        />
+                        Keep aspect ratio square
+                      </label>
+                      <div className="mb-1 text-sm text-gray-600">Guides (not drawn into the artwork)</div>
+                      <div className="grid grid-cols-2 gap-x-2 gap-y-1 mb-3">
+                        {[['axes', 'Axes'], ['grid', 'Grid'], ['labels', 'Tick labels'], ['readout', 'Hover readout'], ['intersections', 'Intersections']].map(([k, label]) => (
+                          <label key={k} className="flex items-center gap-2 text-sm text-gray-600" title={k === 'intersections' ? 'Mark where the active layer crosses frozen curves' : undefined}>
+                            <input
+                              type="checkbox"
+                              checked={guides[k]}
+                              onChange={e => setGuides(g => ({ ...g, [k]: e.target.checked }))}
+                            />
+                            {label}
+                          </label>
+                        ))}
+                      </div>
+                      <div className="flex justify-end gap-2">
+                        <button
+                          onClick={handleFitView}
+                          className="px-2 py-1 rounded-md text-sm border border-gray-200 text-gray-700 hover:bg-gray-50"
+                          title="Fit the view to the current curve"
+                        >
+                          Fit
+                        </button>
+                        <button
+                          onClick={() => setViewport(DEFAULT_VIEWPORT)}
+                          className="px-2 py-1 rounded-md text-sm border border-gray-200 text-gray-700 hover:bg-gray-50"
+                        >
+                          Reset
+                        </button>
+                        <button
+                          onClick={() => setShowViewMenu(false)}
+                          className="px-2 py-1 rounded-md text-sm text-white"
+                          style={{ backgroundColor: '#4f46e5' }}
+                        >
+                          Done
+                        </button>
+                      </div>
+                    </div>
+                  )}
+                </div>
+
+                {/* Background popover: color, gradient, pattern or image beneath the artwork */}
+                <div className="relative">
+                  <button
+                    onClick={() => setShowBackgroundMenu(v => !v)}
+                    className="flex items-center gap-2 px-3 py-1.5 rounded-md text-sm border border-gray-200 text-gray-800 hover:bg-gray-50"
+                    title="Background (drop an image on the canvas to use it)"
+                  >
+                    <span className="w-3 h-3 rounded-sm border border-gray-300" style={{ backgroundColor: background.color }} />
+                    Background
+                  </button>
+                  {showBackgroundMenu && (
+                    <div
+                      className={`absolute ${isLandscape ? 'right-full mr-2 top-0' : 'mt-2 right-0'} w-64 bg-white border border-gray-200 rounded-lg shadow p-3 z-50`}
+                      style={{ maxHeight: 'calc(var(--app-vh) - 16px)', overflowY: 'auto' }}
+                    >
+                      <label className="block mb-3 text-sm text-gray-600">
+                        Type
+                        <select
+                          value={background.type}
+                          onChange={e => setBackgroundField('type', e.target.value)}
+                          className="w-full mt-1 px-2 py-1 rounded-md border border-gray-200 text-sm bg-white"
+                        >
+                          {BACKGROUND_TYPES.map(t => <option key={t.value} value={t.value}>{t.label}</option>)}
+                        </select>
+                      </label>
+                      <div className="flex items-center justify-between mb-3">
+                        <label className="text-sm text-gray-600">{background.type === 'linear' || background.type === 'radial' ? 'From' : 'Color'}</label>
+                        <input
+                          type="color"
+                          value={background.color}
+                          onChange={e => setBackgroundField('color', e.target.value)}
+                          className="w-8 h-8 p-0 border-none bg-transparent"
+                        />
+                      </div>
+                      {(background.type === 'linear' || background.type === 'radial') && (
+                        <div className="flex items-center justify-between mb-3">
+                          <label className="text-sm text-gray-600">To</label>
+                          <input
+                            type="color"
+                            value={background.color2}
+                            onChange={e => setBackgroundField('color2', e.target.value)}
+                            className="w-8 h-8 p-0 border-none bg-transparent"
+                          />
+                        </div>
+                      )}
+                      {background.type === 'linear' && (
+                        <div className="mb-3">
+                          <label className="block text-sm text-gray-600 mb-1">Angle: {background.angle}°</label>
+                          <input
+                            type="range"
+                            min={0}
+                            max={360}
+                            step={5}
+                            value={background.angle}
+                            onChange={e => setBackgroundField('angle', Number(e.target.value))}
+                            className="w-full"
+                          />
+                        </div>
+                      )}
+                      {background.type === 'pattern' && (
+                        <>
+                          <div className="flex items-end gap-2 mb-3">
+                            <label className="flex-1 text-sm text-gray-600">
+                              Pattern
+                              <select
+                                value={background.pattern}
+                                onChange={e => setBackgroundField('pattern', e.target.value)}
+                                className="w-full mt-1 px-2 py-1 rounded-md border border-gray-200 text-sm bg-white"
+                              >
+                                {BACKGROUND_PATTERNS.map(p => <option key={p.value} value={p.value}>{p.label}</option>)}
+                              </select>
+                            </label>
+                            <input
+                              type="color"
+                              value={background.patternColor}
+                              onChange={e => setBackgroundField('patternColor', e.target.value)}
+                              className="w-8 h-8 p-0 border-none bg-transparent"
+                              title="Pattern color"
+                            />
+                          </div>
+                          <div className="mb-3">
+                            <label className="block text-sm text-gray-600 mb-1">Size (px): {background.patternSize}</label>
+                            <input
+                              type="range"
+                              min={4}
+                              max={96}
+                              step={2}
+                              value={background.patternSize}
+                              onChange={e => setBackgroundField('patternSize', Number(e.target.value))}
+                              className="w-full"
+                            />
+                          </div>
+                        </>
+                      )}
+                      {background.type === 'image' && (
+                        <>
+                          <label
+                            className="block mb-3 px-2 py-3 rounded-md border border-dashed border-gray-300 text-center text-sm text-gray-600 cursor-pointer hover:bg-gray-50"
+                            onDragOver={handleCanvasDragOver}
+                            onDrop={handleCanvasDrop}
+                          >
+                            {background.image ? 'Replace image…' : 'Choose or drop an image…'}
+                            <input
+                              type="file"
+                              accept="image/*"
+                              className="hidden"
+                              onChange={e => {
+                                loadBackgroundImage(e.target.files?.[0])
+                                e.target.value = ''
+                              }}
+                            />
+                          </label>
+                          <label className="block mb-3 text-sm text-gray-600">
+                            Scaling
+                            <select
+                              value={background.imageFit}
+                              onChange={e => setBackgroundField('imageFit', e.target.value)}
+                              className="w-full mt-1 px-2 py-1 rounded-md border border-gray-200 text-sm bg-white"
+                            >
+                              {IMAGE_FITS.map(f => <option key={f.value} value={f.value}>{f.label}</option>)}
+                            </select>
+                          </label>
+                        </>
+                      )}
+                      {backgroundError && <p className="mb-3 text-sm text-red-600">{backgroundError}</p>}
+                      <div className="flex justify-end gap-2">
+                        <button
+                          onClick={() => setBackground(DEFAULT_BACKGROUND)}
+                          className="px-2 py-1 rounded-md text-sm border border-gray-200 text-gray-700 hover:bg-gray-50"
+                        >
+                          Reset
+                        </button>
+                        <button
+                          onClick={() => setShowBackgroundMenu(false)}
+                          className="px-2 py-1 rounded-md text-sm text-white"
+                          style={{ backgroundColor: '#4f46e5' }}
+                        >
+                          Done
+                        </button>
+                      </div>
+                    </div>
+                  )}
+                </div>
+
+                {/* Animation timeline popover */}
+                <div className="relative">
+                  <button
+                    onClick={() => setShowAnimMenu(v => !v)}
+                    className={`px-3 py-1.5 rounded-md text-sm border ${isPlaying ? 'border-indigo-500 text-indigo-700 bg-indigo-50' : 'border-gray-200 text-gray-800 hover:bg-gray-50'}`}
+                    title="Animation timeline"
+                    aria-label="Animation timeline"
+                  >
+                    <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round" aria-hidden="true">
+                      <rect x="3" y="5" width="18" height="14" rx="2" />
+                      <path d="M10 9l5 3-5 3V9z" />
+                    </svg>
+                  </button>
+                  {showAnimMenu && (
+                    <div
+                      className={`absolute ${isLandscape ? 'right-full mr-2 top-0' : 'mt-2 right-0'} w-72 bg-white border border-gray-200 rounded-lg shadow p-3 z-50`}
+                      style={{ maxHeight: 'calc(var(--app-vh) - 16px)', overflowY: 'auto' }}
+                    >
+                      <div className="flex items-center gap-2 mb-2">
+                        <button
+                          onClick={() => setIsPlaying(v => !v)}
+                          disabled={!keyframes.length || exportProgress !== null}
+                          className="px-2 py-1 rounded-md text-sm border border-gray-200 text-gray-800 hover:bg-gray-50 disabled:opacity-50"
+                        >
+                          {isPlaying ? 'Pause' : 'Play'}
+                        </button>
+                        <span className="flex-1 text-right text-sm text-gray-600">
+                          {animTime.toFixed(2)}s / {animDuration}s
+                        </span>
+                      </div>
+
+                      {/* Timeline track with keyframe markers; click a marker to jump to it */}
+                      <div className="relative h-3 mb-1">
+                        {keyframes.map(k => (
+                          <button
+                            key={k.id}
+                            onClick={() => seekAnimation(k.time)}
+                            className="absolute top-0 w-3 h-3 -ml-1.5 rotate-45 border border-white shadow"
+                            style={{ left: `${Math.min(100, (k.time / animDuration) * 100)}%`, backgroundColor: k.lineColor }}
+                            title={`Keyframe at ${k.time.toFixed(2)}s`}
+                          />
+                        ))}
+                      </div>
+                      <input
+                        type="range"
+                        min={0}
+                        max={animDuration}
+                        step={1 / animFps}
+                        value={Math.min(animTime, animDuration)}
+                        onChange={e => seekAnimation(Number(e.target.value))}
+                        className="w-full mb-3"
+                        aria-label="Playhead"
+                      />
+
+                      <div className="flex gap-2 mb-3">
+                        <label className="flex-1 text-sm text-gray-600">
+                          Duration (s)
+                          <input
+                            type="number"
+                            min={0.1}
+                            step={0.1}
+                            value={animDuration}
+                            onChange={e => { const v = Number(e.target.value); if (v > 0) setAnimDuration(v) }}
+                            className="w-full mt-1 px-2 py-1 rounded-md border border-gray-200 text-sm"
+                          />
+                        </label>
+                        <label className="flex-1 text-sm text-gray-600">
+                          FPS
+                          <input
+                            type="number"
+                            min={1}
+                            max={60}
+                            step={1}
+                            value={animFps}
+                            onChange={e => { const v = Math.round(Number(e.target.value)); if (v >= 1 && v <= 60) setAnimFps(v) }}
+                            className="w-full mt-1 px-2 py-1 rounded-md border border-gray-200 text-sm"
+                          />
+                        </label>
+                      </div>
+
+                      <button
+                        onClick={addKeyframe}
+                        className="w-full mb-2 px-2 py-1 rounded-md text-sm border border-gray-200 text-gray-800 hover:bg-gray-50"
+                        title="Store the active layer's params, tilt, color and width at the playhead"
+                      >
+                        + Keyframe at {animTime.toFixed(2)}s
+                      </button>
+                      {keyframes.length === 0 && (
+                        <p className="mb-3 text-xs text-gray-500">Add at least one keyframe, move the playhead, change the curve and add another.</p>
+                      )}
+                      <ul className="mb-3 space-y-1">
+                        {keyframes.map(k => (
+                          <li key={k.id} className="flex items-center gap-2 text-sm">
+                            <span className="w-3 h-3 rounded-full border border-gray-200" style={{ backgroundColor: k.lineColor }} />
+                            <input
+                              type="number"
+                              min={0}
+                              step={0.1}
+                              value={k.time}
+                              onChange={e => { const v = Number(e.target.value); if (e.target.value !== '' && v >= 0) updateKeyframeTime(k.id, v) }}
+                              className="w-20 px-2 py-0.5 rounded-md border border-gray-200 text-sm"
+                              aria-label="Keyframe time"
+                            />
+                            <span className="flex-1 text-xs text-gray-500 truncate">
+                              s · {layers.find(l => l.id === k.layerId)?.name}
+                            </span>
+                            <button
+                              onClick={() => seekAnimation(k.time)}
+                              className="px-2 py-0.5 rounded-md text-xs border border-gray-200 text-gray-700 hover:bg-gray-50"
+                            >
+                              Go
+                            </button>
+                            <button
+                              onClick={() => removeKeyframe(k.id)}
+                              className="px-2 py-0.5 rounded-md text-xs border border-gray-200 text-gray-700 hover:bg-gray-50"
+                              aria-label="Delete keyframe"
+                            >
+                              ×
+                            </button>
+                          </li>
+                        ))}
+                      </ul>
+
+                      <div className="pt-3 border-t border-gray-200">
+                        {animError && <p className="mb-2 text-xs text-red-600">{animError}</p>}
+                        {animNote && <p className="mb-2 text-xs text-amber-700">{animNote}</p>}
+                        {exportProgress !== null ? (
+                          <div className="flex items-center gap-2 text-sm text-gray-600">
+                            <span className="flex-1">Exporting… {Math.round(exportProgress * 100)}%</span>
+                            <button
+                              onClick={() => exportAbortRef.current?.abort()}
+                              className="px-2 py-1 rounded-md text-sm border border-gray-200 text-gray-700 hover:bg-gray-50"
+                            >
+                              Cancel
+                            </button>
+                          </div>
+                        ) : (
+                          <div className="flex gap-2">
+                            <button
+                              onClick={() => exportAnimation('webm')}
+                              disabled={!keyframes.length}
+                              className="flex-1 px-2 py-1 rounded-md text-sm text-white disabled:opacity-50"
+                              style={{ backgroundColor: '#4f46e5' }}
+                              title={webmSupported() ? 'Export WebM video' : 'WebM is not supported here; exports a GIF instead'}
+                            >
+                              WebM
+                            </button>
+                            <button
+                              onClick={() => exportAnimation('gif')}
+                              disabled={!keyframes.length}
+                              className="flex-1 px-2 py-1 rounded-md text-sm text-white disabled:opacity-50"
+                              style={{ backgroundColor: '#4f46e5' }}
+                              title="Export animated GIF"
+                            >
+                              GIF
+                            </button>
+                          </div>
+                        )}
+                      </div>
+                    </div>
+                  )}
+                </div>
+
+                {/* Undo / redo */}
+                <button
+                  onClick={undo}
+                  disabled={!historyState.canUndo}
+                  className="px-3 py-1.5 rounded-md text-sm border border-gray-200 text-gray-800 hover:bg-gray-50 disabled:opacity-40"
+                  title="Undo (Ctrl+Z)"
+                  aria-label="Undo"
                 >
-                  Tilt
+                  <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round" aria-hidden="true">
+                    <path d="M9 14L4 9l5-5" />
+                    <path d="M4 9h11a5 5 0 0 1 0 10h-4" />
+                  </svg>
+                </button>
+                <button
+                  onClick={redo}
+                  disabled={!historyState.canRedo}
+                  className="px-3 py-1.5 rounded-md text-sm border border-gray-200 text-gray-800 hover:bg-gray-50 disabled:opacity-40"
+                  title="Redo (Ctrl+Shift+Z)"
+                  aria-label="Redo"
+                >
+                  <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round" aria-hidden="true">
+                    <path d="M15 14l5-5-5-5" />
+                    <path d="M20 9H9a5 5 0 0 0 0 10h4" />
+                  </svg>
                 </button>
 
                 {/* Save (freeze) */}
@@ -568,22 +2441,260 @@ export default function App() {
                   </svg>
                 </button>
 
-                {/* Download PNG */}
-                <button
-                  onClick={handleSave}
-                  className="px-3 py-1.5 rounded-md text-sm text-white"
-                  style={{ backgroundColor: '#4f46e5' }}
-                  title="Download PNG"
-                  aria-label="Download PNG"
-                >
-                  <svg width="18" height="18" viewBox="0 0 24 24" fill="none"
-                       stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"
-                       aria-hidden="true">
-                    <path d="M12 3v10" />
-                    <path d="M8 11l4 4 4-4" />
-                    <path d="M5 21h14" />
-                  </svg>
-                </button>
+                {/* Download PNG: export dialog with size/DPI and presets */}
+                <div className="relative">
+                  <button
+                    onClick={openExportMenu}
+                    className="px-3 py-1.5 rounded-md text-sm text-white"
+                    style={{ backgroundColor: '#4f46e5' }}
+                    title="Download PNG or SVG"
+                    aria-label="Download PNG or SVG"
+                  >
+                    <svg width="18" height="18" viewBox="0 0 24 24" fill="none"
+                         stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"
+                         aria-hidden="true">
+                      <path d="M12 3v10" />
+                      <path d="M8 11l4 4 4-4" />
+                      <path d="M5 21h14" />
+                    </svg>
+                  </button>
+                  {showExportMenu && exportSize && (
+                    <div
+                      className={`absolute ${isLandscape ? 'right-full mr-2 top-0' : 'mt-2 right-0'} w-72 bg-white border border-gray-200 rounded-lg shadow p-3 z-50`}
+                      style={{ maxHeight: 'calc(var(--app-vh) - 16px)', overflowY: 'auto' }}
+                    >
+                      <div className="grid grid-cols-2 gap-1 mb-3">
+                        <button
+                          onClick={() => setExportSize(screenExportSize())}
+                          className="px-1 py-1 rounded-md text-xs border border-gray-200 text-gray-700 hover:bg-gray-50"
+                        >
+                          Screen size
+                        </button>
+                        {EXPORT_PRESETS.map(({ label, ...size }) => (
+                          <button
+                            key={label}
+                            onClick={() => setExportSize(size)}
+                            className="px-1 py-1 rounded-md text-xs border border-gray-200 text-gray-700 hover:bg-gray-50"
+                          >
+                            {label}
+                          </button>
+                        ))}
+                      </div>
+                      <div className="flex items-end gap-2 mb-3">
+                        <label className="flex-1 text-sm text-gray-600">
+                          Width
+                          {exportField('width')}
+                        </label>
+                        <button
+                          onClick={() => setExportSize(size => ({ ...size, width: size.height, height: size.width }))}
+                          className="px-2 py-1 rounded-md text-sm border border-gray-200 text-gray-700 hover:bg-gray-50"
+                          title="Swap width and height"
+                          aria-label="Swap width and height"
+                        >
+                          ⇄
+                        </button>
+                        <label className="flex-1 text-sm text-gray-600">
+                          Height
+                          {exportField('height')}
+                        </label>
+                      </div>
+                      <div className="flex gap-2 mb-3">
+                        <label className="flex-1 text-sm text-gray-600">
+                          Unit
+                          <select
+                            value={exportSize.unit}
+                            onChange={e => setExportUnit(e.target.value)}
+                            className="w-full mt-1 px-2 py-1 rounded-md border border-gray-200 text-sm bg-white"
+                          >
+                            <option value="px">pixels</option>
+                            <option value="in">inches</option>
+                          </select>
+                        </label>
+                        {exportSize.unit === 'in' && (
+                          <label className="flex-1 text-sm text-gray-600">
+                            DPI
+                            {exportField('dpi')}
+                          </label>
+                        )}
+                      </div>
+                      <p className="mb-1 text-xs text-gray-500">
+                        {exportValid ? `${exportPx.width} × ${exportPx.height} px · ${((exportPx.width * exportPx.height) / 1e6).toFixed(1)} MP` : 'Enter a size'}
+                        {' '}(plus footer). Other aspect ratios widen the view.
+                      </p>
+                      {exportValid && exportPx.width * exportPx.height > LARGE_EXPORT_PIXELS && (
+                        <p className="mb-1 text-xs text-amber-700">Large export: may be slow, and may fail on phones.</p>
+                      )}
+                      {exportError && <p className="mb-1 text-xs text-red-600">{exportError}</p>}
+                      {exportNote && <p className="mb-1 text-xs text-amber-700">{exportNote}</p>}
+                      <div className="flex justify-end gap-2 mt-2">
+                        <button
+                          onClick={() => setShowExportMenu(false)}
+                          className="px-2 py-1 rounded-md text-sm border border-gray-200 text-gray-700 hover:bg-gray-50"
+                        >
+                          Close
+                        </button>
+                        <button
+                          onClick={() => handleExport('svg')}
+                          disabled={!exportValid || Boolean(exporting)}
+                          className="px-2 py-1 rounded-md text-sm border border-gray-200 text-gray-700 hover:bg-gray-50 disabled:opacity-50"
+                          title="Vector curves and traced fills, for plotting and cutting"
+                        >
+                          {exporting === 'svg' ? 'Tracing…' : 'Export SVG'}
+                        </button>
+                        <button
+                          onClick={() => handleExport('png')}
+                          disabled={!exportValid || Boolean(exporting)}
+                          className="px-2 py-1 rounded-md text-sm text-white disabled:opacity-50"
+                          style={{ backgroundColor: '#4f46e5' }}
+                        >
+                          {exporting === 'png' ? 'Rendering…' : 'Download PNG'}
+                        </button>
+                      </div>
+                    </div>
+                  )}
+                </div>
+
+                {/* Pen plotter: G-code / HPGL with paper layout, pens and a preview */}
+                <div className="relative">
+                  <button
+                    onClick={() => setShowPlotMenu(v => !v)}
+                    className={`px-3 py-1.5 rounded-md text-sm border ${showPlotMenu ? 'border-indigo-500 text-indigo-700 bg-indigo-50' : 'border-gray-200 text-gray-800 hover:bg-gray-50'}`}
+                    title="Plotter export (G-code, HPGL)"
+                    aria-label="Plotter export"
+                  >
+                    <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round" aria-hidden="true">
+                      <path d="M12 19l7-7 3 3-7 7-3-3z" />
+                      <path d="M18 13l-1.5-7.5L2 2l3.5 14.5L13 18l5-5z" />
+                      <path d="M2 2l7.586 7.586" />
+                      <circle cx="11" cy="11" r="2" />
+                    </svg>
+                  </button>
+                  {showPlotMenu && (
+                    <div
+                      className={`absolute ${isLandscape ? 'right-full mr-2 top-0' : 'mt-2 right-0'} w-72 bg-white border border-gray-200 rounded-lg shadow p-3 z-50`}
+                      style={{ maxHeight: 'calc(var(--app-vh) - 16px)', overflowY: 'auto' }}
+                    >
+                      <div className="flex gap-2 mb-3">
+                        <label className="flex-1 text-sm text-gray-600">
+                          Paper
+                          <select
+                            value={plotSettings.paper}
+                            onChange={e => setPlotField('paper', e.target.value)}
+                            className="w-full mt-1 px-2 py-1 rounded-md border border-gray-200 text-sm bg-white"
+                          >
+                            {Object.keys(PAPER_SIZES).map(name => <option key={name} value={name}>{name}</option>)}
+                          </select>
+                        </label>
+                        <label className="flex-1 text-sm text-gray-600">
+                          Orientation
+                          <select
+                            value={plotSettings.landscape ? 'landscape' : 'portrait'}
+                            onChange={e => setPlotField('landscape', e.target.value === 'landscape')}
+                            className="w-full mt-1 px-2 py-1 rounded-md border border-gray-200 text-sm bg-white"
+                          >
+                            <option value="portrait">Portrait</option>
+                            <option value="landscape">Landscape</option>
+                          </select>
+                        </label>
+                      </div>
+                      <div className="flex gap-2 mb-3">
+                        <label className="flex-1 text-sm text-gray-600">
+                          Margin (mm)
+                          {plotField('margin', 1)}
+                        </label>
+                        <label className="flex-1 text-sm text-gray-600" title="Douglas-Peucker tolerance: points closer than this to the simplified path are dropped">
+                          Simplify (mm)
+                          {plotField('tolerance', 0.05)}
+                        </label>
+                      </div>
+                      <div className="flex gap-2 mb-3">
+                        <label className="flex-1 text-sm text-gray-600">
+                          Draw (mm/s)
+                          {plotField('drawSpeed', 1)}
+                        </label>
+                        <label className="flex-1 text-sm text-gray-600">
+                          Travel (mm/s)
+                          {plotField('travelSpeed', 1)}
+                        </label>
+                      </div>
+
+                      {/* One pen per line color by default; colors sharing a number share a pen */}
+                      {plotSource && (
+                        <div className="mb-3">
+                          <div className="mb-1 text-sm text-gray-600">Pens</div>
+                          {pathColors(plotSource.paths).map((color, k) => (
+                            <label key={color} className="flex items-center gap-2 mb-1 text-sm text-gray-600">
+                              <span className="w-5 h-5 rounded border border-gray-200" style={{ backgroundColor: color }} />
+                              <span className="flex-1 font-mono text-xs">{color}</span>
+                              Pen
+                              <input
+                                type="number"
+                                min={1}
+                                step={1}
+                                value={penMap[color] ?? k + 1}
+                                onChange={e => setPenMap(m => ({ ...m, [color]: Math.max(1, Math.round(Number(e.target.value)) || 1) }))}
+                                className="w-14 px-2 py-1 rounded-md border border-gray-200 text-sm"
+                              />
+                            </label>
+                          ))}
+                          {!plotSource.paths.length && <p className="text-xs text-gray-500">No curves to plot.</p>}
+                          {plotSource.note && <p className="text-xs text-amber-700">{plotSource.note}</p>}
+                        </div>
+                      )}
+
+                      <div className="flex gap-2 mb-3">
+                        <label className="flex-1 text-sm text-gray-600" title="G-code sent to raise the pen">
+                          Pen up
+                          <input
+                            value={plotSettings.penUp}
+                            onChange={e => setPlotField('penUp', e.target.value)}
+                            className="w-full mt-1 px-2 py-1 rounded-md border border-gray-200 text-sm font-mono"
+                          />
+                        </label>
+                        <label className="flex-1 text-sm text-gray-600" title="G-code sent to lower the pen">
+                          Pen down
+                          <input
+                            value={plotSettings.penDown}
+                            onChange={e => setPlotField('penDown', e.target.value)}
+                            className="w-full mt-1 px-2 py-1 rounded-md border border-gray-200 text-sm font-mono"
+                          />
+                        </label>
+                      </div>
+                      <label className="flex items-center gap-2 mb-2 text-sm text-gray-600">
+                        <input
+                          type="checkbox"
+                          checked={showTravel}
+                          onChange={e => setShowTravel(e.target.checked)}
+                        />
+                        Show pen-up travel in the preview
+                      </label>
+                      <p className="mb-1 text-xs text-gray-500">Curves only: fills are not plotted.</p>
+                      <div className="flex justify-end gap-2 mt-2">
+                        <button
+                          onClick={() => setShowPlotMenu(false)}
+                          className="px-2 py-1 rounded-md text-sm border border-gray-200 text-gray-700 hover:bg-gray-50"
+                        >
+                          Close
+                        </button>
+                        <button
+                          onClick={() => handlePlotExport('hpgl')}
+                          disabled={!plotPlan?.pens.length}
+                          className="px-2 py-1 rounded-md text-sm border border-gray-200 text-gray-700 hover:bg-gray-50 disabled:opacity-50"
+                        >
+                          HPGL
+                        </button>
+                        <button
+                          onClick={() => handlePlotExport('gcode')}
+                          disabled={!plotPlan?.pens.length}
+                          className="px-2 py-1 rounded-md text-sm text-white disabled:opacity-50"
+                          style={{ backgroundColor: '#4f46e5' }}
+                        >
+                          G-code
+                        </button>
+                      </div>
+                    </div>
+                  )}
+                </div>
     </>
   )
 
@@ -598,19 +2709,24 @@ export default function App() {
             </div>
           </div>
           <div className="flex-1 min-h-0 p-2 sm:p-3">
-            <div ref={containerRef} className="relative h-full rounded-xl shadow-sm bg-white">
+            <div ref={containerRef} className="relative h-full rounded-xl shadow-sm bg-white" onDragOver={handleCanvasDragOver} onDrop={handleCanvasDrop}>
               <Canvas
                 ref={canvasRef}
-                expression={expr}
-                params={params}
-                lineColor={lineColor}
-                bgColor={bgColor}
-                tiltAngle={tilt}
-                lineWidth={lineWidth}
-                lineOpacity={lineOpacity}
+                layers={layers}
+                activeLayerId={activeLayer.id}
+                scene={scene}
+                onSceneChange={setScene}
+                viewport={viewport}
+                squareAspect={squareAspect}
+                onViewportChange={setViewport}
+                background={background}
                 activeTool={activeTool}
+                onLayerChange={updateLayer}
+                transformSnap={transformSnap}
+                guides={guides}
                 fillParent={true}
               />
+              {plotPlan && <PlotPreview plan={plotPlan} margin={Number(plotSettings.margin) || 0} showTravel={showTravel} />}
               <div
                 onClick={handleBucketClick}
                 className="absolute left-0 right-0 bottom-0"
@@ -634,19 +2750,24 @@ export default function App() {
         // Landscape: canvas on left, two-column menu on right sidebar
         <>
           <div className="flex-1 min-w-0 min-h-0 p-2 sm:p-3">
-            <div ref={containerRef} className="relative h-full rounded-xl shadow-sm bg-white">
+            <div ref={containerRef} className="relative h-full rounded-xl shadow-sm bg-white" onDragOver={handleCanvasDragOver} onDrop={handleCanvasDrop}>
               <Canvas
                 ref={canvasRef}
-                expression={expr}
-                params={params}
-                lineColor={lineColor}
-                bgColor={bgColor}
-                tiltAngle={tilt}
-                lineWidth={lineWidth}
-                lineOpacity={lineOpacity}
+                layers={layers}
+                activeLayerId={activeLayer.id}
+                scene={scene}
+                onSceneChange={setScene}
+                viewport={viewport}
+                squareAspect={squareAspect}
+                onViewportChange={setViewport}
+                background={background}
                 activeTool={activeTool}
+                onLayerChange={updateLayer}
+                transformSnap={transformSnap}
+                guides={guides}
                 fillParent={true}
               />
+              {plotPlan && <PlotPreview plan={plotPlan} margin={Number(plotSettings.margin) || 0} showTravel={showTravel} />}
               <div
                 onClick={handleBucketClick}
                 className="absolute left-0 right-0 bottom-0"
@@ -1,151 +1,1057 @@
 import React, { forwardRef, useEffect, useImperativeHandle, useRef, useState } from 'react'
-import { create, all } from 'mathjs'
+import { compileLayer, compileSource, compileStyle, implicitKRange, layerExpression, layerScope, sampleLayerWithin, samplingKey } from '../lib/sampling.js'
+import { createSampler, FAST_BUDGET_MS, SLOW_BUDGET_MS } from '../lib/sampler.js'
+import { createFiller } from '../lib/filler.js'
+import { DEFAULT_VIEWPORT, createMapping, effectiveViewport, fitViewport, panViewport, zoomViewport, resizeViewport, sameViewport, viewportImageRect } from '../lib/viewport.js'
+import { floodFill, maskBounds } from '../lib/fill.js'
+import { hexToRgb } from '../lib/color.js'
+import { stylePainter } from '../lib/fillstyle.js'
+import { downloadBlob } from '../lib/download.js'
+import { lerpColor } from '../lib/animation.js'
+import { clipPolyline } from '../lib/polyline.js'
+import { areaToLevel, areaBetween, hatchSegments } from '../lib/area.js'
+import { sweepLayers, describeSweep } from '../lib/sweep.js'
+import { layerTransforms, transformPoints } from '../lib/symmetry.js'
+import { applyMatrix, clampScale, clampSkew, invert, isIdentityPlacement, multiply, placementMatrix, rotation, snapTransform } from '../lib/transform.js'
+import { blendMode, cssBlendMode } from '../lib/blend.js'
+import { DEFAULT_BACKGROUND, isFlatBackground, paintBackground, gradientLine, gradientCircle } from '../lib/background.js'
+import { niceStep, gridValues, formatTick, formatCoordinate, polylineIntersections } from '../lib/overlay.js'
+import { polylinePathData, maskPathData, svgTag, svgLayer, svgMetadata, svgDocument, escapeXml } from '../lib/svg.js'
 
-const math = create(all, {})
+function strokeCurrentPath(ctx, lineColor, lineWidth, lineOpacity) {
+  ctx.globalAlpha = Math.min(1, Math.max(0, lineOpacity || 1))
+  ctx.lineWidth = Math.max(0.5, Number(lineWidth || 2))
+  ctx.strokeStyle = lineColor || '#111827'
+  ctx.stroke()
+}
 
-const X_RANGE = { min: -10, max: 10 }
+// --- Overscan logic ------------------------------------------------------
+// A transformed curve (placed, see lib/transform.js, and copied by
+// symmetry) shows parts that lie outside the canvas before the transform.
+// To keep it looking continuous, with no start or end inside the view, the
+// sampled domain is extended by an overscan margin covering everything any
+// copy maps onto the canvas: the bounding box of the canvas corners mapped
+// back through each transform.
 
-function drawFunction(ctx, canvas, compiled, scope, lineColor, bgColor, tiltAngleDeg = 0, skipClear = false, lineWidth = 2, lineOpacity = 1) {
-  const dpr = canvas._dpr || 1
-  const width = canvas.width / dpr
-  const height = canvas.height / dpr
-  // Clear and background (operate in CSS pixels; transform handles DPR)
-  if (!skipClear) {
-    ctx.save()
-    ctx.clearRect(0, 0, width, height)
-    ctx.fillStyle = bgColor || '#ffffff'
-    ctx.fillRect(0, 0, width, height)
-    ctx.restore()
+// Margin (px) to sample beyond each side of the canvas for a layer
+function layerOverscan(layer, width, height) {
+  const corners = [[0, 0], [width, 0], [0, height], [width, height]]
+  let over = { x: 0, y: 0 }
+  for (const transform of layerTransforms(layer, width, height)) {
+    const inverse = invert(transform)
+    for (const corner of corners) {
+      const [x, y] = applyMatrix(inverse, corner)
+      over = {
+        x: Math.max(over.x, -x, x - width),
+        y: Math.max(over.y, -y, y - height),
+      }
+    }
   }
+  return over
+}
 
-  // axes scaling
-  const xMin = X_RANGE.min
-  const xMax = X_RANGE.max
-  const yMin = -5
-  const yMax = 5
-
-  const pxPerX = width / (xMax - xMin)
-  const pxPerY = height / (yMax - yMin)
-
-  // --- Overscan logic ----------------------------------------------------
-  // When we rotate the drawing, the original horizontal domain [0,width]
-  // becomes a rotated strip. The line endpoints (at xMin/xMax) can become
-  // visible inside the canvas bounds for non-zero angles. To keep the
-  // function appearing continuous (no visible start/end inside view), we
-  // extend the pixel drawing range horizontally by an overscan margin so
-  // endpoints lie off-canvas after rotation.
-  // Horizontal extent of rotated canvas: W' = |W cosθ| + |H sinθ|
-  // Required extra width = W' - W. We distribute half on each side.
-  const rad = (tiltAngleDeg * Math.PI) / 180
-  const rotatedWidth = Math.abs(width * Math.cos(rad)) + Math.abs(height * Math.sin(rad))
-  const overscanPx = Math.max(0, (rotatedWidth - width) / 2)
-  // Scale x mapping to include overscan while keeping mathematical domain same.
-  // Pixel range becomes [-overscanPx, width + overscanPx]
-  const pxPerXExt = (width + 2 * overscanPx) / (xMax - xMin)
+// World-space polylines mapped to canvas px. Points next to poles can be
+// astronomically far off-canvas; they are clamped well outside the (rotated)
+// view so the path rasterizes reliably.
+function toScreenLines(lines, view, width, height) {
+  const { toPx } = createMapping(view, width, height)
+  const limit = 10 * (width + height)
+  const clamp = (v) => Math.max(-limit, Math.min(limit, v))
+  return lines.map(line => line.map(([x, y]) => toPx(x, y).map(clamp)))
+}
 
+// Stroke world-space polylines with the view mapping and a stroke style
+// (see layerStyle), once per transform (tilt and symmetry copies, see
+// lib/symmetry.js). A uniform style strokes all copies as a single path, so
+// overlaps don't darken translucent lines; a varying one strokes each run
+// of equally styled segments on its own.
+function drawCurve(ctx, width, height, lines, view, transforms, style) {
+  const screenLines = toScreenLines(lines, view, width, height)
+  // Path points are transformed as they are added
+  const tracePath = (polylines) => {
+    for (const transform of transforms) {
+      ctx.save()
+      ctx.transform(...transform)
+      for (const line of polylines) {
+        line.forEach(([px, py], k) => {
+          if (k === 0) ctx.moveTo(px, py)
+          else ctx.lineTo(px, py)
+        })
+      }
+      ctx.restore()
+    }
+  }
   ctx.save()
-  // Apply tilt by rotating around the center
-  if (tiltAngleDeg) {
-    const cx = width / 2
-    const cy = height / 2
-    ctx.translate(cx, cy)
-    ctx.rotate(rad)
-    ctx.translate(-cx, -cy)
+  ctx.lineCap = style.cap
+  ctx.lineJoin = style.join
+  ctx.setLineDash(style.dash)
+  if (!style.at) {
+    ctx.beginPath()
+    tracePath(screenLines)
+    strokeCurrentPath(ctx, style.color, style.width, style.opacity)
+  } else {
+    for (const run of styledRuns(lines, screenLines, style)) {
+      if (!(run.opacity > 0)) continue
+      // Dashes continue across runs of the same piece
+      ctx.lineDashOffset = run.offset
+      ctx.beginPath()
+      tracePath([run.points])
+      strokeCurrentPath(ctx, run.color, run.width, run.opacity)
+    }
   }
-  ctx.beginPath()
-  // Increase steps proportional to extended width for smoothness when overscanned
-  const effectiveWidth = width + 2 * overscanPx
-  const steps = Math.max(300, Math.floor(effectiveWidth)) // smooth relative to effective width
-  let first = true
-  for (let i = 0; i <= steps; i++) {
-    const t = i / steps
-    const x = xMin + t * (xMax - xMin)
+  ctx.restore()
+  // Reset global alpha for subsequent operations
+  ctx.globalAlpha = 1
+}
+
+// --- Layers --------------------------------------------------------------
+// A layer carries its own curve definition (mode, expressions, ranges),
+// params and line style (lineColor, lineWidth, lineOpacity, tilt). Layers
+// are drawn bottom to top in array order.
+
+// Footer label for a layer's curve
+function describeLayer(layer) {
+  const ex = (layerExpression(layer) || '').trim()
+  if (!ex) return ''
+  if (layer.mode === 'parametric') {
+    const ey = (layer.exprY || '').trim()
+    if (!ey) return ''
+    return `(x, y) = (${ex}, ${ey}), t ∈ [${layer.tMin}, ${layer.tMax}]`
+  }
+  if (layer.mode === 'polar') {
+    return `r(θ) = ${ex}, θ ∈ [${layer.thetaMin}, ${layer.thetaMax}]`
+  }
+  if (layer.mode === 'implicit') {
+    const eq = ex.includes('=') ? ex : `${ex} = 0`
+    const [lo, hi] = implicitKRange(layer)
+    return lo === 0 && hi === 0 ? eq : `${eq}, levels k·c for k ∈ [${lo}, ${hi}]`
+  }
+  return ex
+}
+
+// --- Stroke style ----------------------------------------------------------
+// Besides lineColor, lineWidth and lineOpacity, a layer's line can vary
+// along the curve: a gradient from lineColor to gradientColor by arc length,
+// x or y (gradient: 'none' | 'arc' | 'x' | 'y'), and width and opacity given
+// as expressions (widthExpr, opacityExpr) of the world point x, y and the
+// arc length s from 0 to 1. lineDash ("8 4"), lineCap and lineJoin apply to
+// every line. Blank expressions fall back to the constant settings. The
+// expressions are evaluated with the curve's samples (see sampleStyle in
+// lib/sampling.js), off the main thread for live layers.
+
+// Sampled lines -> their style values (see sampleStyle)
+const lineStyles = new WeakMap()
+
+// Dash lengths from "8 4" or "8, 4"; anything unusable means a solid line
+function parseDash(text) {
+  const parts = String(text || '').split(/[\s,]+/).filter(Boolean).map(Number)
+  return parts.length && parts.every(v => v >= 0) && parts.some(v => v > 0) ? parts : []
+}
+
+// Stroke style of a layer's sampled `lines` in a view: { color, width,
+// opacity, cap, join, dash } plus, when anything varies along the curve,
+// `at(k, x, y, s)` giving { color, width, opacity } of the k-th segment,
+// with midpoint (x, y) at arc length s. Varying values are quantized so
+// that neighbouring segments share runs.
+function layerStyle(layer, view, lines) {
+  const base = {
+    color: layer.lineColor || '#111827',
+    width: Math.max(0.5, Number(layer.lineWidth || 2)),
+    opacity: Math.min(1, Math.max(0, layer.lineOpacity || 1)),
+    cap: layer.lineCap || 'butt',
+    join: layer.lineJoin || 'miter',
+    dash: parseDash(layer.lineDash),
+    at: null,
+  }
+  const values = lineStyles.get(lines) || {}
+  const gradient = ['arc', 'x', 'y'].includes(layer.gradient) ? layer.gradient : null
+  if (!gradient && !values.width && !values.opacity) return base
+  const value = (v, fallback) => (Number.isNaN(v) ? fallback : v)
+  const position = {
+    arc: (x, y, s) => s,
+    x: (x) => (x - view.xMin) / (view.xMax - view.xMin),
+    y: (x, y) => (y - view.yMin) / (view.yMax - view.yMin),
+  }[gradient]
+  base.at = (k, x, y, s) => {
+    const u = position ? Math.round(Math.min(1, Math.max(0, position(x, y, s))) * 128) / 128 : 0
+    return {
+      color: position ? lerpColor(base.color, layer.gradientColor || base.color, u) : base.color,
+      width: values.width ? Math.round(Math.min(100, Math.max(0.5, value(values.width[k], base.width))) * 4) / 4 : base.width,
+      opacity: values.opacity ? Math.round(Math.min(1, Math.max(0, value(values.opacity[k], base.opacity))) * 50) / 50 : base.opacity,
+    }
+  }
+  return base
+}
+
+// Split screen polylines into runs of consecutive segments sharing a style,
+// each styled at its first segment's midpoint: { points, color, width,
+// opacity, offset } with offset the length of its piece before it (for
+// dashes). `lines` are the same polylines in world space.
+function styledRuns(lines, screenLines, style) {
+  const segLength = (p, q) => Math.hypot(q[0] - p[0], q[1] - p[1])
+  let total = 0
+  for (const line of screenLines) {
+    for (let k = 1; k < line.length; k++) total += segLength(line[k - 1], line[k])
+  }
+  const runs = []
+  let along = 0
+  let segment = 0
+  screenLines.forEach((line, i) => {
+    let run = null
+    let offset = 0
+    for (let k = 1; k < line.length; k++) {
+      const seg = segLength(line[k - 1], line[k])
+      const [x0, y0] = lines[i][k - 1]
+      const [x1, y1] = lines[i][k]
+      const st = style.at(segment++, (x0 + x1) / 2, (y0 + y1) / 2, total ? (along + seg / 2) / total : 0)
+      if (!run || run.color !== st.color || run.width !== st.width || run.opacity !== st.opacity) {
+        run = { ...st, offset, points: [line[k - 1]] }
+        runs.push(run)
+      }
+      run.points.push(line[k])
+      along += seg
+      offset += seg
+    }
+  })
+  return runs
+}
+
+
+// --- Sampling --------------------------------------------------------------
+// Layers are sampled by lib/sampling.js. Live layers on screen are sampled
+// in a worker (see lib/sampler.js and liveLines below) so heavy expressions
+// can't freeze the page; everything else drawn synchronously (bakes,
+// exports, guides) samples here, within MAIN_THREAD_BUDGET_MS. Both share
+// complete samples by sampling key, so freezing a layer reuses what is on
+// screen once it is drawn in full. What could only be previewed here is
+// noted (see noticingPreviews) so bakes and exports can ask the worker for
+// the full curve and draw again.
+
+const MAIN_THREAD_BUDGET_MS = 1000
+const LINES_CACHE_SIZE = 32
+
+// Sampling key -> { lines, final, complete }; complete is false for
+// previews, final once nothing will refine them. The oldest entries are
+// dropped first.
+const linesCache = new Map()
+
+function cacheLines(key, entry) {
+  linesCache.delete(key)
+  linesCache.set(key, entry)
+  if (linesCache.size > LINES_CACHE_SIZE) linesCache.delete(linesCache.keys().next().value)
+}
+
+// Previews drawn by sampleLayer while noticingPreviews runs
+let previewed = null
+
+// Run draw(), returning [its result, { key, layer, view, width, height,
+// over } of each layer it drew as a preview]
+function noticingPreviews(draw) {
+  const outer = previewed
+  const noted = (previewed = [])
+  try {
+    return [draw(), noted]
+  } finally {
+    previewed = outer
+    outer?.push(...noted)
+  }
+}
+
+// World-space polylines of a layer for the given view, or null if its
+// expressions don't compile. `over` defaults to what its copies need. A
+// preview in the cache is sampled again unless the worker gave up on it.
+function sampleLayer(layer, view, width, height, over = layerOverscan(layer, width, height)) {
+  const key = samplingKey(layer, view, width, height, over)
+  const cached = linesCache.get(key)
+  if (cached?.complete) return cached.lines
+  let lines = cached?.lines ?? null
+  let complete = false
+  if (!cached?.final) {
+    const result = sampleLayerWithin(layer, view, width, height, over, { budget: MAIN_THREAD_BUDGET_MS })
+    lines = result.lines
+    complete = result.complete
+    if (result.styles) lineStyles.set(lines, result.styles)
+    cacheLines(key, { lines, final: complete, complete })
+  }
+  if (lines && !complete) previewed?.push({ key, layer, view, width, height, over })
+  return lines
+}
+
+// Notice for output drawn with previews of `layers` (see noticingPreviews),
+// or null if there are none
+function previewNote(layers) {
+  if (!layers.length) return null
+  const curves = [...new Set(layers.map(describeLayer))].join(', ')
+  return `Drawn with a low-resolution preview of ${curves}, which is too slow to plot in full`
+}
+
+// Notice for a layer that is slow to sample, by the `kind` of the last
+// answer for it (see onSampled in the component)
+function slowNote(layer, { kind, seconds }) {
+  const curve = `${layer.name}: ${describeLayer(layer)}`
+  switch (kind) {
+    case 'preview': return `${curve} is slow to plot; showing a low-resolution preview until it finishes`
+    case 'slow': return `${curve} takes ${seconds} s to plot; a low-resolution preview shows while it redraws`
+    case 'gave-up': return `${curve} takes over ${SLOW_BUDGET_MS / 1000} s to plot; showing a low-resolution preview`
+    default: return `${curve} got stuck evaluating and was stopped`
+  }
+}
+
+// --- Area fill -------------------------------------------------------------
+// y = f(x) layers can shade the region between the curve and the x axis
+// (area: 'axis'), a second curve g(x) = areaExpr ('curve'), or everything
+// above or below it ('above' / 'below'), as a solid color, a vertical
+// gradient from areaColor to areaColor2, or hatching (hatchAngle,
+// hatchSpacing px), at areaOpacity. The regions are polygons built from the
+// sampled curve (see lib/area.js), drawn beneath the line with the same
+// tilt and symmetry copies.
+
+const AREA_MODES = ['axis', 'curve', 'above', 'below']
+
+// Compiled g(x) of an area between two curves, null if it's invalid, or
+// undefined when the layer doesn't need one
+function compileArea(layer) {
+  if (layer.mode !== 'fx' || layer.area !== 'curve') return undefined
+  return compileSource(String(layer.areaExpr || '').trim() || '0')
+}
+
+// Area polygons of a layer in canvas px (before its transforms) given its
+// sampled world-space lines
+function layerAreaPolygons(layer, lines, view, width, height) {
+  if (layer.mode !== 'fx' || !AREA_MODES.includes(layer.area)) return []
+  const screenLines = toScreenLines(lines, view, width, height)
+  // Far enough past the edges to stay off-canvas under the layer's transforms
+  const over = layerOverscan(layer, width, height)
+  const reach = Math.hypot(width + 2 * over.x, height + 2 * over.y)
+  if (layer.area === 'above') return areaToLevel(screenLines, -reach)
+  if (layer.area === 'below') return areaToLevel(screenLines, height + reach)
+  if (layer.area === 'axis') {
+    const [, axisY] = toScreenLines([[[0, 0]]], view, width, height)[0][0]
+    return areaToLevel(screenLines, axisY)
+  }
+  const other = compileArea(layer)
+  if (!other) return []
+  const scope = layerScope(layer.params)
+  const lower = lines.map(line => line.map(([x]) => {
     scope.x = x
     let y
     try {
-      const val = compiled.evaluate(scope)
-      y = typeof val === 'number' ? val : Number(val)
-      if (!isFinite(y)) {
-        first = true
-        continue
+      y = Number(other.evaluate(scope))
+    } catch {}
+    return Number.isFinite(y) ? toScreenLines([[[x, y]]], view, width, height)[0][0] : null
+  }))
+  return areaBetween(screenLines, lower)
+}
+
+const areaOpacity = (layer) => Math.min(1, Math.max(0, Number(layer.areaOpacity ?? 0.4)))
+
+// Hatch segments of a layer's area (before its transforms)
+const layerHatch = (layer, polygons) => hatchSegments(polygons, layer.hatchAngle ?? 45, layer.hatchSpacing ?? 6)
+
+// Fill (or hatch) area polygons once per transform. Copies are painted one
+// by one: mirrored copies wind the other way, so a single path would leave
+// their overlaps empty.
+function drawArea(ctx, width, height, polygons, transforms, layer) {
+  if (!polygons.length) return
+  const hatch = layer.areaFill === 'hatch' ? layerHatch(layer, polygons) : null
+  ctx.save()
+  ctx.globalAlpha = areaOpacity(layer)
+  if (layer.areaFill === 'gradient') {
+    const gradient = ctx.createLinearGradient(0, 0, 0, height)
+    gradient.addColorStop(0, layer.areaColor || '#6366f1')
+    gradient.addColorStop(1, layer.areaColor2 || '#ffffff')
+    ctx.fillStyle = gradient
+  } else {
+    ctx.fillStyle = layer.areaColor || '#6366f1'
+  }
+  ctx.strokeStyle = layer.areaColor || '#6366f1'
+  ctx.lineWidth = 1
+  for (const transform of transforms) {
+    ctx.beginPath()
+    ctx.save()
+    ctx.transform(...transform)
+    if (hatch) {
+      for (const [p, q] of hatch) {
+        ctx.moveTo(...p)
+        ctx.lineTo(...q)
       }
-    } catch {
-      first = true
-      continue
-    }
-    // map to pixel coords
-    // Map to extended pixel coordinate and then shift left by overscan
-    const px = (x - xMin) * pxPerXExt - overscanPx
-    const py = height - (y - yMin) * pxPerY
-    if (first) {
-      ctx.moveTo(px, py)
-      first = false
     } else {
-      ctx.lineTo(px, py)
+      for (const polygon of polygons) {
+        polygon.forEach(([x, y], k) => (k ? ctx.lineTo(x, y) : ctx.moveTo(x, y)))
+        ctx.closePath()
+      }
     }
+    ctx.restore()
+    if (hatch) ctx.stroke()
+    else ctx.fill()
   }
-  // Apply stroke styles
-  ctx.globalAlpha = Math.min(1, Math.max(0, lineOpacity || 1))
-  ctx.lineWidth = Math.max(0.5, Number(lineWidth || 2))
-  ctx.strokeStyle = lineColor || '#111827'
-  ctx.stroke()
   ctx.restore()
-  // Reset global alpha for subsequent operations
+}
+
+// Draw a layer's area and curve, blended with what is beneath by its
+// blendMode (see lib/blend.js). `lines` are its samples if already known.
+function drawLayer(ctx, width, height, view, layer, lines = sampleLayer(layer, view, width, height)) {
+  if (!lines) return
+  const transforms = layerTransforms(layer, width, height)
+  ctx.save()
+  ctx.globalCompositeOperation = blendMode(layer.blendMode)
+  drawArea(ctx, width, height, layerAreaPolygons(layer, lines, view, width, height), transforms, layer)
+  drawCurve(ctx, width, height, lines, view, transforms, layerStyle(layer, view, lines))
+  ctx.restore()
+}
+
+// --- Scene ---------------------------------------------------------------
+// The artwork is a list of operations replayed in order over the background,
+// so it can be rebuilt crisply at any size, DPR or viewport:
+//   { type: 'stroke', layer, sweep? }
+//                              frozen snapshot of a layer (curve, params,
+//                              line style, tilt and symmetry); strokes drawn
+//                              by a parameter sweep carry its { key, from,
+//                              to, count } for the footer
+//   { type: 'fill', method, x, y, color, tolerance, gapClose, blend,
+//     style, color2, angle, spacing, smooth }
+//                              bucket fill seeded at the world point (x, y);
+//                              method is 'edge' (edge-aware) or 'exact';
+//                              blend is its blend mode (see lib/blend.js);
+//                              style paints color (and color2) as one of
+//                              FILL_STYLES (see lib/fillstyle.js), solid if
+//                              missing; smooth fills anti-aliased edges
+// Fills act on the pixels painted before them, so a seed that lies outside
+// the canvas after panning or resizing has nothing to fill.
+
+// Stroke recording a layer, without its editing-only fields
+function strokeOf(layer) {
+  const { id, name, visible, paramSettings, ...curve } = layer
+  return { type: 'stroke', layer: curve }
+}
+
+// The bare background as pixels of an iw × ih canvas at `ratio`, for fills
+// on backgrounds that vary; the last one is kept for replays
+let backgroundPixelsCache = null
+
+function backgroundPixels(background, iw, ih, ratio) {
+  const cached = backgroundPixelsCache
+  if (cached && cached.background === background && cached.iw === iw && cached.ih === ih && cached.ratio === ratio) {
+    return cached.data
+  }
+  const canvas = document.createElement('canvas')
+  canvas.width = iw
+  canvas.height = ih
+  const ctx = canvas.getContext('2d')
+  ctx.setTransform(ratio, 0, 0, ratio, 0, 0)
+  paintBackground(ctx, iw / ratio, ih / ratio, background)
+  const { data } = ctx.getImageData(0, 0, iw, ih)
+  backgroundPixelsCache = { background, iw, ih, ratio, data }
+  return data
+}
+
+// Pixel (device px) of an iw × ih canvas a fill is seeded at, or null when
+// it lies outside
+function fillSeed(fill, view, width, height, ratio, iw, ih) {
+  const [cx, cy] = createMapping(view, width, height).toPx(fill.x, fill.y)
+  // The epsilon keeps a seed taken at a pixel edge in that pixel
+  const x = Math.floor(cx * ratio + 1e-6)
+  const y = Math.floor(cy * ratio + 1e-6)
+  return x >= 0 && y >= 0 && x < iw && y < ih ? [x, y] : null
+}
+
+// Opaque [r, g, b, 255] of a hex color, as fills take colors
+const rgbaOf = (hex) => [...hexToRgb(hex), 255]
+
+// Fill engine job (see createFillEngine in lib/fill.js) of a fill seeded at
+// [x, y] on img. Edge-aware fills find the curves by comparing against the
+// background (see barrierMask). Blended fills are painted as a layer to
+// composite (see paintFill).
+function fillJob(fill, img, [x, y], ratio, background) {
+  const { width: iw, height: ih } = img
+  return {
+    data: img.data,
+    width: iw,
+    height: ih,
+    x,
+    y,
+    method: fill.method,
+    rgba: rgbaOf(fill.color),
+    style: fill.style || 'solid',
+    rgba2: rgbaOf(fill.color2 || fill.color),
+    angle: fill.angle,
+    spacing: fill.spacing,
+    ratio,
+    smooth: Boolean(fill.smooth),
+    layer: blendMode(fill.blend) !== 'source-over',
+    tolerance: fill.tolerance,
+    gapClose: fill.gapClose,
+    background: rgbaOf(background.color),
+    backgroundPixels: isFlatBackground(background) ? null : backgroundPixels(background, iw, ih, ratio),
+  }
+}
+
+// Put filled pixels `img` on ctx. A blended fill's img is a layer of just
+// its paint (see fillJob), composited with its operation.
+function paintFill(ctx, img, blend) {
+  if (blendMode(blend) === 'source-over') {
+    ctx.putImageData(img, 0, 0)
+    return
+  }
+  const { width: iw, height: ih } = img
+  const region = document.createElement('canvas')
+  region.width = iw
+  region.height = ih
+  region.getContext('2d').putImageData(img, 0, 0)
+  ctx.save()
+  ctx.setTransform(1, 0, 0, 1, 0, 0)
+  ctx.globalCompositeOperation = blendMode(blend)
+  ctx.drawImage(region, 0, 0)
+  ctx.restore()
+}
+
+// Replay a fill on the pixels of ctx.canvas (`ratio` device px per CSS px);
+// returns the mask of the pixels it filled, or null (see floodFill)
+function applyFill(ctx, fill, view, width, height, ratio, background) {
+  const { width: iw, height: ih } = ctx.canvas
+  const seed = fillSeed(fill, view, width, height, ratio, iw, ih)
+  if (!seed) return null
+  let img
+  try {
+    img = ctx.getImageData(0, 0, iw, ih)
+  } catch {
+    return null
+  }
+  const job = fillJob(fill, img, seed, ratio, background)
+  const { mask } = floodFill(img.data, iw, ih, job.x, job.y, job)
+  if (mask) paintFill(ctx, img, fill.blend)
+  return mask
+}
+
+function paintItems(ctx, width, height, ratio, view, items, background) {
+  for (const item of items) {
+    if (item.type === 'stroke') drawLayer(ctx, width, height, view, item.layer)
+    else if (item.type === 'fill') applyFill(ctx, item, view, width, height, ratio, background)
+  }
+}
+
+// Bakes are numbered by what is painted on them, so the fill worker can
+// tell whether it holds barrier masks for a bake's pixels (see fillAt)
+let bakeVersions = 0
+
+// Render the scene into a new width × height (CSS px) canvas at `ratio`
+// device px per CSS px. The returned bake remembers what it was built from
+// and which of its curves are previews (see noticingPreviews).
+function bakeScene(items, width, height, ratio, view, background) {
+  const canvas = document.createElement('canvas')
+  canvas.width = Math.max(1, Math.round(width * ratio))
+  canvas.height = Math.max(1, Math.round(height * ratio))
+  const ctx = canvas.getContext('2d')
+  ctx.setTransform(ratio, 0, 0, ratio, 0, 0)
+  paintBackground(ctx, width, height, background)
+  const [, previews] = noticingPreviews(() => paintItems(ctx, width, height, ratio, view, items, background))
+  return { canvas, items, width, height, ratio, view, background, previews, version: ++bakeVersions }
+}
+
+// --- SVG -----------------------------------------------------------------
+// Curves are written as stroked paths. Fills have no geometry of their own
+// (they are regions of pixels), so the scene is replayed on a raster and
+// what each fill painted is traced into a filled path. Fills go beneath all
+// curves: they stop at the curves that bound them, and their outlines are
+// grown a little to tuck under those strokes rather than leave hairline gaps.
+
+const SVG_TRACE_RATIO = 2 // raster px per CSS px when tracing fills
+
+// Elements of a layer's area fill (see drawArea); `id` names its gradient
+function layerSvgArea(layer, lines, view, width, height, transforms, id) {
+  const polygons = layerAreaPolygons(layer, lines, view, width, height)
+  if (!polygons.length) return ''
+  const color = layer.areaColor || '#6366f1'
+  const opacity = areaOpacity(layer)
+  if (layer.areaFill === 'hatch') {
+    const hatch = layerHatch(layer, polygons)
+    const d = polylinePathData(transforms.flatMap(t => hatch.map(segment => transformPoints(segment, t))))
+    return d ? svgTag('path', { d, fill: 'none', stroke: color, 'stroke-width': 1, 'stroke-opacity': opacity }) : ''
+  }
+  let defs = ''
+  let fill = color
+  if (layer.areaFill === 'gradient') {
+    const stops = svgTag('stop', { offset: 0, 'stop-color': color }) + svgTag('stop', { offset: 1, 'stop-color': layer.areaColor2 || '#ffffff' })
+    defs = svgTag('defs', {}, svgTag('linearGradient', { id, gradientUnits: 'userSpaceOnUse', x1: 0, y1: 0, x2: 0, y2: height }, stops))
+    fill = `url(#${id})`
+  }
+  // One path per copy, as on the canvas
+  return defs + transforms.map(t => svgTag('path', {
+    d: polylinePathData(polygons.map(polygon => transformPoints(polygon, t)), true),
+    fill,
+    'fill-opacity': opacity,
+  })).join('\n')
+}
+
+// Elements of a layer: its area fill, then its curve (one path per run when
+// the style varies along the curve); '' if there is nothing to draw. `id`
+// is unique to the layer within the document.
+function layerSvgPath(layer, view, width, height, id) {
+  const lines = sampleLayer(layer, view, width, height)
+  if (!lines) return ''
+  const style = layerStyle(layer, view, lines)
+  const transforms = layerTransforms(layer, width, height)
+  const area = layerSvgArea(layer, lines, view, width, height, transforms, `${id}-area`)
+  const copies = (polylines) => transforms.flatMap(t => polylines.map(line => transformPoints(line, t)))
+  const stroke = (d, { color, width: lineWidth, opacity }, offset = 0) => svgTag('path', {
+    d,
+    fill: 'none',
+    stroke: color,
+    'stroke-width': lineWidth,
+    'stroke-opacity': opacity,
+    'stroke-linecap': style.cap,
+    'stroke-linejoin': style.join,
+    'stroke-miterlimit': 10, // the canvas default (SVG's is 4)
+    'stroke-dasharray': style.dash.length ? style.dash.join(' ') : null,
+    'stroke-dashoffset': style.dash.length && offset ? offset : null,
+  })
+  const screenLines = toScreenLines(lines, view, width, height)
+  const d = style.at ? '' : polylinePathData(copies(screenLines))
+  const elements = (!style.at
+    ? [area, d ? stroke(d, style) : '']
+    : [area, ...styledRuns(lines, screenLines, style)
+        .filter(run => run.opacity > 0)
+        .map(run => stroke(polylinePathData(copies([run.points])), run, run.offset))])
+    .filter(Boolean)
+    .join('\n')
+  // Blend modes map to CSS mix-blend-mode (XOR has none and paints normally)
+  const blend = cssBlendMode(layer.blendMode)
+  return blend && elements ? svgTag('g', { style: `mix-blend-mode:${blend}` }, elements) : elements
+}
+
+// Background of an SVG export: gradients as SVG gradients, patterns and
+// images as an embedded PNG of the background painted at SVG_TRACE_RATIO
+function svgBackground(background, width, height) {
+  const color = background.color || '#ffffff'
+  if (background.type === 'linear' || background.type === 'radial') {
+    const [x1, y1, x2, y2] = gradientLine(background.angle, width, height)
+    const [cx, cy, r] = gradientCircle(width, height)
+    const stops = svgTag('stop', { offset: 0, 'stop-color': color }) + svgTag('stop', { offset: 1, 'stop-color': background.color2 || '#ffffff' })
+    const gradient = background.type === 'linear'
+      ? svgTag('linearGradient', { id: 'background-gradient', gradientUnits: 'userSpaceOnUse', x1, y1, x2, y2 }, stops)
+      : svgTag('radialGradient', { id: 'background-gradient', gradientUnits: 'userSpaceOnUse', cx, cy, r }, stops)
+    return svgTag('defs', {}, gradient) + svgTag('rect', { width, height, fill: 'url(#background-gradient)' })
+  }
+  if (isFlatBackground(background)) return svgTag('rect', { width, height, fill: color })
+  const canvas = document.createElement('canvas')
+  canvas.width = Math.max(1, Math.round(width * SVG_TRACE_RATIO))
+  canvas.height = Math.max(1, Math.round(height * SVG_TRACE_RATIO))
+  const ctx = canvas.getContext('2d')
+  ctx.setTransform(SVG_TRACE_RATIO, 0, 0, SVG_TRACE_RATIO, 0, 0)
+  paintBackground(ctx, width, height, background)
+  return svgTag('image', { width, height, preserveAspectRatio: 'none', 'xlink:href': canvas.toDataURL('image/png') })
+}
+
+// Paint of a fill traced as path data `d` from pixels within `bounds` (see
+// maskBounds) at `ratio`: its color, a gradient fitted like the fill's, or
+// for patterns an embedded PNG of the paint clipped to the path. `id` names
+// its definitions.
+function fillSvgElement(fill, d, bounds, ratio, id) {
+  const style = fill.style || 'solid'
+  const blend = cssBlendMode(fill.blend)
+  const attrs = { 'fill-rule': 'evenodd', style: blend ? `mix-blend-mode:${blend}` : null }
+  if (style === 'solid') return svgTag('path', { d, fill: fill.color, ...attrs })
+  const [x0, y0, x1, y1] = bounds
+  const [bx, by, bw, bh] = [x0 / ratio, y0 / ratio, (x1 - x0 + 1) / ratio, (y1 - y0 + 1) / ratio]
+  if (style === 'linear' || style === 'radial') {
+    const stops = svgTag('stop', { offset: 0, 'stop-color': fill.color }) + svgTag('stop', { offset: 1, 'stop-color': fill.color2 || fill.color })
+    let gradient
+    if (style === 'linear') {
+      const [gx1, gy1, gx2, gy2] = gradientLine(fill.angle, bw, bh)
+      gradient = svgTag('linearGradient', { id, gradientUnits: 'userSpaceOnUse', x1: bx + gx1, y1: by + gy1, x2: bx + gx2, y2: by + gy2 }, stops)
+    } else {
+      const [cx, cy, r] = gradientCircle(bw, bh)
+      gradient = svgTag('radialGradient', { id, gradientUnits: 'userSpaceOnUse', cx: bx + cx, cy: by + cy, r }, stops)
+    }
+    return svgTag('defs', {}, gradient) + svgTag('path', { d, fill: `url(#${id})`, ...attrs })
+  }
+  const canvas = document.createElement('canvas')
+  canvas.width = x1 - x0 + 1
+  canvas.height = y1 - y0 + 1
+  const ctx = canvas.getContext('2d')
+  const img = ctx.createImageData(canvas.width, canvas.height)
+  const paint = stylePainter({ style, rgba: rgbaOf(fill.color), rgba2: rgbaOf(fill.color2 || fill.color), angle: fill.angle, spacing: fill.spacing }, bounds, ratio)
+  const out = [0, 0, 0, 1]
+  for (let y = y0, i = 0; y <= y1; y++) {
+    for (let x = x0; x <= x1; x++, i += 4) {
+      paint(x, y, out)
+      img.data.set([out[0], out[1], out[2], out[3] * 255], i)
+    }
+  }
+  ctx.putImageData(img, 0, 0)
+  return svgTag('defs', {}, svgTag('clipPath', { id }, svgTag('path', { d, 'clip-rule': 'evenodd' }))) +
+    svgTag('image', { x: bx, y: by, width: bw, height: bh, preserveAspectRatio: 'none', 'xlink:href': canvas.toDataURL('image/png'), 'clip-path': `url(#${id})`, style: attrs.style })
+}
+
+// Filled path elements for the scene's fills, in scene order
+function fillSvgPaths(items, width, height, view, background) {
+  const ratio = SVG_TRACE_RATIO
+  const canvas = document.createElement('canvas')
+  canvas.width = Math.max(1, Math.round(width * ratio))
+  canvas.height = Math.max(1, Math.round(height * ratio))
+  const { width: iw, height: ih } = canvas
+  const ctx = canvas.getContext('2d')
+  ctx.setTransform(ratio, 0, 0, ratio, 0, 0)
+  paintBackground(ctx, width, height, background)
+  const paths = []
+  items.forEach((item, k) => {
+    if (item.type === 'stroke') drawLayer(ctx, width, height, view, item.layer)
+    if (item.type !== 'fill') return
+    const mask = applyFill(ctx, item, view, width, height, ratio, background)
+    if (!mask) return
+    // Edge-aware fills keep gapClose px away from the curves
+    const grow = (item.method === 'exact' ? 0 : Number(item.gapClose) || 0) + 1
+    const d = maskPathData(mask, iw, ih, ratio, grow)
+    if (d) paths.push(fillSvgElement(item, d, maskBounds(mask, iw, ih), ratio, `fill-${k}`))
+  })
+  return paths
+}
+
+// Footer of exported images
+const FOOTER_FONT = 'ui-monospace, SFMono-Regular, Menlo, Monaco, Consolas, "Liberation Mono", monospace'
+const FOOTER_FONT_SIZE = 12
+const FOOTER_LINE_HEIGHT = FOOTER_FONT_SIZE + 4
+const FOOTER_COLOR = '#374151' // gray-700
+
+// --- Guides ----------------------------------------------------------------
+// Axes, grid, tick labels, a hover readout and markers where the active
+// layer crosses frozen curves, drawn on a separate canvas over the artwork.
+// `guides` toggles each: { axes, grid, labels, readout, intersections }.
+// Nothing here touches the artwork canvas or the scene, so freezing, saving,
+// exports and bucket fills never include them.
+
+const GUIDE_GRID_COLOR = '#e5e7eb' // gray-200
+const GUIDE_AXIS_COLOR = '#9ca3af' // gray-400
+const GUIDE_TEXT_COLOR = '#4b5563' // gray-600
+const GUIDE_MARK_COLOR = '#4f46e5' // indigo-600
+const GUIDE_FONT = `10px ${FOOTER_FONT}`
+const READOUT_SNAP = 24 // px from the curve within which the readout snaps
+
+// Grid lines, axes and tick labels for the view. Labels sit along the axes,
+// or along the edge the axis has been panned past.
+function drawGuides(ctx, width, height, view, guides) {
+  const { toPx } = createMapping(view, width, height)
+  const step = niceStep(Math.max((view.xMax - view.xMin) / width, (view.yMax - view.yMin) / height) * 80, 1)
+  const xs = gridValues(view.xMin, view.xMax, step)
+  const ys = gridValues(view.yMin, view.yMax, step)
+  const [originX, originY] = toPx(0, 0)
+  const crisp = (v) => Math.round(v) + 0.5
+  const strokeLines = (color, segments) => {
+    ctx.beginPath()
+    for (const [x0, y0, x1, y1] of segments) {
+      ctx.moveTo(x0, y0)
+      ctx.lineTo(x1, y1)
+    }
+    ctx.strokeStyle = color
+    ctx.stroke()
+  }
+  ctx.save()
+  ctx.lineWidth = 1
+  if (guides.grid) {
+    strokeLines(GUIDE_GRID_COLOR, [
+      ...xs.map(x => crisp(toPx(x, 0)[0])).map(px => [px, 0, px, height]),
+      ...ys.map(y => crisp(toPx(0, y)[1])).map(py => [0, py, width, py]),
+    ])
+  }
+  if (guides.axes) {
+    const axes = []
+    if (originX >= 0 && originX <= width) axes.push([crisp(originX), 0, crisp(originX), height])
+    if (originY >= 0 && originY <= height) axes.push([0, crisp(originY), width, crisp(originY)])
+    strokeLines(GUIDE_AXIS_COLOR, axes)
+  }
+  if (guides.labels) {
+    const labelX = Math.min(width - 4, Math.max(4, originX + 4))
+    const labelY = Math.min(height - 14, Math.max(2, originY + 3))
+    ctx.font = GUIDE_FONT
+    ctx.fillStyle = GUIDE_TEXT_COLOR
+    ctx.textBaseline = 'top'
+    ctx.textAlign = 'center'
+    // Labels that would be cut off at the edges are left out
+    for (const x of xs) {
+      const px = toPx(x, 0)[0]
+      if (x !== 0 && px > 12 && px < width - 12) ctx.fillText(formatTick(x, step), px, labelY)
+    }
+    ctx.textBaseline = 'middle'
+    ctx.textAlign = labelX > width - 40 ? 'right' : 'left'
+    for (const y of ys) {
+      const py = toPx(0, y)[1]
+      if (y !== 0 && py > 8 && py < height - 8) ctx.fillText(formatTick(y, step), labelX, py)
+    }
+    ctx.textAlign = 'left'
+    ctx.textBaseline = 'top'
+    ctx.fillText('0', labelX, labelY)
+  }
+  ctx.restore()
+}
+
+// Copies of a layer's sampled curve as drawn on screen (canvas px), each
+// point carrying its world point: [[px, py, x, y]]
+function guideLines(layer, view, width, height, lines = sampleLayer(layer, view, width, height)) {
+  if (!lines) return []
+  const screenLines = toScreenLines(lines, view, width, height)
+  return layerTransforms(layer, width, height).flatMap(t => screenLines.map((line, i) =>
+    transformPoints(line, t).map((p, k) => [...p, ...lines[i][k]])))
+}
+
+// The same lines clipped to the canvas, as plain [px, py] polylines
+const clippedGuideLines = (lines, width, height) => lines.flatMap(line => clipPolyline(line, width, height))
+
+// Readout of the active layer at the hover position (px, py): y = f(x)
+// drawn untransformed is evaluated at the pointer's x (if `exact`: the
+// curve on screen was sampled in full without being slow), anything else
+// snaps to the nearest drawn point of the curve. Returns { point, text } with point null when
+// there is nothing to mark.
+function hoverReadout(layer, lines, view, width, height, [px, py], exact = true) {
+  const map = createMapping(view, width, height)
+  const label = (x, y) => layer.mode === 'fx'
+    ? `x = ${formatCoordinate(x)}  f(x) = ${y == null ? 'undefined' : formatCoordinate(y)}`
+    : `x = ${formatCoordinate(x)}  y = ${formatCoordinate(y)}`
+  const compiled = compileLayer(layer)
+  const straight = isIdentityPlacement(layer) && layerTransforms(layer, width, height).length === 1
+  if (compiled && exact && layer.mode === 'fx' && straight) {
+    const [x] = map.toWorld(px, py)
+    const scope = { ...layerScope(layer.params), x }
+    let y
+    try {
+      y = Number(compiled.main.evaluate(scope))
+    } catch {}
+    if (!Number.isFinite(y)) return { point: null, text: label(x, null) }
+    return { point: map.toPx(x, y), text: label(x, y) }
+  }
+  let best = null
+  let bestDist = READOUT_SNAP
+  for (const line of lines) {
+    for (const p of line) {
+      const d = Math.hypot(p[0] - px, p[1] - py)
+      if (d < bestDist) {
+        best = p
+        bestDist = d
+      }
+    }
+  }
+  if (!best) {
+    const [x, y] = map.toWorld(px, py)
+    return { point: null, text: `x = ${formatCoordinate(x)}  y = ${formatCoordinate(y)}` }
+  }
+  return { point: [best[0], best[1]], text: label(best[2], best[3]) }
+}
+
+function drawMarker(ctx, [x, y], radius) {
+  ctx.beginPath()
+  ctx.arc(x, y, radius, 0, 2 * Math.PI)
+  ctx.fill()
+  ctx.stroke()
+}
+
+// Readout label in a box next to the pointer, kept inside the canvas
+function drawReadout(ctx, width, height, [px, py], { point, text }) {
+  ctx.save()
+  ctx.lineWidth = 1.5
+  ctx.strokeStyle = GUIDE_MARK_COLOR
+  ctx.fillStyle = '#ffffff'
+  if (point) {
+    ctx.setLineDash([3, 3])
+    ctx.beginPath()
+    ctx.moveTo(point[0], 0)
+    ctx.lineTo(point[0], height)
+    ctx.globalAlpha = 0.5
+    ctx.stroke()
+    ctx.globalAlpha = 1
+    ctx.setLineDash([])
+    drawMarker(ctx, point, 4)
+  }
+  ctx.font = GUIDE_FONT
+  const boxW = ctx.measureText(text).width + 12
+  const boxH = 18
+  const bx = px + 12 + boxW > width ? px - 12 - boxW : px + 12
+  const by = Math.min(height - boxH - 2, Math.max(2, py - boxH - 8))
+  ctx.globalAlpha = 0.9
+  ctx.fillRect(bx, by, boxW, boxH)
   ctx.globalAlpha = 1
+  ctx.strokeStyle = GUIDE_GRID_COLOR
+  ctx.lineWidth = 1
+  ctx.strokeRect(bx + 0.5, by + 0.5, boxW - 1, boxH - 1)
+  ctx.fillStyle = GUIDE_TEXT_COLOR
+  ctx.textBaseline = 'middle'
+  ctx.fillText(text, bx + 6, by + boxH / 2)
+  ctx.restore()
+}
+
+// --- Transform handles -----------------------------------------------------
+// With the transform tool, the active layer's placement (see
+// lib/transform.js) is edited by dragging handles on a frame around the
+// canvas center, half the canvas in size: the middle moves the curve, the
+// right and bottom edges scale x and y, the corner scales both, the top
+// edge skews and the knob above it rotates.
+
+const HANDLE_SIZE = 8 // px
+const HANDLE_HIT = 12 // px from a handle that still grabs it
+const ROTATE_KNOB = 28 // px between the top edge and the rotation knob
+
+// The frame's corners and the handle positions in canvas px
+function transformFrame(layer, width, height) {
+  const m = multiply([1, 0, 0, 1, width / 2, height / 2], placementMatrix(layer))
+  const [hw, hh] = [width / 4, height / 4]
+  const at = (x, y) => applyMatrix(m, [x, y])
+  const center = at(0, 0)
+  const top = at(0, -hh)
+  const up = Math.hypot(top[0] - center[0], top[1] - center[1]) || 1
+  return {
+    corners: [at(-hw, -hh), at(hw, -hh), at(hw, hh), at(-hw, hh)],
+    handles: {
+      move: center,
+      scaleX: at(hw, 0),
+      scaleY: at(0, hh),
+      scale: at(hw, hh),
+      skew: top,
+      rotate: [top[0] + ((top[0] - center[0]) / up) * ROTATE_KNOB, top[1] + ((top[1] - center[1]) / up) * ROTATE_KNOB],
+    },
+  }
+}
+
+// The handle under (px, py), or null
+function hitTransformHandle(layer, width, height, [px, py]) {
+  const { handles } = transformFrame(layer, width, height)
+  let hit = null
+  let best = HANDLE_HIT
+  for (const [kind, [x, y]] of Object.entries(handles)) {
+    const d = Math.hypot(x - px, y - py)
+    if (d <= best) {
+      hit = kind
+      best = d
+    }
+  }
+  return hit
+}
+
+// Placement fields after dragging handle `kind` of layer `start` from the
+// pointer position `from` to `to`, optionally snapped
+function dragTransform(kind, start, from, to, width, height, snap) {
+  const fit = (field, value) => (snap ? snapTransform(field, value) : value)
+  const [ox, oy] = [Number(start.offsetX) || 0, Number(start.offsetY) || 0]
+  const [cx, cy] = [width / 2 + ox, height / 2 + oy]
+  const [hw, hh] = [width / 4, height / 4]
+  const sy = clampScale(start.scaleY ?? 1)
+  const shear = Math.tan((clampSkew(start.skew) * Math.PI) / 180)
+  // Pointer in the frame's unrotated coordinates around its center
+  const [lx, ly] = applyMatrix(rotation(-(Number(start.tilt) || 0)), [to[0] - cx, to[1] - cy])
+  switch (kind) {
+    case 'move':
+      return { offsetX: fit('offsetX', ox + to[0] - from[0]), offsetY: fit('offsetY', oy + to[1] - from[1]) }
+    case 'rotate': {
+      // Turn by the angle swept around the center, so grabbing the knob of a
+      // skewed frame (not straight above the center) does not jump
+      const angle = ([x, y]) => (Math.atan2(y - cy, x - cx) * 180) / Math.PI
+      const deg = (Number(start.tilt) || 0) + angle(to) - angle(from)
+      return { tilt: ((fit('tilt', deg) % 360) + 360) % 360 }
+    }
+    case 'scaleX':
+      return { scaleX: clampScale(fit('scaleX', lx / hw)) }
+    case 'scaleY':
+      return { scaleY: clampScale(fit('scaleY', ly / hh)) }
+    case 'scale': {
+      const scaleY = clampScale(fit('scaleY', ly / hh))
+      return { scaleX: clampScale(fit('scaleX', (lx - shear * scaleY * hh) / hw)), scaleY }
+    }
+    case 'skew':
+      return { skew: clampSkew(fit('skew', (Math.atan(-lx / (sy * hh)) * 180) / Math.PI)) }
+    default:
+      return {}
+  }
+}
+
+function drawTransformFrame(ctx, layer, width, height) {
+  const { corners, handles } = transformFrame(layer, width, height)
+  ctx.save()
+  ctx.strokeStyle = GUIDE_MARK_COLOR
+  ctx.fillStyle = '#ffffff'
+  ctx.lineWidth = 1
+  ctx.setLineDash([4, 3])
+  ctx.beginPath()
+  corners.forEach(([x, y], k) => (k ? ctx.lineTo(x, y) : ctx.moveTo(x, y)))
+  ctx.closePath()
+  ctx.moveTo(...handles.skew)
+  ctx.lineTo(...handles.rotate)
+  ctx.stroke()
+  ctx.setLineDash([])
+  ctx.lineWidth = 1.5
+  for (const [kind, [x, y]] of Object.entries(handles)) {
+    ctx.beginPath()
+    if (kind === 'rotate' || kind === 'move') ctx.arc(x, y, HANDLE_SIZE / 2 + 1, 0, 2 * Math.PI)
+    else ctx.rect(x - HANDLE_SIZE / 2, y - HANDLE_SIZE / 2, HANDLE_SIZE, HANDLE_SIZE)
+    ctx.fill()
+    ctx.stroke()
+  }
+  ctx.restore()
 }
 
 const Canvas = forwardRef(function Canvas({
-  expression,
-  params,
-  lineColor,
-  bgColor,
-  tiltAngle = 0,
-  lineWidth = 2,
-  lineOpacity = 1,
+  layers = [],
+  activeLayerId,
+  scene = [],
+  onSceneChange,
+  background = DEFAULT_BACKGROUND,
+  viewport = DEFAULT_VIEWPORT,
+  squareAspect = false,
+  onViewportChange,
   heightVh = 60,
   activeTool = 'line',
+  onLayerChange,
+  transformSnap = false,
+  guides = {},
   fillParent = false
 }, ref) {
   const containerRef = useRef(null)
   const canvasRef = useRef(null)
-  const compiledRef = useRef(null)
-  const [error, setError] = useState(null)
-  const frozenImageRef = useRef(null) // HTMLImageElement holding last frozen render
-  const usedExpressionsRef = useRef(new Set()) // Track all valid expressions rendered
+  const sceneRef = useRef(scene) // latest scene, ahead of the prop while changes propagate
+  const bakeRef = useRef(null) // scene baked for the on-screen canvas
+  const frameBakeRef = useRef(null) // scene baked for renderFrame
+  const rebuildTimerRef = useRef(null)
   const resizeObserverRef = useRef(null)
-  const resizeSnapshotRef = useRef(null) // { off: HTMLCanvasElement, widthPx: number, heightPx: number }
-  const skipNextFunctionDrawRef = useRef(false)
+  const latestRef = useRef({}) // latest render/fitCanvas for listeners registered once
+  const pendingViewRef = useRef(null) // view emitted to onViewportChange but not yet received back
+  const gestureRef = useRef(null) // { pointers: Map<id, [x, y]> } while panning/pinching
+  const overlayRef = useRef(null) // guides canvas over the artwork
+  const hoverRef = useRef(null) // pointer position (CSS px) while over the canvas
+  const guideRef = useRef({}) // active layer's drawn lines and crossings for the guides
+  const frozenLinesRef = useRef(null) // frozen curves as drawn, for crossings
+  const transformDragRef = useRef(null) // { pointerId, kind, start, from } while dragging a transform handle
+  const fillerRef = useRef(null) // fill worker (see lib/filler.js)
+  const fillQueueRef = useRef(Promise.resolve()) // settles once the queued fills are done
+  const fillRunRef = useRef(0) // bumped by cancelFills; fills queued before are dropped
+  const samplerRef = useRef(undefined) // worker sampling the live layers, null where workers are unavailable
+  const shownLinesRef = useRef(new Map()) // layer id -> lines last drawn live
+  const sampleWaitersRef = useRef(new Map()) // sampling key -> resolvers waiting for its final lines
+  const [slowLayers, setSlowLayers] = useState({}) // layer id -> { kind, seconds } of layers slow to sample
 
-  // compile on expression change
-  useEffect(() => {
-    // Compile current expression, but do NOT track it yet. We only record
-    // expressions that were actually frozen (baked) into the canvas.
-    try {
-      const compiled = math.compile(expression || '0')
-      compiledRef.current = compiled
-      setError(null)
-    } catch (e) {
-      compiledRef.current = null
-      setError('Invalid function')
-    }
-  }, [expression])
+  const activeLayer = layers.find(l => l.id === activeLayerId) || layers[0]
+  const error = !activeLayer ? null
+    : !compileLayer(activeLayer) ? 'Invalid function'
+    : !compileStyle(activeLayer) ? 'Invalid width or opacity expression'
+    : compileArea(activeLayer) === null ? 'Invalid area expression'
+    : null
+
+  const [frozenNote, setFrozenNote] = useState(null) // frozen curves only drawn as previews
+  const slowNotes = [
+    ...layers.filter(l => l.visible && slowLayers[l.id]).map(l => slowNote(l, slowLayers[l.id])),
+    ...(frozenNote ? [frozenNote] : []),
+  ]
+
+  // Canvas size in CSS pixels
+  const canvasSize = () => {
+    const canvas = canvasRef.current
+    const dpr = canvas?._dpr || 1
+    return canvas ? [canvas.width / dpr, canvas.height / dpr] : [0, 0]
+  }
+
+  // Viewport drawn for a canvas of the given size (squared if requested)
+  const currentView = (w, h) => effectiveViewport(viewport, w, h, squareAspect)
 
   // resize handler
   const fitCanvas = () => {
     const canvas = canvasRef.current
     const parent = containerRef.current
     if (!canvas || !parent) return
-    // Snapshot current bitmap before resizing so we can restore it after
-    if (canvas.width > 0 && canvas.height > 0) {
-      try {
-        const off = document.createElement('canvas')
-        off.width = canvas.width
-        off.height = canvas.height
-        const octx = off.getContext('2d')
-        octx.drawImage(canvas, 0, 0)
-        resizeSnapshotRef.current = { off, widthPx: off.width, heightPx: off.height }
-      } catch {}
-    }
     const dpr = Math.max(1, window.devicePixelRatio || 1)
     const cssWidth = parent.clientWidth
     const cssHeight = fillParent
@@ -158,79 +1064,311 @@ const Canvas = forwardRef(function Canvas({
     const ctx = canvas.getContext('2d')
     ctx.setTransform(dpr, 0, 0, dpr, 0, 0)
     canvas._dpr = dpr
+    const overlay = overlayRef.current
+    if (overlay) {
+      overlay.style.width = canvas.style.width
+      overlay.style.height = canvas.style.height
+      overlay.width = canvas.width
+      overlay.height = canvas.height
+      overlay.getContext('2d').setTransform(dpr, 0, 0, dpr, 0, 0)
+    }
+  }
+
+  // The scene is owned by the parent (it outlives this component, e.g. across
+  // orientation layouts); changes made here are applied to sceneRef at once
+  // so consecutive operations build on each other
+  const updateScene = (next) => {
+    sceneRef.current = next
+    onSceneChange?.(next)
+  }
+
+  const isFreshBake = (bake, items, w, h, ratio, view) => Boolean(bake) &&
+    bake.items === items && bake.width === w && bake.height === h && bake.ratio === ratio &&
+    bake.background === background && sameViewport(bake.view, view)
+
+  // Scene baked for the on-screen canvas. Replaying fills is slow, so while
+  // only the size or view changes (resize, pan, zoom) the previous bake is
+  // returned marked stale and the scene is rebuilt once things settle.
+  const screenBake = (w, h, ratio, view, allowStale = true) => {
+    const items = sceneRef.current
+    const bake = bakeRef.current
+    if (isFreshBake(bake, items, w, h, ratio, view)) return bake
+    clearTimeout(rebuildTimerRef.current)
+    if (allowStale && bake && bake.items === items && bake.background === background && items.some(i => i.type === 'fill')) {
+      rebuildTimerRef.current = setTimeout(() => latestRef.current.render(false), 200)
+      return { ...bake, stale: true }
+    }
+    bakeRef.current = bakeScene(items, w, h, ratio, view, background)
+    refineBake(bakeRef.current)
+    return bakeRef.current
+  }
+
+  // The sampler, started on first use; null where workers are unavailable
+  const sampler = () => {
+    if (samplerRef.current === undefined) samplerRef.current = createSampler((result) => latestRef.current.onSampled(result))
+    return samplerRef.current
+  }
+
+  // Ask the sampler for the full curves a bake drew as previews; once they
+  // arrive the bake is dropped and drawn again (see onSampled). A newer
+  // bake's requests supersede these.
+  const refineBake = (bake) => {
+    bake.previews.forEach(({ key, layer, view, width, height, over }, k) => {
+      if (!linesCache.get(key)?.final) sampler()?.request(`bake:${k}`, key, layer, view, width, height, over)
+    })
+    setFrozenNote(previewNote(bake.previews.filter(p => linesCache.get(p.key)?.final).map(p => p.layer)))
   }
 
-  const render = () => {
+  // Run draw() and, if it drew previews (see noticingPreviews), again once
+  // the sampler has final lines for them. Resolves to [its result, a note
+  // naming the curves still drawn as previews, or null].
+  const drawInFull = async (draw) => {
+    const [result, previews] = noticingPreviews(draw)
+    if (!previews.length || !sampler()) return [result, previewNote(previews.map(p => p.layer))]
+    await Promise.all(previews.map(({ key, layer, view, width, height, over }) => new Promise(resolve => {
+      if (linesCache.get(key)?.final) return resolve()
+      const waiters = sampleWaitersRef.current
+      waiters.set(key, [...(waiters.get(key) ?? []), resolve])
+      sampler().request(`export:${key}`, key, layer, view, width, height, over)
+    })))
+    const [again, left] = noticingPreviews(draw)
+    return [again, previewNote(left.map(p => p.layer))]
+  }
+
+  // An answer of the sampler (see lib/sampler.js): cache the lines, note
+  // how slow the layer is and redraw. An unfinished or abandoned refinement
+  // keeps the preview drawn so far.
+  const onSampled = ({ layerId, key, lines, styles, complete, pass, hung, ms }) => {
+    const keep = hung || (pass === 'slow' && !complete)
+    if (!keep && styles) lineStyles.set(lines, styles)
+    const final = complete || pass === 'slow' || Boolean(hung)
+    cacheLines(key, {
+      lines: keep ? linesCache.get(key)?.lines ?? [] : lines,
+      final,
+      complete: complete && !hung,
+    })
+    if (final) {
+      for (const resolve of sampleWaitersRef.current.get(key) ?? []) resolve()
+      sampleWaitersRef.current.delete(key)
+      // Bakes that drew a preview of these lines are drawn again
+      const previewedIn = (bake) => bake?.previews.some(p => p.key === key)
+      if (previewedIn(bakeRef.current)) bakeRef.current = null
+      if (previewedIn(frameBakeRef.current)) frameBakeRef.current = null
+    }
+    if (!layers.some(l => l.id === layerId)) {
+      latestRef.current.render()
+      return
+    }
+    const slow = hung ? { kind: 'stuck' }
+      : !complete ? { kind: pass === 'slow' ? 'gave-up' : 'preview' }
+      : pass === 'slow' && ms > FAST_BUDGET_MS ? { kind: 'slow', seconds: (ms / 1000).toFixed(1) }
+      : null
+    setSlowLayers(prev => {
+      const old = prev[layerId]
+      if (old?.kind === slow?.kind && old?.seconds === slow?.seconds) return prev
+      const next = { ...prev }
+      if (slow) next[layerId] = slow
+      else delete next[layerId]
+      return next
+    })
+    latestRef.current.render()
+  }
+
+  // Lines of a live layer for the view: cached, or requested from the
+  // sampler with the lines last drawn for the layer standing in until they
+  // arrive. Without workers the layer is sampled here.
+  const liveLines = (layer, view, w, h) => {
+    if (!compileLayer(layer)) return null
+    if (!sampler()) return sampleLayer(layer, view, w, h)
+    const over = layerOverscan(layer, w, h)
+    const key = samplingKey(layer, view, w, h, over)
+    const cached = linesCache.get(key)
+    if (!cached?.final) sampler().request(layer.id, key, layer, view, w, h, over)
+    const lines = cached ? cached.lines : shownLinesRef.current.get(layer.id) ?? null
+    shownLinesRef.current.set(layer.id, lines)
+    return lines
+  }
+
+  // Paint the baked scene and the visible layers. `styles` maps layer ids to
+  // field overrides (params, tilt, lineColor, ...) so the same code renders
+  // animation frames offscreen; `linesOf(layer, view, w, h)`, if given,
+  // supplies the layers' samples.
+  const paintFrame = (ctx, w, h, view, bake, styles = {}, linesOf = null) => {
+    paintBackground(ctx, w, h, background)
+    // A stale bake was drawn for another view or size; map it from its view
+    ctx.drawImage(bake.canvas, ...(bake.stale ? viewportImageRect(bake.view, view, w, h) : [0, 0, w, h]))
+    for (const layer of layers) {
+      if (!layer.visible) continue
+      const styled = { ...layer, ...styles[layer.id] }
+      drawLayer(ctx, w, h, view, styled, linesOf ? linesOf(styled, view, w, h) : undefined)
+    }
+  }
+
+  const render = (allowStale = true) => {
     const canvas = canvasRef.current
     if (!canvas) return
     const ctx = canvas.getContext('2d')
-    const compiled = compiledRef.current
     // Dimensions in CSS pixels
+    const [w, h] = canvasSize()
+    const view = currentView(w, h)
+    paintFrame(ctx, w, h, view, screenBake(w, h, canvas._dpr || 1, view, allowStale), {}, liveLines)
+    updateGuides(w, h, view)
+    renderGuides()
+  }
+
+  // Frozen curves as drawn for the view and clipped to the canvas, each
+  // as { key, lines } (key identifies the snapshot); kept while the scene
+  // and view are unchanged
+  const frozenLines = (w, h, view) => {
+    const items = sceneRef.current
+    const cached = frozenLinesRef.current
+    if (cached && cached.items === items && cached.width === w && cached.height === h && sameViewport(cached.view, view)) {
+      return cached.strokes
+    }
+    const strokes = items.filter(i => i.type === 'stroke').map(i => ({
+      key: JSON.stringify(i.layer),
+      lines: clippedGuideLines(guideLines(i.layer, view, w, h), w, h),
+    }))
+    frozenLinesRef.current = { items, width: w, height: h, view, strokes }
+    return strokes
+  }
+
+  // Sample what the guides need from the active layer: its drawn lines and
+  // where they cross frozen curves (other than a snapshot of itself)
+  const updateGuides = (w, h, view) => {
+    const live = activeLayer?.visible && (guides.readout || guides.intersections) ? activeLayer : null
+    const lines = live ? guideLines(live, view, w, h, liveLines(live, view, w, h)) : []
+    let crossings = []
+    if (live && guides.intersections && lines.length) {
+      const own = JSON.stringify(strokeOf(live).layer)
+      const others = frozenLines(w, h, view).filter(s => s.key !== own).flatMap(s => s.lines)
+      crossings = polylineIntersections(clippedGuideLines(lines, w, h), others)
+    }
+    guideRef.current = { layer: live, lines, crossings, view }
+  }
+
+  // Paint the guides canvas: grid, axes and labels, crossings, then the
+  // hover readout
+  const renderGuides = () => {
+    const overlay = overlayRef.current
+    if (!overlay) return
+    const ctx = overlay.getContext('2d')
+    const [w, h] = canvasSize()
+    ctx.clearRect(0, 0, w, h)
+    const { layer, lines = [], crossings = [], view = currentView(w, h) } = guideRef.current
+    drawGuides(ctx, w, h, view, guides)
+    if (crossings.length) {
+      ctx.save()
+      ctx.fillStyle = '#ffffff'
+      ctx.strokeStyle = GUIDE_MARK_COLOR
+      ctx.lineWidth = 1.5
+      crossings.forEach(point => drawMarker(ctx, point, 3.5))
+      ctx.restore()
+    }
+    if (activeTool === 'transform' && activeLayer) drawTransformFrame(ctx, activeLayer, w, h)
+    if (guides.readout && layer && hoverRef.current && !gestureRef.current) {
+      // Evaluating f(x) here is only safe once sampling showed it is quick
+      const sampled = linesCache.get(samplingKey(layer, view, w, h, layerOverscan(layer, w, h)))
+      const exact = Boolean(sampled?.complete) && !slowLayers[layer.id]
+      drawReadout(ctx, w, h, hoverRef.current, hoverReadout(layer, lines, view, w, h, hoverRef.current, exact))
+    }
+  }
+
+  // Add operations to the scene. An up-to-date on-screen bake is extended
+  // in place rather than replaying the whole scene.
+  const appendToScene = (items) => {
+    const canvas = canvasRef.current
+    const prev = sceneRef.current
+    updateScene([...prev, ...items])
+    const bake = bakeRef.current
+    const [w, h] = canvasSize()
+    if (canvas && isFreshBake(bake, prev, w, h, canvas._dpr || 1, currentView(w, h))) {
+      const [, previews] = noticingPreviews(() => paintItems(bake.canvas.getContext('2d'), bake.width, bake.height, bake.ratio, bake.view, items, background))
+      bake.items = sceneRef.current
+      bake.previews = [...bake.previews, ...previews]
+      bake.version = ++bakeVersions
+      if (previews.length) refineBake(bake)
+    }
+  }
+
+  // Bake the visible layers into the scene as strokes (skipping ones the
+  // scene already holds unchanged)
+  const commitLayers = () => {
+    const known = new Set(sceneRef.current.filter(i => i.type === 'stroke').map(i => JSON.stringify(i.layer)))
+    const strokes = layers
+      .filter(l => l.visible && compileLayer(l))
+      .map(strokeOf)
+      .filter(s => !known.has(JSON.stringify(s.layer)))
+    if (strokes.length) appendToScene(strokes)
+  }
+
+  // Bucket fill at a canvas point (CSS px), run by the fill worker (see
+  // lib/filler.js). The fill sees what is on screen, so the visible layers
+  // are committed first as its barriers. Fills queue up and apply in order;
+  // each resolves with whether it changed anything (fills that change
+  // nothing are not recorded).
+  const fillAt = (cssX, cssY, options) => {
+    const run = fillRunRef.current
+    const done = fillQueueRef.current.then(() => (run === fillRunRef.current ? runFill(cssX, cssY, options) : false))
+    fillQueueRef.current = done.catch(() => false)
+    return done
+  }
+
+  const runFill = async (cssX, cssY, { method = 'edge', color, tolerance = 24, gapClose = 1, blend = 'source-over', style = 'solid', color2 = '#ffffff', angle = 0, spacing = 8, smooth = false }) => {
+    const canvas = canvasRef.current
+    if (!canvas) return false
+    const [w, h] = canvasSize()
     const dpr = canvas._dpr || 1
-    const w = canvas.width / dpr
-    const h = canvas.height / dpr
-    // If we have a resize snapshot (from a size/orientation change),
-    // restore it scaled to the new canvas size and skip the function draw once
-    if (resizeSnapshotRef.current) {
-      const snap = resizeSnapshotRef.current
-      ctx.clearRect(0, 0, w, h)
-      try {
-        // Draw source (device pixels) into destination (CSS pixels)
-        ctx.drawImage(snap.off, 0, 0, snap.widthPx, snap.heightPx, 0, 0, w, h)
-      } catch {}
-      // Persist the restored content as a frozen background so subsequent renders
-      // won't clear it. This keeps user's work across orientation/size changes.
-      try {
-        const dataUrl = canvas.toDataURL('image/png')
-        const img = new Image()
-        img.onload = () => {
-          frozenImageRef.current = img
-        }
-        img.src = dataUrl
-      } catch {}
-      resizeSnapshotRef.current = null
-      skipNextFunctionDrawRef.current = true
-    }
-
-    // First, if there is a frozen image, draw it as the background (unless a resize snapshot just restored)
-    if (frozenImageRef.current) {
-      ctx.clearRect(0, 0, w, h)
-      ctx.drawImage(frozenImageRef.current, 0, 0, w, h)
-    }
-    const scope = {
-      a: Number(params?.a ?? 0),
-      b: Number(params?.b ?? 0),
-      c: Number(params?.c ?? 0),
-      x: 0,
-      sin: math.sin,
-      cos: math.cos,
-      tan: math.tan,
-      abs: math.abs,
-      exp: math.exp,
-      sqrt: math.sqrt,
-      pow: math.pow,
-    }
-    if (compiled && !skipNextFunctionDrawRef.current) {
-        // Draw current function. If we have a frozen background, skip clearing so it stays.
-        const skip = Boolean(frozenImageRef.current)
-      drawFunction(ctx, canvas, compiled, scope, lineColor, bgColor, tiltAngle, skip, lineWidth, lineOpacity)
-    } else if (!frozenImageRef.current) {
-      // No compiled function and no frozen background: fill bg
-      ctx.clearRect(0, 0, w, h)
-      ctx.fillStyle = bgColor || '#ffffff'
-      ctx.fillRect(0, 0, w, h)
-    }
-
-    // reset the one-time skip flag after render
-    if (skipNextFunctionDrawRef.current) skipNextFunctionDrawRef.current = false
+    const view = currentView(w, h)
+    commitLayers()
+    const bake = screenBake(w, h, dpr, view, false)
+    const [x, y] = createMapping(view, w, h).toWorld(cssX, cssY)
+    const fill = { type: 'fill', method, x, y, color, tolerance, gapClose, blend, style, color2, angle, spacing, smooth }
+    const ctx = bake.canvas.getContext('2d')
+    const { width: iw, height: ih } = bake.canvas
+    const seed = fillSeed(fill, view, w, h, dpr, iw, ih)
+    if (!seed) return false
+    let img
+    try {
+      img = ctx.getImageData(0, 0, iw, ih)
+    } catch {
+      return false
+    }
+    const job = fillJob(fill, img, seed, dpr, background)
+    // The worker keeps barrier masks for the bake's version and the result's
+    const version = bake.version
+    const next = ++bakeVersions
+    if (!fillerRef.current) fillerRef.current = createFiller()
+    let result
+    try {
+      result = await fillerRef.current.fill({ ...job, backgroundPixels: job.backgroundPixels?.slice() ?? null, version, next })
+    } catch (err) {
+      if (err.name === 'AbortError') return false
+      throw err
+    }
+    if (!result.mask) return false
+    if (bakeRef.current === bake && bake.version === version) {
+      paintFill(ctx, new ImageData(result.data, iw, ih), blend)
+      // Blending leaves other pixels than the worker's
+      bake.version = blendMode(blend) === 'source-over' ? next : ++bakeVersions
+      updateScene([...sceneRef.current, fill])
+      bake.items = sceneRef.current
+    } else {
+      // The artwork was redrawn meanwhile; the fill is replayed on it
+      updateScene([...sceneRef.current, fill])
+    }
+    render()
+    return true
   }
 
+  latestRef.current = { fitCanvas, render, renderGuides, onSampled }
+
   useEffect(() => {
     fitCanvas()
     render()
     const onResize = () => {
-      fitCanvas()
-      render()
+      latestRef.current.fitCanvas()
+      latestRef.current.render()
     }
     window.addEventListener('resize', onResize)
     // Also respond to orientation changes and visual viewport updates
@@ -249,220 +1387,383 @@ const Canvas = forwardRef(function Canvas({
       window.removeEventListener('orientationchange', onResize)
       window.visualViewport?.removeEventListener('resize', onResize)
       try { resizeObserverRef.current?.disconnect() } catch {}
+      clearTimeout(rebuildTimerRef.current)
+      samplerRef.current?.dispose()
+      samplerRef.current = undefined
+      fillerRef.current?.dispose()
+      fillerRef.current = null
     }
     // eslint-disable-next-line react-hooks/exhaustive-deps
   }, [])
 
   useEffect(() => {
+    sceneRef.current = scene
     render()
     // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, [expression, params, lineColor, bgColor, tiltAngle, lineWidth, lineOpacity])
+  }, [layers, scene, background, viewport, squareAspect, guides, activeTool])
 
-  useImperativeHandle(ref, () => ({
-    reset: () => {
-      const canvas = canvasRef.current
-      if (!canvas) return
-      const ctx = canvas.getContext('2d')
-      const dpr = canvas._dpr || 1
-      const w = canvas.width / dpr
-      const h = canvas.height / dpr
-      ctx.clearRect(0, 0, w, h)
-      ctx.fillStyle = bgColor || '#ffffff'
-      ctx.fillRect(0, 0, w, h)
-      frozenImageRef.current = null
-      usedExpressionsRef.current = new Set()
-    },
-    save: () => {
-      const canvas = canvasRef.current
-      if (!canvas) return
-      // Create a composite with footer text listing used functions
-      const dpr = canvas._dpr || 1
-      const w = canvas.width / dpr
-      const h = canvas.height / dpr
-      const footerLines = []
-      const exprs = Array.from(usedExpressionsRef.current)
-      if (exprs.length) {
-        footerLines.push('Functions used: ' + exprs.join(' | '))
-      }
-      footerLines.push('Made possible by fxART')
-      footerLines.push('Create your own at https://kcicek.github.io/fxart/')
-      const footerText = footerLines.join('\n')
-      // Measure text using an offscreen canvas
-      const off = document.createElement('canvas')
-      const ctx = off.getContext('2d')
-      const fontSize = 12
-      ctx.font = `${fontSize}px ui-monospace, SFMono-Regular, Menlo, Monaco, Consolas, "Liberation Mono", monospace`
-      const lineHeight = fontSize + 4
-      const textWidth = Math.min(w - 20, Math.max(...footerLines.map(l => ctx.measureText(l).width), 0))
-      const footerHeight = lineHeight * footerLines.length + 10
-      off.width = w * dpr
-      off.height = (h + footerHeight) * dpr
-      const offCtx = off.getContext('2d')
-      offCtx.setTransform(dpr, 0, 0, dpr, 0, 0)
-      // Draw original canvas content
-      offCtx.drawImage(canvas, 0, 0, w, h)
-      // Footer background with slight separation
-      offCtx.fillStyle = '#ffffff'
-      offCtx.fillRect(0, h, w, footerHeight)
-      offCtx.fillStyle = '#374151' // gray-700
-      offCtx.font = ctx.font
-      offCtx.textBaseline = 'top'
-      let y = h + 5
-      footerLines.forEach(line => {
-        offCtx.fillText(line, 10, y, w - 20)
-        y += lineHeight
-      })
-      const url = off.toDataURL('image/png')
-      const a = document.createElement('a')
-      a.href = url
-      a.download = 'fxart.png'
-      a.click()
-    },
-    freeze: () => {
-      const canvas = canvasRef.current
-      if (!canvas) return
-      const dpr = canvas._dpr || 1
-      const w = canvas.width / dpr
-      const h = canvas.height / dpr
-      // Create an image snapshot of current canvas
-      const dataUrl = canvas.toDataURL('image/png')
-      const img = new Image()
-      img.onload = () => {
-        // Ensure it scales with current CSS size
-        frozenImageRef.current = img
-        // Record the expression that produced the just-frozen lines
-        if (expression && expression.trim()) {
-          usedExpressionsRef.current.add(expression.trim())
-        }
-        render()
-      }
-      img.src = dataUrl
-    }
-  }))
+  // A new viewport prop supersedes any view we emitted ourselves
+  useEffect(() => {
+    pendingViewRef.current = null
+  }, [viewport, squareAspect])
+
+  // Latest known view for chained pan/zoom events that arrive before the
+  // parent has re-rendered with the previous update
+  const baseView = () => {
+    const [w, h] = canvasSize()
+    return pendingViewRef.current || currentView(w, h)
+  }
+
+  const emitView = (next) => {
+    pendingViewRef.current = next
+    onViewportChange?.(next)
+  }
 
-  // Simple fill action: if bucket tool active, clicking fills background with selected bgColor then re-renders (respecting frozen image)
-  const handleCanvasClick = (e) => {
-    if (activeTool !== 'bucket') return
+  latestRef.current.zoomAt = (factor, px, py) => {
+    const [w, h] = canvasSize()
+    emitView(zoomViewport(baseView(), factor, px, py, w, h))
+  }
+
+  // Wheel / trackpad zoom. Registered natively so preventDefault works
+  // (React attaches wheel listeners as passive).
+  useEffect(() => {
     const canvas = canvasRef.current
     if (!canvas) return
-    const ctx = canvas.getContext('2d')
-    const dpr = canvas._dpr || 1
-    const cssX = e.nativeEvent.offsetX
-    const cssY = e.nativeEvent.offsetY
-    const x = Math.floor(cssX * dpr)
-    const y = Math.floor(cssY * dpr)
-    const iw = canvas.width
-    const ih = canvas.height
-
-    // Ensure we have current drawing on canvas before capturing pixels
-    // (render normally if no frozen image yet)
-    if (!frozenImageRef.current) {
-      render()
+    const onWheel = (e) => {
+      e.preventDefault()
+      const rect = canvas.getBoundingClientRect()
+      const delta = e.deltaMode === 1 ? e.deltaY * 16 : e.deltaY
+      latestRef.current.zoomAt(Math.exp(-delta * 0.0015), e.clientX - rect.left, e.clientY - rect.top)
     }
+    canvas.addEventListener('wheel', onWheel, { passive: false })
+    return () => canvas.removeEventListener('wheel', onWheel)
+  }, [])
 
-    let imageData
-    try {
-      imageData = ctx.getImageData(0, 0, iw, ih)
-    } catch {
+  // Drag to pan; two pointers pinch-zoom around their midpoint
+  const pointerPos = (e) => {
+    const rect = canvasRef.current.getBoundingClientRect()
+    return [e.clientX - rect.left, e.clientY - rect.top]
+  }
+
+  const handlePointerDown = (e) => {
+    if (activeTool === 'bucket') return
+    try { e.currentTarget.setPointerCapture(e.pointerId) } catch {}
+    // The transform tool drags its handles; elsewhere the canvas pans as usual
+    if (activeTool === 'transform' && activeLayer && !gestureRef.current) {
+      const [w, h] = canvasSize()
+      const from = pointerPos(e)
+      const kind = hitTransformHandle(activeLayer, w, h, from)
+      if (kind) {
+        transformDragRef.current = { pointerId: e.pointerId, kind, start: activeLayer, from }
+        return
+      }
+    }
+    if (!gestureRef.current) gestureRef.current = { pointers: new Map() }
+    gestureRef.current.pointers.set(e.pointerId, pointerPos(e))
+  }
+
+  const handlePointerMove = (e) => {
+    if (e.pointerType !== 'touch') {
+      hoverRef.current = pointerPos(e)
+      if (guides.readout) renderGuides()
+    }
+    const drag = transformDragRef.current
+    if (drag && drag.pointerId === e.pointerId) {
+      const [w, h] = canvasSize()
+      // Shift toggles snapping for the drag
+      const changes = dragTransform(drag.kind, drag.start, drag.from, pointerPos(e), w, h, transformSnap !== e.shiftKey)
+      onLayerChange?.(drag.start.id, changes)
       return
     }
-    const data = imageData.data
-
-    const idx = (y * iw + x) * 4
-    const targetR = data[idx]
-    const targetG = data[idx + 1]
-    const targetB = data[idx + 2]
-    const targetA = data[idx + 3]
-
-    // Parse replacement color (bgColor hex -> r,g,b)
-    const hex = (bgColor || '#000000').trim()
-    const parseHex = (h) => {
-      if (h.startsWith('#')) h = h.slice(1)
-      if (h.length === 3) {
-        return [
-          parseInt(h[0] + h[0], 16),
-          parseInt(h[1] + h[1], 16),
-          parseInt(h[2] + h[2], 16)
-        ]
-      }
-      return [
-        parseInt(h.slice(0, 2), 16),
-        parseInt(h.slice(2, 4), 16),
-        parseInt(h.slice(4, 6), 16)
-      ]
-    }
-    const [repR, repG, repB] = parseHex(hex)
-    const repA = 255
-
-    // If target equals replacement, nothing to do
-    if (targetR === repR && targetG === repG && targetB === repB && targetA === repA) return
-
-    // Flood fill (scanline) exact color match
-    const matchTarget = (i) => data[i] === targetR && data[i + 1] === targetG && data[i + 2] === targetB && data[i + 3] === targetA
-    const colorPixel = (i) => {
-      data[i] = repR; data[i + 1] = repG; data[i + 2] = repB; data[i + 3] = repA
-    }
-    const stack = [x, y]
-    while (stack.length) {
-      const cy = stack.pop()
-      const cx = stack.pop()
-      let left = cx
-      let i
-      // move left
-      while (left >= 0) {
-        i = (cy * iw + left) * 4
-        if (!matchTarget(i)) break
-        left--
-      }
-      left++
-      let right = cx
-      while (right < iw) {
-        i = (cy * iw + right) * 4
-        if (!matchTarget(i)) break
-        right++
-      }
-      // fill span
-      for (let px = left; px < right; px++) {
-        i = (cy * iw + px) * 4
-        colorPixel(i)
-        // check pixels above and below for queueing
-        if (cy > 0) {
-          const upIdx = ((cy - 1) * iw + px) * 4
-          if (matchTarget(upIdx)) stack.push(px, cy - 1)
-        }
-        if (cy < ih - 1) {
-          const dnIdx = ((cy + 1) * iw + px) * 4
-          if (matchTarget(dnIdx)) stack.push(px, cy + 1)
-        }
-      }
+    const pointers = gestureRef.current?.pointers
+    if (!pointers || !pointers.has(e.pointerId)) return
+    const before = [...pointers.values()]
+    pointers.set(e.pointerId, pointerPos(e))
+    const after = [...pointers.values()]
+    const [w, h] = canvasSize()
+    let view = baseView()
+    if (after.length === 1) {
+      view = panViewport(view, after[0][0] - before[0][0], after[0][1] - before[0][1], w, h)
+    } else {
+      const mid = (p) => [(p[0][0] + p[1][0]) / 2, (p[0][1] + p[1][1]) / 2]
+      const dist = (p) => Math.hypot(p[0][0] - p[1][0], p[0][1] - p[1][1])
+      const [mx0, my0] = mid(before)
+      const [mx1, my1] = mid(after)
+      view = panViewport(view, mx1 - mx0, my1 - my0, w, h)
+      if (dist(before) > 0) view = zoomViewport(view, dist(after) / dist(before), mx1, my1, w, h)
     }
+    emitView(view)
+  }
+
+  const handlePointerUp = (e) => {
+    if (transformDragRef.current?.pointerId === e.pointerId) transformDragRef.current = null
+    const pointers = gestureRef.current?.pointers
+    if (!pointers) return
+    pointers.delete(e.pointerId)
+    if (!pointers.size) gestureRef.current = null
+  }
 
-    ctx.putImageData(imageData, 0, 0)
+  const handlePointerLeave = () => {
+    hoverRef.current = null
+    if (guides.readout) renderGuides()
+  }
 
-    // Snapshot resulting image so further re-renders keep fill
-    const dataUrl = canvas.toDataURL('image/png')
-    const img = new Image()
-    img.onload = () => {
-      frozenImageRef.current = img
-      // After baking, re-render function skipped (we keep baked pixels). If desired to redraw function lines on top, call render() here.
+  // Footer of exported images: the functions in the artwork and credits
+  const footerLines = () => {
+    const lines = []
+    // Frozen curves plus the layers still drawn live
+    const exprs = Array.from(new Set([
+      ...sceneRef.current.filter(i => i.type === 'stroke').map(i => {
+        const label = describeLayer(i.layer)
+        return label && i.sweep ? `${label}, ${describeSweep(i.sweep)}` : label
+      }),
+      ...layers.filter(l => l.visible && compileLayer(l)).map(describeLayer),
+    ].filter(Boolean)))
+    if (exprs.length) {
+      lines.push('Functions used: ' + exprs.join(' | '))
     }
-    img.src = dataUrl
+    lines.push('Made possible by fxART')
+    lines.push('Create your own at https://kcicek.github.io/fxart/')
+    return lines
   }
 
+  // Curves of the artwork for vector output: the frozen strokes, then the
+  // visible layers. Layers already frozen unchanged are left out, so
+  // plotters don't draw those curves twice.
+  const artworkCurves = () => {
+    const frozen = sceneRef.current.filter(i => i.type === 'stroke').map(i => i.layer)
+    const known = new Set(frozen.map(layer => JSON.stringify(layer)))
+    return [
+      ...frozen,
+      ...layers.filter(l => l.visible && !known.has(JSON.stringify(strokeOf(l).layer))),
+    ]
+  }
+
+  // Export of width × height device pixels (before the footer): the view
+  // keeps its on-screen scale along the axis that fits and is widened along
+  // the other if the aspect ratio differs. `ratio` is device px per unit of
+  // the exported width × height view.
+  const exportView = (width, height) => {
+    const [w, h] = canvasSize()
+    const ratio = Math.min(width / w, height / h)
+    const ew = width / ratio
+    const eh = height / ratio
+    return { ratio, ew, eh, view: resizeViewport(currentView(w, h), w, h, ew, eh) }
+  }
+
+  // Re-render the artwork offscreen at width × height device pixels (see
+  // exportView), with the footer added below; line widths, fills and footer
+  // text all scale with the output.
+  const renderExport = (width, height) => {
+    const { ratio, ew, eh, view } = exportView(width, height)
+    const art = bakeScene(sceneRef.current, ew, eh, ratio, view, background)
+    const artCtx = art.canvas.getContext('2d')
+    for (const layer of layers) {
+      if (layer.visible) drawLayer(artCtx, ew, eh, view, layer)
+    }
+    // Composite with footer text listing used functions
+    const lines = footerLines()
+    const footerHeight = FOOTER_LINE_HEIGHT * lines.length + 10
+    const off = document.createElement('canvas')
+    off.width = art.canvas.width
+    off.height = Math.round((eh + footerHeight) * ratio)
+    const offCtx = off.getContext('2d')
+    offCtx.setTransform(ratio, 0, 0, ratio, 0, 0)
+    offCtx.drawImage(art.canvas, 0, 0, ew, eh)
+    // Footer background with slight separation
+    offCtx.fillStyle = '#ffffff'
+    offCtx.fillRect(0, eh, ew, footerHeight)
+    offCtx.fillStyle = FOOTER_COLOR
+    offCtx.font = `${FOOTER_FONT_SIZE}px ${FOOTER_FONT}`
+    offCtx.textBaseline = 'top'
+    let y = eh + 5
+    lines.forEach(line => {
+      offCtx.fillText(line, 10, y, ew - 20)
+      y += FOOTER_LINE_HEIGHT
+    })
+    return off
+  }
+
+  // Download a PNG of width × height device pixels (plus footer); defaults
+  // to the on-screen size. Resolves to a note if curves are previews (see
+  // drawInFull).
+  const exportPng = async ({ width, height, filename = 'fxart.png' } = {}) => {
+    const canvas = canvasRef.current
+    if (!canvas) return null
+    let blob = null
+    let note = null
+    try {
+      const [off, previews] = await drawInFull(() => renderExport(width || canvas.width, height || canvas.height))
+      note = previews
+      blob = await new Promise(resolve => off.toBlob(resolve, 'image/png'))
+    } catch {}
+    // Canvases beyond the browser's size limits fail to draw or encode
+    if (!blob) throw new Error('This browser cannot create an image that large')
+    downloadBlob(blob, filename)
+    return note
+  }
+
+  // SVG document of the artwork framed like a width × height PNG export,
+  // with the footer as text below it. Given a `dpi`, the document is sized
+  // in inches (for plotting and cutting); otherwise in px.
+  const renderSvg = (width, height, dpi) => {
+    const { ratio, ew, eh, view } = exportView(width, height)
+    const curves = artworkCurves().map((layer, k) => layerSvgPath(layer, view, ew, eh, `curve-${k}`)).filter(Boolean)
+    const fills = fillSvgPaths(sceneRef.current, ew, eh, view, background)
+    const clipped = (paths) => svgTag('g', { 'clip-path': 'url(#artwork-clip)' }, paths.join('\n'))
+
+    // Footer lines longer than the page are squeezed to fit, as on the PNG
+    const lines = footerLines()
+    const footerHeight = FOOTER_LINE_HEIGHT * lines.length + 10
+    const measure = document.createElement('canvas').getContext('2d')
+    measure.font = `${FOOTER_FONT_SIZE}px ${FOOTER_FONT}`
+    const text = lines.map((line, k) => svgTag('text', {
+      x: 10,
+      y: eh + 5 + k * FOOTER_LINE_HEIGHT + FOOTER_FONT_SIZE,
+      'font-family': FOOTER_FONT,
+      'font-size': FOOTER_FONT_SIZE,
+      fill: FOOTER_COLOR,
+      ...(measure.measureText(line).width > ew - 20 ? { textLength: ew - 20, lengthAdjust: 'spacingAndGlyphs' } : {}),
+    }, escapeXml(line)))
+
+    const totalHeight = eh + footerHeight
+    const size = dpi
+      ? [`${Math.round((ew * ratio / dpi) * 1000) / 1000}in`, `${Math.round((totalHeight * ratio / dpi) * 1000) / 1000}in`]
+      : [`${Math.round(ew * ratio)}px`, `${Math.round(totalHeight * ratio)}px`]
+    return svgDocument(ew, totalHeight, size, [
+      svgTag('title', {}, 'fxART'),
+      svgMetadata({ title: 'fxART', description: lines.join('\n'), source: 'https://kcicek.github.io/fxart/' }),
+      svgTag('defs', {}, svgTag('clipPath', { id: 'artwork-clip' }, svgTag('rect', { width: ew, height: eh }))),
+      svgLayer('background', 'Background', svgBackground(background, ew, eh)),
+      svgLayer('fills', 'Fills', clipped(fills)),
+      svgLayer('curves', 'Curves', clipped(curves)),
+      svgLayer('footer', 'Footer', svgTag('rect', { y: eh, width: ew, height: footerHeight, fill: '#ffffff' }) + text.join('')),
+    ].join('\n'))
+  }
+
+  // Download an SVG; the size arguments are those of renderSvg and default
+  // to the on-screen size. Resolves like exportPng.
+  const exportSvg = async ({ width, height, dpi, filename = 'fxart.svg' } = {}) => {
+    const canvas = canvasRef.current
+    if (!canvas) return null
+    const [svg, note] = await drawInFull(() => renderSvg(width || canvas.width, height || canvas.height, dpi))
+    downloadBlob(new Blob([svg], { type: 'image/svg+xml' }), filename)
+    return note
+  }
+
+  useImperativeHandle(ref, () => ({
+    // Clear the artwork; the live layers stay
+    reset: () => {
+      updateScene([])
+      render()
+    },
+    save: () => exportPng(),
+    exportPng,
+    exportSvg,
+    // Bake the visible layers into the artwork
+    freeze: () => {
+      commitLayers()
+      render()
+    },
+    // Resolves to the artwork's curves as pen paths { color, points } in CSS
+    // px of the on-screen view, with their tilt and symmetry copies, clipped
+    // to it; hatched areas are included, bucket fills left out. `note` names
+    // curves that are previews (see drawInFull).
+    plotterPaths: async () => {
+      const [w, h] = canvasSize()
+      const view = currentView(w, h)
+      const [paths, note] = await drawInFull(() => artworkCurves().flatMap(layer => {
+        const lines = sampleLayer(layer, view, w, h)
+        if (!lines) return []
+        const transforms = layerTransforms(layer, w, h)
+        const pen = (polylines, color) => transforms
+          .flatMap(t => polylines.flatMap(line => clipPolyline(transformPoints(line, t), w, h)))
+          .map(points => ({ color, points }))
+        // Hatched areas plot as lines; solid and gradient ones can't
+        const hatch = layer.areaFill === 'hatch'
+          ? pen(layerHatch(layer, layerAreaPolygons(layer, lines, view, w, h)), layer.areaColor || '#6366f1')
+          : []
+        return [...hatch, ...pen(toScreenLines(lines, view, w, h), layer.lineColor || '#111827')]
+      }))
+      return { width: w, height: h, paths, note }
+    },
+    // Draw a family of the active layer's curve into the artwork as one
+    // scene change; `options` as for sweepLayers in lib/sweep.js
+    sweep: (options) => {
+      if (!activeLayer || !compileLayer(activeLayer)) return
+      const { key, from, to, count } = options
+      appendToScene(sweepLayers(activeLayer, options).map(layer => ({ ...strokeOf(layer), sweep: { key, from, to, count } })))
+      render()
+    },
+    // Bucket fill at (x, y) in CSS px; see fillAt
+    fill: (x, y, options) => fillAt(x, y, options),
+    // Stop the fill under way and drop the queued ones
+    cancelFills: () => {
+      fillRunRef.current++
+      fillerRef.current?.cancel()
+    },
+    // Resolves to [an offscreen frame of the current artwork with the layers
+    // drawn using `styles` overrides (see paintFrame), scaled by `scale`
+    // from CSS pixels, a note if curves are previews (see drawInFull)]
+    renderFrame: (styles = {}, scale = 1) => drawInFull(() => {
+      const [w, h] = canvasSize()
+      const view = currentView(w, h)
+      if (!isFreshBake(frameBakeRef.current, sceneRef.current, w, h, scale, view)) {
+        frameBakeRef.current = bakeScene(sceneRef.current, w, h, scale, view, background)
+      } else {
+        previewed.push(...frameBakeRef.current.previews)
+      }
+      const off = document.createElement('canvas')
+      off.width = Math.max(1, Math.round(w * scale))
+      off.height = Math.max(1, Math.round(h * scale))
+      const ctx = off.getContext('2d')
+      ctx.setTransform(scale, 0, 0, scale, 0, 0)
+      paintFrame(ctx, w, h, view, frameBakeRef.current, styles)
+      return off
+    }),
+    // Fit the viewport to the active layer's curve. f(x) keeps its x range
+    // and fits y robustly (ignoring asymptote spikes); other modes fit both axes.
+    fitToCurve: () => {
+      if (!activeLayer) return
+      const [w, h] = canvasSize()
+      const view = currentView(w, h)
+      const lines = sampleLayer(activeLayer, view, w, h, { x: 0, y: 0 })
+      if (!lines) return
+      if (activeLayer.mode === 'fx') {
+        const fit = fitViewport(lines, { robust: true })
+        if (fit) emitView({ xMin: view.xMin, xMax: view.xMax, yMin: fit.yMin, yMax: fit.yMax })
+      } else {
+        const fit = fitViewport(lines)
+        if (fit) emitView(fit)
+      }
+    }
+  }))
+
   return (
     <div ref={containerRef} className={`w-full ${fillParent ? 'h-full' : ''}`}>
       {error && (
         <div className="mb-2 text-sm text-red-600">{error}</div>
       )}
-      <canvas
-        ref={canvasRef}
-        onClick={handleCanvasClick}
-        className={`w-full rounded-lg border border-gray-200 shadow-sm ${activeTool==='bucket' ? '' : 'cursor-crosshair'}`}
-        style={activeTool==='bucket' ? {
-          // Hotspot moved near bottom-right corner of 24x24 drawing inside 32x32 cursor box.
-          cursor: "url('data:image/svg+xml;utf8,<?xml version=\"1.0\" encoding=\"UTF-8\"?><svg xmlns=\"http://www.w3.org/2000/svg\" width=\"32\" height=\"32\" viewBox=\"0 0 24 24\" fill=\"none\" stroke=\"%23000000\" stroke-width=\"2\" stroke-linecap=\"round\" stroke-linejoin=\"round\"><path d=\"M3 12l9-9 4.5 4.5L7.5 16.5 3 12z\"/><path d=\"M14.5 5.5l4 4\"/><path d=\"M19 14c-.5 1.5-1.5 3-3 4\"/></svg>') 22 22, cell"
-        } : undefined}
-      />
+      {slowNotes.map(note => (
+        <div key={note} className="mb-2 text-sm text-amber-700">{note}</div>
+      ))}
+      <div className="relative">
+        <canvas
+          ref={canvasRef}
+          onPointerDown={handlePointerDown}
+          onPointerMove={handlePointerMove}
+          onPointerUp={handlePointerUp}
+          onPointerCancel={handlePointerUp}
+          onPointerLeave={handlePointerLeave}
+          className={`w-full rounded-lg border border-gray-200 shadow-sm touch-none ${activeTool==='bucket' ? '' : 'cursor-crosshair'}`}
+          style={activeTool==='bucket' ? {
+            // Hotspot moved near bottom-right corner of 24x24 drawing inside 32x32 cursor box.
+            cursor: "url('data:image/svg+xml;utf8,<?xml version=\"1.0\" encoding=\"UTF-8\"?><svg xmlns=\"http://www.w3.org/2000/svg\" width=\"32\" height=\"32\" viewBox=\"0 0 24 24\" fill=\"none\" stroke=\"%23000000\" stroke-width=\"2\" stroke-linecap=\"round\" stroke-linejoin=\"round\"><path d=\"M3 12l9-9 4.5 4.5L7.5 16.5 3 12z\"/><path d=\"M14.5 5.5l4 4\"/><path d=\"M19 14c-.5 1.5-1.5 3-3 4\"/></svg>') 22 22, cell"
+          } : undefined}
+        />
+        {/* Guides: never part of the artwork */}
+        <canvas ref={overlayRef} className="absolute left-0 top-0 rounded-lg pointer-events-none" aria-hidden="true" />
+      </div>
     </div>
   )
 })
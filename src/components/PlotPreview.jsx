@@ -0,0 +1,37 @@
+import React from 'react'
+import { travelMoves, formatDuration } from '../lib/plotter.js'
+
+const pathData = (lines) => lines
+  .map(line => line.map(([x, y], k) => `${k ? 'L' : 'M'}${x.toFixed(2)} ${y.toFixed(2)}`).join(''))
+  .join('')
+
+// The page of a plot plan (see lib/plotter.js) laid over the canvas: pen
+// paths in their pen's color, pen-up travel as dashed red lines, and the
+// estimated plot time
+export default function PlotPreview({ plan, margin = 0, showTravel = true }) {
+  const [pw, ph] = plan.paper
+  const { stats } = plan
+  const travel = travelMoves(plan)
+  return (
+    <div className="absolute inset-0 z-10 flex flex-col items-center justify-center gap-2 p-4 rounded-xl bg-gray-100/90 pointer-events-none">
+      <svg viewBox={`0 0 ${pw} ${ph}`} className="flex-1 min-h-0 w-full" preserveAspectRatio="xMidYMid meet">
+        <rect width={pw} height={ph} fill="#ffffff" stroke="#d1d5db" vectorEffect="non-scaling-stroke" />
+        {margin > 0 && (
+          <rect x={margin} y={margin} width={Math.max(0, pw - 2 * margin)} height={Math.max(0, ph - 2 * margin)}
+                fill="none" stroke="#e5e7eb" strokeDasharray="4 4" vectorEffect="non-scaling-stroke" />
+        )}
+        {plan.pens.map(({ pen, colors, lines }) => (
+          <path key={pen} d={pathData(lines)} fill="none" stroke={colors[0]} strokeWidth="1.5"
+                strokeLinejoin="round" strokeLinecap="round" vectorEffect="non-scaling-stroke" />
+        ))}
+        {showTravel && (
+          <path d={pathData(travel)} fill="none" stroke="#ef4444" strokeWidth="1" strokeDasharray="3 3"
+                vectorEffect="non-scaling-stroke" />
+        )}
+      </svg>
+      <div className="px-2 py-1 rounded-md bg-white/90 border border-gray-200 text-xs text-gray-700">
+        Est. {formatDuration(stats.seconds)} · {(stats.draw / 1000).toFixed(2)} m drawn · {(stats.travel / 1000).toFixed(2)} m travel · {stats.lifts} lifts · {plan.pens.length} pen{plan.pens.length === 1 ? '' : 's'}
+      </div>
+    </div>
+  )
+}
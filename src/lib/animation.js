@@ -0,0 +1,59 @@
+// Keyframe animation of the live layers' parameters and style.
+//
+// A keyframe is { id, layerId, time, params, tilt, lineColor, lineWidth } with
+// time in seconds; each layer is animated by its own keyframes. Values
+// between keyframes are interpolated linearly (colors per RGB channel);
+// before the first and after the last keyframe they hold.
+import { hexToRgb } from './color.js'
+
+function lerp(a, b, u) {
+  return a + (b - a) * u
+}
+
+function rgbToHex(rgb) {
+  return '#' + rgb.map(v => Math.round(v).toString(16).padStart(2, '0')).join('')
+}
+
+export function lerpColor(a, b, u) {
+  const ca = hexToRgb(a)
+  const cb = hexToRgb(b)
+  return rgbToHex(ca.map((v, i) => lerp(v, cb[i], u)))
+}
+
+export function sortKeyframes(keyframes) {
+  return [...keyframes].sort((p, q) => p.time - q.time)
+}
+
+// Interpolated { params, tilt, lineColor, lineWidth } at `time`, or null
+// when there are no keyframes
+export function interpolateKeyframes(keyframes, time) {
+  if (!keyframes.length) return null
+  const sorted = sortKeyframes(keyframes)
+  let next = sorted.findIndex(k => k.time > time)
+  if (next === -1) next = sorted.length
+  const prev = sorted[Math.max(0, next - 1)]
+  const after = sorted[Math.min(sorted.length - 1, next)]
+  const span = after.time - prev.time
+  const u = span > 0 ? Math.min(1, Math.max(0, (time - prev.time) / span)) : 0
+
+  const params = { ...after.params, ...prev.params }
+  for (const k of Object.keys(params)) {
+    if (k in prev.params && k in after.params) params[k] = lerp(prev.params[k], after.params[k], u)
+  }
+  return {
+    params,
+    tilt: lerp(prev.tilt, after.tilt, u),
+    lineColor: lerpColor(prev.lineColor, after.lineColor, u),
+    lineWidth: lerp(prev.lineWidth, after.lineWidth, u),
+  }
+}
+
+// Interpolated values per animated layer at `time`: { [layerId]: values }
+export function interpolateLayerKeyframes(keyframes, time) {
+  const byLayer = new Map()
+  for (const k of keyframes) {
+    if (!byLayer.has(k.layerId)) byLayer.set(k.layerId, [])
+    byLayer.get(k.layerId).push(k)
+  }
+  return Object.fromEntries([...byLayer].map(([id, ks]) => [id, interpolateKeyframes(ks, time)]))
+}
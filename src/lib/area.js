@@ -0,0 +1,74 @@
+// Area fills of y = f(x) curves, computed from the sampled polylines rather
+// than from pixels. Everything is in canvas px (y pointing down); polygons
+// are closed implicitly and may cross themselves where the curve crosses its
+// boundary, giving lobes of opposite winding that fill either way.
+
+// Polygons closing each piece of a curve to the horizontal line y = level
+// (the x axis, or far above or below the view)
+export function areaToLevel(lines, level) {
+  return lines
+    .filter(line => line.length > 1)
+    .map(line => [...line, [line[line.length - 1][0], level], [line[0][0], level]])
+}
+
+// Polygons between two curves sampled at the same x values: `upper[i][k]`
+// and `lower[i][k]` share an x. Pieces are split wherever the second curve
+// is undefined (null points).
+export function areaBetween(upper, lower) {
+  const polygons = []
+  upper.forEach((line, i) => {
+    let run = []
+    const flush = () => {
+      if (run.length > 1) polygons.push([...run.map(([p]) => p), ...run.map(([, q]) => q).reverse()])
+      run = []
+    }
+    line.forEach((p, k) => {
+      const q = lower[i][k]
+      if (q) run.push([p, q])
+      else flush()
+    })
+    flush()
+  })
+  return polygons
+}
+
+// Hatch lines across polygons: parallel segments `spacing` px apart at
+// `angleDeg` (0 = horizontal, clockwise on screen), aligned to the canvas
+// origin so the pattern stays put as the shape changes. Insides follow the
+// even-odd rule. Returns [[x0, y0], [x1, y1]] pairs.
+export function hatchSegments(polygons, angleDeg = 45, spacing = 6) {
+  const step = Math.max(1, Number(spacing) || 6)
+  const rad = (Number(angleDeg) * Math.PI) / 180
+  const [dx, dy] = [Math.cos(rad), Math.sin(rad)] // along the hatch lines
+  const [nx, ny] = [-dy, dx] // across them
+  const across = (p) => p[0] * nx + p[1] * ny
+  const along = (p) => p[0] * dx + p[1] * dy
+  let lo = Infinity
+  let hi = -Infinity
+  for (const polygon of polygons) {
+    for (const p of polygon) {
+      lo = Math.min(lo, across(p))
+      hi = Math.max(hi, across(p))
+    }
+  }
+  const segments = []
+  for (let t = Math.ceil(lo / step) * step; t <= hi; t += step) {
+    const hits = []
+    for (const polygon of polygons) {
+      polygon.forEach((p, k) => {
+        const q = polygon[(k + 1) % polygon.length]
+        const pn = across(p)
+        const qn = across(q)
+        if ((pn > t) === (qn > t)) return
+        const u = (t - pn) / (qn - pn)
+        hits.push(along(p) + (along(q) - along(p)) * u)
+      })
+    }
+    hits.sort((a, b) => a - b)
+    for (let k = 0; k + 1 < hits.length; k += 2) {
+      const point = (s) => [nx * t + dx * s, ny * t + dy * s]
+      segments.push([point(hits[k]), point(hits[k + 1])])
+    }
+  }
+  return segments
+}
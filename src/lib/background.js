@@ -0,0 +1,149 @@
+// Canvas backgrounds. A background is an immutable object:
+//   { type, color, color2, angle, pattern, patternColor, patternSize, image, imageFit }
+// type 'solid' paints `color`; 'linear' and 'radial' are gradients from
+// `color` to `color2` (linear ones at `angle` degrees, 0 = left to right,
+// 90 = top to bottom); 'pattern' repeats `pattern` in `patternColor` every
+// `patternSize` CSS px over `color`; 'image' draws a loaded image element
+// over `color`, scaled to fit inside the canvas, fill it, or tiled.
+
+export const BACKGROUND_TYPES = [
+  { value: 'solid', label: 'Solid color' },
+  { value: 'linear', label: 'Linear gradient' },
+  { value: 'radial', label: 'Radial gradient' },
+  { value: 'pattern', label: 'Pattern' },
+  { value: 'image', label: 'Image' },
+]
+
+export const BACKGROUND_PATTERNS = [
+  { value: 'dots', label: 'Dots' },
+  { value: 'grid', label: 'Grid' },
+  { value: 'stripes', label: 'Stripes' },
+  { value: 'checker', label: 'Checkerboard' },
+]
+
+export const IMAGE_FITS = [
+  { value: 'fit', label: 'Fit' },
+  { value: 'fill', label: 'Fill' },
+  { value: 'tile', label: 'Tile' },
+]
+
+export const DEFAULT_BACKGROUND = {
+  type: 'solid',
+  color: '#ffffff',
+  color2: '#c7d2fe',
+  angle: 90,
+  pattern: 'dots',
+  patternColor: '#d1d5db',
+  patternSize: 24,
+  image: null,
+  imageFit: 'fill',
+}
+
+const imageReady = (image) => Boolean(image && image.complete !== false && image.width > 0 && image.height > 0)
+
+// Whether the background is one color everywhere
+export function isFlatBackground(background) {
+  return !background || background.type === 'solid' ||
+    (background.type === 'image' && !imageReady(background.image))
+}
+
+// End points of a linear gradient at `angle` across a width × height area,
+// through its center and long enough to reach the corners
+export function gradientLine(angle, width, height) {
+  const rad = ((Number(angle) || 0) * Math.PI) / 180
+  const [dx, dy] = [Math.cos(rad), Math.sin(rad)]
+  const half = (Math.abs(width * dx) + Math.abs(height * dy)) / 2
+  return [width / 2 - dx * half, height / 2 - dy * half, width / 2 + dx * half, height / 2 + dy * half]
+}
+
+// Center and radius of a radial gradient: from the center to the corners
+export function gradientCircle(width, height) {
+  return [width / 2, height / 2, Math.hypot(width, height) / 2]
+}
+
+// Placement [x, y, w, h] of an iw × ih image on the canvas: 'fit' shows all
+// of it, 'fill' covers the canvas (both centered), 'tile' keeps its size
+// (tiny images are scaled up so tiling stays cheap)
+export function imageRect(fit, iw, ih, width, height) {
+  if (fit === 'tile') {
+    const scale = Math.max(1, 16 / Math.min(iw, ih))
+    return [0, 0, iw * scale, ih * scale]
+  }
+  const scale = fit === 'fit' ? Math.min(width / iw, height / ih) : Math.max(width / iw, height / ih)
+  return [(width - iw * scale) / 2, (height - ih * scale) / 2, iw * scale, ih * scale]
+}
+
+// Pattern shapes, drawn directly (not as a canvas pattern) so they stay
+// crisp at any device pixel ratio
+function paintPattern(ctx, width, height, { pattern, patternColor, patternSize }) {
+  const size = Math.max(4, Number(patternSize) || 24)
+  ctx.fillStyle = patternColor || '#d1d5db'
+  ctx.strokeStyle = patternColor || '#d1d5db'
+  ctx.lineWidth = Math.max(1, size / 24)
+  ctx.beginPath()
+  switch (pattern) {
+    case 'grid':
+      for (let x = 0; x <= width; x += size) {
+        ctx.moveTo(x, 0)
+        ctx.lineTo(x, height)
+      }
+      for (let y = 0; y <= height; y += size) {
+        ctx.moveTo(0, y)
+        ctx.lineTo(width, y)
+      }
+      ctx.stroke()
+      break
+    case 'stripes':
+      ctx.lineWidth = size / 4
+      for (let x = -height; x <= width; x += size) {
+        ctx.moveTo(x, height)
+        ctx.lineTo(x + height, 0)
+      }
+      ctx.stroke()
+      break
+    case 'checker':
+      for (let y = 0, row = 0; y < height; y += size, row++) {
+        for (let x = (row % 2) * size; x < width; x += 2 * size) ctx.rect(x, y, size, size)
+      }
+      ctx.fill()
+      break
+    default: // dots
+      for (let y = size / 2; y < height + size / 2; y += size) {
+        for (let x = size / 2; x < width + size / 2; x += size) {
+          ctx.moveTo(x + size / 8, y)
+          ctx.arc(x, y, size / 8, 0, 2 * Math.PI)
+        }
+      }
+      ctx.fill()
+  }
+}
+
+// Clear ctx (width × height CSS px) to the background
+export function paintBackground(ctx, width, height, background = DEFAULT_BACKGROUND) {
+  const bg = background || DEFAULT_BACKGROUND
+  ctx.save()
+  ctx.clearRect(0, 0, width, height)
+  ctx.fillStyle = bg.color || '#ffffff'
+  if (bg.type === 'linear' || bg.type === 'radial') {
+    const gradient = bg.type === 'linear'
+      ? ctx.createLinearGradient(...gradientLine(bg.angle, width, height))
+      : ctx.createRadialGradient(width / 2, height / 2, 0, ...gradientCircle(width, height))
+    gradient.addColorStop(0, bg.color || '#ffffff')
+    gradient.addColorStop(1, bg.color2 || '#ffffff')
+    ctx.fillStyle = gradient
+  }
+  ctx.fillRect(0, 0, width, height)
+  if (bg.type === 'pattern') paintPattern(ctx, width, height, bg)
+  if (bg.type === 'image' && imageReady(bg.image)) {
+    const { image } = bg
+    const [x, y, w, h] = imageRect(bg.imageFit, image.width, image.height, width, height)
+    if (bg.imageFit === 'tile') {
+      for (let ty = 0; ty < height; ty += h) {
+        for (let tx = 0; tx < width; tx += w) ctx.drawImage(image, tx, ty, w, h)
+      }
+    } else {
+      ctx.drawImage(image, x, y, w, h)
+    }
+  }
+  ctx.restore()
+}
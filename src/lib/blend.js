@@ -0,0 +1,38 @@
+// Blend modes of strokes and fills: canvas globalCompositeOperation values.
+// 'source-over' is plain painting.
+
+export const BLEND_MODES = [
+  { value: 'source-over', label: 'Normal' },
+  { value: 'multiply', label: 'Multiply' },
+  { value: 'screen', label: 'Screen' },
+  { value: 'overlay', label: 'Overlay' },
+  { value: 'darken', label: 'Darken' },
+  { value: 'lighten', label: 'Lighten' },
+  { value: 'color-dodge', label: 'Color dodge' },
+  { value: 'color-burn', label: 'Color burn' },
+  { value: 'hard-light', label: 'Hard light' },
+  { value: 'soft-light', label: 'Soft light' },
+  { value: 'difference', label: 'Difference' },
+  { value: 'exclusion', label: 'Exclusion' },
+  { value: 'hue', label: 'Hue' },
+  { value: 'saturation', label: 'Saturation' },
+  { value: 'color', label: 'Color' },
+  { value: 'luminosity', label: 'Luminosity' },
+  { value: 'lighter', label: 'Add (lighter)' },
+  { value: 'xor', label: 'XOR' },
+]
+
+const KNOWN = new Set(BLEND_MODES.map(m => m.value))
+
+// The composite operation to paint with ('source-over' for unknown values)
+export function blendMode(mode) {
+  return KNOWN.has(mode) ? mode : 'source-over'
+}
+
+// CSS mix-blend-mode for SVG export, or null when painting normally or when
+// CSS has no equivalent (xor)
+export function cssBlendMode(mode) {
+  const op = blendMode(mode)
+  if (op === 'source-over' || op === 'xor') return null
+  return op === 'lighter' ? 'plus-lighter' : op
+}
@@ -0,0 +1,9 @@
+// Color helpers shared by animations and bucket fills
+
+// Hex string ("#rrggbb" or "#rgb") -> [r, g, b]
+export function hexToRgb(hex) {
+  let h = String(hex || '#000000').replace('#', '')
+  if (h.length === 3) h = h.split('').map(c => c + c).join('')
+  const num = parseInt(h, 16) || 0
+  return [(num >> 16) & 255, (num >> 8) & 255, num & 255]
+}
@@ -0,0 +1,94 @@
+// Marching squares contour tracing on a regular grid.
+//
+// `values` holds (cols + 1) * (rows + 1) samples in row-major order: node
+// (i, j) lives at values[j * (cols + 1) + i]. Cells with a non-finite
+// corner are skipped, so domain holes (sqrt of negatives, poles) simply
+// break the contour. Saddle cells are resolved with the average of the four
+// corners. The result is a list of polylines in grid coordinates
+// ([[gx, gy], ...]); closed loops repeat their first point at the end.
+
+// Edges of a cell: 0 = top, 1 = right, 2 = bottom, 3 = left.
+// Index by case (tl=8, tr=4, br=2, bl=1 set when value > level).
+const CASES = [
+  [], [[3, 2]], [[2, 1]], [[3, 1]],
+  [[0, 1]], null, [[0, 2]], [[0, 3]],
+  [[0, 3]], [[0, 2]], null, [[0, 1]],
+  [[3, 1]], [[2, 1]], [[3, 2]], [],
+]
+
+export function traceContours(values, cols, rows, level = 0) {
+  const stride = cols + 1
+  const hCount = cols * (rows + 1) // horizontal edges precede vertical ones
+  const points = new Map() // edge id -> [gx, gy]
+  const segs = [] // flat list of edge id pairs
+  const adj = new Map() // edge id -> segment indices touching it
+
+  const v = (i, j) => values[j * stride + i] - level
+
+  // Edge id and crossing point for one side of cell (i, j)
+  const edgeOf = (i, j, side, vtl, vtr, vbr, vbl) => {
+    let id, x, y
+    switch (side) {
+      case 0: id = j * cols + i; x = i + vtl / (vtl - vtr); y = j; break
+      case 1: id = hCount + j * stride + i + 1; x = i + 1; y = j + vtr / (vtr - vbr); break
+      case 2: id = (j + 1) * cols + i; x = i + vbl / (vbl - vbr); y = j + 1; break
+      default: id = hCount + j * stride + i; x = i; y = j + vtl / (vtl - vbl)
+    }
+    if (!points.has(id)) points.set(id, [x, y])
+    return id
+  }
+
+  const link = (e0, e1) => {
+    const s = segs.length >> 1
+    segs.push(e0, e1)
+    for (const e of [e0, e1]) {
+      const list = adj.get(e)
+      if (list) list.push(s)
+      else adj.set(e, [s])
+    }
+  }
+
+  for (let j = 0; j < rows; j++) {
+    for (let i = 0; i < cols; i++) {
+      const vtl = v(i, j)
+      const vtr = v(i + 1, j)
+      const vbr = v(i + 1, j + 1)
+      const vbl = v(i, j + 1)
+      if (!isFinite(vtl) || !isFinite(vtr) || !isFinite(vbr) || !isFinite(vbl)) continue
+      const code = (vtl > 0 ? 8 : 0) | (vtr > 0 ? 4 : 0) | (vbr > 0 ? 2 : 0) | (vbl > 0 ? 1 : 0)
+      let pairs = CASES[code]
+      if (!pairs) {
+        // Saddle: decide which diagonal is connected through the center
+        const centerUp = (vtl + vtr + vbr + vbl) / 4 > 0
+        if (code === 5) pairs = centerUp ? [[0, 3], [2, 1]] : [[3, 2], [0, 1]]
+        else pairs = centerUp ? [[0, 1], [3, 2]] : [[0, 3], [2, 1]]
+      }
+      for (const [a, b] of pairs) {
+        link(edgeOf(i, j, a, vtl, vtr, vbr, vbl), edgeOf(i, j, b, vtl, vtr, vbr, vbl))
+      }
+    }
+  }
+
+  // Join segments sharing an edge into polylines
+  const used = new Uint8Array(segs.length >> 1)
+  const nextFrom = (edge) => {
+    for (const s of adj.get(edge)) {
+      if (used[s]) continue
+      used[s] = 1
+      return segs[2 * s] === edge ? segs[2 * s + 1] : segs[2 * s]
+    }
+    return -1
+  }
+  const lines = []
+  for (let s = 0; s < used.length; s++) {
+    if (used[s]) continue
+    used[s] = 1
+    const chain = [segs[2 * s], segs[2 * s + 1]]
+    for (let e = nextFrom(chain[chain.length - 1]); e !== -1; e = nextFrom(e)) chain.push(e)
+    const head = []
+    for (let e = nextFrom(chain[0]); e !== -1; e = nextFrom(e)) head.push(e)
+    const ids = head.reverse().concat(chain)
+    lines.push(ids.map(id => points.get(id)))
+  }
+  return lines
+}
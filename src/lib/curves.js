@@ -0,0 +1,226 @@
+// Curve samplers. Every sampler returns polylines in world coordinates
+// ([[x, y], ...] per polyline); evaluation errors and non-finite values
+// break the curve into separate polylines. Mapping to pixels, tilt and
+// stroking are left to the caller.
+import { create, all } from 'mathjs'
+import { traceContours } from './contour.js'
+
+export const math = create(all, {})
+
+// Evaluate a range bound such as "0" or "2*pi"; falls back when invalid
+export function evalBound(value, fallback) {
+  try {
+    const v = Number(math.evaluate(String(value ?? '')))
+    return isFinite(v) ? v : fallback
+  } catch {
+    return fallback
+  }
+}
+
+// Implicit equations may be written as "lhs = rhs"; plot lhs - rhs = 0.
+// Comparison operators (==, <=, >=, !=) are left untouched.
+export function toImplicitExpression(expr) {
+  const parts = String(expr || '').split(/(?<![<>=!])=(?!=)/)
+  if (parts.length !== 2) return expr
+  return `(${parts[0]}) - (${parts[1]})`
+}
+
+// Curve traced by a parameter u over [range.min, range.max] in
+// range.samples steps. pointAt(u) returns [x, y] and may throw.
+export function sampleRange(pointAt, range) {
+  const { min: uMin, max: uMax } = range
+  const steps = Math.max(2, Math.floor(range.samples || 0))
+  const lines = []
+  let line = null
+  for (let i = 0; i <= steps; i++) {
+    let x, y
+    try {
+      [x, y] = pointAt(uMin + (i / steps) * (uMax - uMin))
+    } catch {
+      line = null
+      continue
+    }
+    if (!isFinite(x) || !isFinite(y)) {
+      line = null
+      continue
+    }
+    if (!line) {
+      line = []
+      lines.push(line)
+    }
+    line.push([x, y])
+  }
+  return lines
+}
+
+// Adaptive sampling limits for y = f(x)
+const MAX_DEPTH = 6 // up to 2^6 subdivisions per initial interval
+const MAX_EVALUATIONS = 100000 // hard cap per curve so pathological input stays responsive
+const JUMP_BISECTIONS = 48
+
+// y = f(x) over [xMin, xMax]. Starts from `steps` uniform intervals and
+// bisects any interval whose midpoint deviates from the chord by more than
+// `tolerancePx` on screen (which also covers high curvature and aliasing of
+// fast oscillations). `scale` gives { pxPerX, pxPerY } so errors are
+// measured in CSS pixels.
+//
+// Intervals that still show a vertical jump larger than `jumpPx` at the
+// maximum depth are bisected further: a continuous (merely steep) function
+// shrinks the jump, a discontinuity such as a tan() asymptote or a floor()
+// step keeps it, and the path is broken there. Domain edges (e.g. sqrt
+// near 0) are located the same way so the curve reaches its boundary.
+export function sampleFunction(compiled, scope, xMin, xMax, steps, scale = {}, { tolerancePx = 0.5, jumpPx = 2 } = {}) {
+  const pxPerX = scale.pxPerX || 1
+  const pxPerY = scale.pxPerY || 1
+  let budget = MAX_EVALUATIONS
+  const f = (x) => {
+    budget--
+    scope.x = x
+    try {
+      const val = compiled.evaluate(scope)
+      const y = typeof val === 'number' ? val : Number(val)
+      return isFinite(y) ? y : NaN
+    } catch {
+      return NaN
+    }
+  }
+
+  const lines = []
+  let line = null
+  const emit = (x, y) => {
+    if (!line) {
+      line = []
+      lines.push(line)
+    }
+    line.push([x, y])
+  }
+  const breakPath = () => { line = null }
+
+  // Bisect [x0, x1] towards the finite/non-finite boundary; returns the
+  // finite point closest to it
+  const domainEdge = (x0, y0, x1, y1) => {
+    const finiteLeft = !isNaN(y0)
+    for (let i = 0; i < JUMP_BISECTIONS && (x1 - x0) * pxPerX > 1e-3; i++) {
+      const xm = (x0 + x1) / 2
+      const ym = f(xm)
+      if (!isNaN(ym) === finiteLeft) { x0 = xm; y0 = ym } else { x1 = xm; y1 = ym }
+    }
+    return finiteLeft ? [x0, y0] : [x1, y1]
+  }
+
+  // Narrow a jump down to a tiny interval; returns its ends if the jump
+  // survives (a discontinuity) or null if it shrinks away (continuous)
+  const findJump = (x0, y0, x1, y1) => {
+    for (let i = 0; i < JUMP_BISECTIONS; i++) {
+      const xm = (x0 + x1) / 2
+      const ym = f(xm)
+      if (isNaN(ym)) return [[x0, y0], [x1, y1]]
+      if (Math.abs(ym - y0) >= Math.abs(y1 - ym)) { x1 = xm; y1 = ym } else { x0 = xm; y0 = ym }
+      if (Math.abs(y1 - y0) * pxPerY <= jumpPx) return null
+    }
+    return [[x0, y0], [x1, y1]]
+  }
+
+  // Emit the points of (x0, x1] for the interval between two samples
+  const refine = (x0, y0, x1, y1, depth) => {
+    const finite0 = !isNaN(y0)
+    const finite1 = !isNaN(y1)
+    if (!finite0 && !finite1) {
+      breakPath()
+      return
+    }
+    if (finite0 !== finite1) {
+      const [xe, ye] = domainEdge(x0, y0, x1, y1)
+      if (finite0) {
+        emit(xe, ye)
+        breakPath()
+      } else {
+        breakPath()
+        emit(xe, ye)
+        emit(x1, y1)
+      }
+      return
+    }
+    if (depth >= MAX_DEPTH || budget <= 0) {
+      const jump = Math.abs(y1 - y0) * pxPerY > jumpPx && budget > 0 ? findJump(x0, y0, x1, y1) : null
+      if (jump) {
+        emit(...jump[0])
+        breakPath()
+        emit(...jump[1])
+      }
+      emit(x1, y1)
+      return
+    }
+    const xm = (x0 + x1) / 2
+    const ym = f(xm)
+    if (!isNaN(ym) && Math.abs(ym - (y0 + y1) / 2) * pxPerY <= tolerancePx) {
+      emit(x1, y1)
+      return
+    }
+    refine(x0, y0, xm, ym, depth + 1)
+    refine(xm, ym, x1, y1, depth + 1)
+  }
+
+  const n = Math.max(2, Math.floor(steps))
+  let x0 = xMin
+  let y0 = f(x0)
+  if (!isNaN(y0)) emit(x0, y0)
+  for (let i = 1; i <= n; i++) {
+    const x1 = xMin + (i / n) * (xMax - xMin)
+    const y1 = f(x1)
+    refine(x0, y0, x1, y1, 0)
+    x0 = x1
+    y0 = y1
+  }
+  return lines
+}
+
+// Parametric curve (x(t), y(t)) over [tMin, tMax]
+export function sampleParametric(compiledX, compiledY, scope, tRange) {
+  const pointAt = (t) => {
+    scope.t = t
+    return [Number(compiledX.evaluate(scope)), Number(compiledY.evaluate(scope))]
+  }
+  return sampleRange(pointAt, tRange)
+}
+
+// Polar curve r = f(θ) around the origin. The angle is exposed to the
+// expression as both `theta` and `θ`.
+export function samplePolar(compiled, scope, thetaRange) {
+  const pointAt = (theta) => {
+    scope.theta = theta
+    scope['θ'] = theta
+    const r = Number(compiled.evaluate(scope))
+    return [r * Math.cos(theta), r * Math.sin(theta)]
+  }
+  return sampleRange(pointAt, thetaRange)
+}
+
+// Implicit curve f(x, y) = level via marching squares on a cols × rows grid
+// spanning `box` ({ xMin, xMax, yMin, yMax }); one contour per level.
+export function sampleImplicit(compiled, scope, box, cols, rows, levels) {
+  const dx = (box.xMax - box.xMin) / cols
+  const dy = (box.yMax - box.yMin) / rows
+  const values = new Float64Array((cols + 1) * (rows + 1))
+  // Grid row 0 is the top edge (yMax) so contours come out in screen order
+  for (let j = 0; j <= rows; j++) {
+    scope.y = box.yMax - j * dy
+    for (let i = 0; i <= cols; i++) {
+      scope.x = box.xMin + i * dx
+      let v
+      try {
+        v = Number(compiled.evaluate(scope))
+      } catch {
+        v = NaN
+      }
+      values[j * (cols + 1) + i] = v
+    }
+  }
+  const lines = []
+  for (const level of levels) {
+    for (const line of traceContours(values, cols, rows, level)) {
+      lines.push(line.map(([gx, gy]) => [box.xMin + gx * dx, box.yMax - gy * dy]))
+    }
+  }
+  return lines
+}
@@ -0,0 +1,340 @@
+// Bucket fills on RGBA pixel buffers (ImageData's data, width × height),
+// shared by live fills, scene replays, SVG tracing and the fill worker.
+// Everything here is plain data in, plain data out: a fill finds the mask of
+// the region it covers, then paints it into the buffer in place.
+import { stylePainter } from './fillstyle.js'
+
+// Bucket fill of an RGBA buffer (width × height, e.g. ImageData's data)
+// seeded at pixel (x, y). Returns { mask, data }: mask holds the coverage
+// of each pixel by the fill, 255 inside the region (null when there is
+// nothing to fill, such as a seed already in a solid fill's color), and
+// data is the buffer with the region painted. options:
+//   method, tolerance, gapClose, ...  the region (see fillMask)
+//   rgba, style, rgba2, angle, spacing  the paint (see stylePainter), with
+//                                       ratio device px per CSS px
+//   smooth  also cover the anti-aliased edge pixels of the curves around
+//           the region in part, by how much of the region's base color
+//           they hold (see smoothEdges), so they leave no pale fringe
+//   layer   leave data transparent except for the paint, with coverage as
+//           alpha, for compositing it with a blend mode
+export function floodFill(data, width, height, x, y, { rgba, style = 'solid', rgba2, angle, spacing, ratio = 1, smooth = false, layer = false, ...options }) {
+  const i = (y * width + x) * 4
+  if (style === 'solid' && data[i] === rgba[0] && data[i + 1] === rgba[1] && data[i + 2] === rgba[2] && data[i + 3] === rgba[3]) return { mask: null, data }
+  const mask = fillMask(data, width, height, x, y, options)
+  if (!mask) return { mask, data }
+  const base = regionBase(data, i, options)
+  if (smooth) {
+    const exact = options.method === 'exact'
+    const reach = exact ? 1 : Math.ceil(Number(options.gapClose ?? 1) || 0) + 1
+    smoothEdges(mask, data, width, height, reach, base, exact ? 0 : Number(options.tolerance ?? 24))
+  }
+  const paint = stylePainter({ style, rgba, rgba2, angle, spacing }, maskBounds(mask, width, height), ratio)
+  paintRegion(data, mask, width, paint, rgba[3], layer ? null : base)
+  return { mask, data }
+}
+
+// Mask (255 per covered pixel) of the region a fill seeded at (x, y) covers, or
+// null if it covers nothing; data is left unchanged. method 'exact' takes
+// the 4-connected pixels of the seed's exact color, 'edge' is edge-aware
+// (see edgeAwareMask) with { tolerance, gapClose, background,
+// backgroundPixels, barrier }.
+export function fillMask(data, width, height, x, y, { method = 'edge', ...options } = {}) {
+  return method === 'exact' ? exactMask(data, width, height, x, y) : edgeAwareMask(data, width, height, x, y, options)
+}
+
+// Bounds [x0, y0, x1, y1] (inclusive) of the covered pixels of a mask, or
+// null if there are none
+export function maskBounds(mask, width, height) {
+  let [x0, y0, x1, y1] = [width, height, -1, -1]
+  for (let y = 0, p = 0; y < height; y++) {
+    for (let x = 0; x < width; x++, p++) {
+      if (!mask[p]) continue
+      if (x < x0) x0 = x
+      if (x > x1) x1 = x
+      if (y < y0) y0 = y
+      y1 = y
+    }
+  }
+  return x1 < 0 ? null : [x0, y0, x1, y1]
+}
+
+// The color a region's pixels had before any curve was drawn over them, as
+// base(i, k) for channel k of the pixel at byte offset i: the seed's color,
+// or the bare background beneath when an edge-aware fill starts on a
+// background that varies
+function regionBase(data, start, { method = 'edge', background = [255, 255, 255, 255], backgroundPixels = null }) {
+  if (method !== 'exact' && seedOnVaryingBackground(data, start, background, backgroundPixels)) return (i, k) => backgroundPixels[i + k]
+  const seed = [data[start], data[start + 1], data[start + 2], data[start + 3]]
+  return (i, k) => seed[k]
+}
+
+// Give the edge pixels of the curves around the region of mask a partial
+// coverage, up to `reach` px out. Edge pixels are those further than
+// `bare` from the region's base color; coverage spreads from the region
+// only through them and only towards stronger ones, so it climbs onto a
+// curve's anti-aliased edge and core but never past it onto bare
+// background. Each is taken as a mix of the base color and the strongest
+// color next to it (the curve's core) and covered by its share of the base
+// color.
+function smoothEdges(mask, data, width, height, reach, base, bare) {
+  const distance = (q, i) => Math.abs(data[q] - base(i, 0)) + Math.abs(data[q + 1] - base(i, 1)) + Math.abs(data[q + 2] - base(i, 2))
+  const seen = new Uint8Array(mask.length)
+  // Start from every region pixel with an outside neighbour
+  let frontier = []
+  for (let p = 0; p < mask.length; p++) {
+    if (mask[p] !== 255) continue
+    const x = p % width
+    const y = (p - x) / width
+    if ((x > 0 && mask[p - 1] !== 255) || (x < width - 1 && mask[p + 1] !== 255) ||
+      (y > 0 && mask[p - width] !== 255) || (y < height - 1 && mask[p + width] !== 255)) frontier.push(p)
+  }
+  for (let step = 0; step < reach && frontier.length; step++) {
+    const next = []
+    for (const p of frontier) {
+      const x = p % width
+      const y = (p - x) / width
+      const from = mask[p] === 255 ? 0 : distance(p * 4, p * 4)
+      for (let ny = Math.max(0, y - 1); ny <= Math.min(height - 1, y + 1); ny++) {
+        for (let nx = Math.max(0, x - 1); nx <= Math.min(width - 1, x + 1); nx++) {
+          const q = ny * width + nx
+          if (seen[q] || mask[q] === 255) continue
+          const i = q * 4
+          const d = distance(i, i)
+          if (d <= bare || d < from) continue
+          seen[q] = 1
+          let strongest = d
+          for (let sy = Math.max(0, ny - 1); sy <= Math.min(height - 1, ny + 1); sy++) {
+            for (let sx = Math.max(0, nx - 1); sx <= Math.min(width - 1, nx + 1); sx++) {
+              if (mask[sy * width + sx] !== 255) strongest = Math.max(strongest, distance((sy * width + sx) * 4, i))
+            }
+          }
+          mask[q] = Math.round((1 - d / strongest) * 255)
+          next.push(q)
+        }
+      }
+    }
+    frontier = next
+  }
+}
+
+// Paint the covered pixels of mask with paint (see stylePainter) and alpha
+// `alpha`. Fully covered pixels are painted over at the paint's opacity;
+// partly covered ones, given the region's `base` color, have that share of
+// it swapped for the paint. Without a base, data becomes a layer holding
+// just the paint.
+function paintRegion(data, mask, width, paint, alpha, base) {
+  if (!base) data.fill(0)
+  const out = [0, 0, 0, 1]
+  const channel = (v) => Math.min(255, Math.max(0, Math.round(v)))
+  for (let p = 0, i = 0; p < mask.length; p++, i += 4) {
+    if (!mask[p]) continue
+    const x = p % width
+    paint(x, (p - x) / width, out)
+    const coverage = mask[p] / 255
+    if (!base) {
+      data[i] = channel(out[0])
+      data[i + 1] = channel(out[1])
+      data[i + 2] = channel(out[2])
+      data[i + 3] = channel(alpha * out[3] * coverage)
+      continue
+    }
+    const weight = out[3] * coverage
+    for (let k = 0; k < 4; k++) {
+      const from = coverage === 1 ? data[i + k] : base(i, k)
+      data[i + k] = channel(data[i + k] + weight * ((k < 3 ? out[k] : alpha) - from))
+    }
+  }
+}
+
+// Scanline fill of the 4-connected region sharing the seed's exact color
+function exactMask(data, width, height, x, y) {
+  const mask = new Uint8Array(width * height)
+  const start = (y * width + x) * 4
+  const target = [data[start], data[start + 1], data[start + 2], data[start + 3]]
+  const matchTarget = (p) => {
+    const i = p * 4
+    return !mask[p] && data[i] === target[0] && data[i + 1] === target[1] && data[i + 2] === target[2] && data[i + 3] === target[3]
+  }
+  scanlineFill(mask, width, height, x, y, matchTarget)
+  return mask
+}
+
+// Mark in mask the region grown from (x, y) through pixels p for which
+// inside(p) holds; inside must be false for pixels already marked
+function scanlineFill(mask, width, height, x, y, inside) {
+  const stack = [x, y]
+  while (stack.length) {
+    const cy = stack.pop()
+    const cx = stack.pop()
+    const row = cy * width
+    if (!inside(row + cx)) continue
+    // move left and right while inside
+    let left = cx
+    while (left > 0 && inside(row + left - 1)) left--
+    let right = cx + 1
+    while (right < width && inside(row + right)) right++
+    // fill the span, queueing pixels above and below
+    for (let px = left; px < right; px++) mask[row + px] = 255
+    for (let px = left; px < right; px++) {
+      if (cy > 0 && inside(row - width + px)) stack.push(px, cy - 1)
+      if (cy < height - 1 && inside(row + width + px)) stack.push(px, cy + 1)
+    }
+  }
+}
+
+// Pixels whose summed |rgb| distance from the background beneath exceeds
+// this are edges or lines
+const BARRIER_THRESHOLD = 40
+
+// Barrier mask of an RGBA buffer: 1 for non-background pixels, ones that
+// differ from `background`, or, given `backgroundPixels` (the bare
+// background laid out like data, for gradients, patterns and images), from
+// the background pixel beneath them. Only pixels in [from, to) are marked.
+export function barrierMask(data, { background = [255, 255, 255, 255], backgroundPixels = null } = {}, mask = new Uint8Array(data.length >> 2), from = 0, to = mask.length) {
+  for (let p = from, i = from * 4; p < to; p++, i += 4) {
+    mask[p] = backgroundDistance(data, i, background, backgroundPixels) > BARRIER_THRESHOLD ? 1 : 0
+  }
+  return mask
+}
+
+// Summed |rgb| distance of the pixel at byte offset i from the background
+function backgroundDistance(data, i, bg, backgroundPixels) {
+  return backgroundPixels
+    ? Math.abs(data[i] - backgroundPixels[i]) + Math.abs(data[i + 1] - backgroundPixels[i + 1]) + Math.abs(data[i + 2] - backgroundPixels[i + 2])
+    : Math.abs(data[i] - bg[0]) + Math.abs(data[i + 1] - bg[1]) + Math.abs(data[i + 2] - bg[2])
+}
+
+// Whether the pixel at byte offset i is bare background, given a
+// background that varies
+function seedOnVaryingBackground(data, i, background, backgroundPixels) {
+  return Boolean(backgroundPixels) && backgroundDistance(data, i, background, backgroundPixels) <= BARRIER_THRESHOLD
+}
+
+// A width × height mask grown by `radius` px in all 8 directions (the
+// square window around each pixel), as a new mask. Done as a horizontal
+// then a vertical pass, each a running count over the window.
+export function dilateMask(mask, width, height, radius) {
+  if (!(radius > 0)) return mask.slice()
+  radius = Math.ceil(radius)
+  const pass = (source, target, count, stride, step) => {
+    for (let line = 0; line < count; line++) {
+      const base = line * stride
+      let inside = 0
+      for (let k = 0; k < Math.min(radius, step.length); k++) inside += source[base + k * step.by]
+      for (let k = 0; k < step.length; k++) {
+        if (k + radius < step.length) inside += source[base + (k + radius) * step.by]
+        if (k - radius - 1 >= 0) inside -= source[base + (k - radius - 1) * step.by]
+        target[base + k * step.by] = inside > 0 ? 1 : 0
+      }
+    }
+  }
+  const rows = new Uint8Array(mask.length)
+  const grown = new Uint8Array(mask.length)
+  pass(mask, rows, height, width, { length: width, by: 1 })
+  pass(rows, grown, width, 1, { length: height, by: width })
+  return grown
+}
+
+// Bring a barrier mask and its dilations (radius -> mask) up to date after
+// the pixels of `changed` (a fill's mask) were painted; only the area they
+// span is redone
+export function updateBarrierMasks(raw, dilations, changed, data, width, height, options) {
+  let [x0, y0, x1, y1] = [width, height, -1, -1]
+  for (let p = 0; p < raw.length; p++) {
+    if (!changed[p]) continue
+    barrierMask(data, options, raw, p, p + 1)
+    const x = p % width
+    const y = (p - x) / width
+    x0 = Math.min(x0, x)
+    x1 = Math.max(x1, x)
+    y0 = Math.min(y0, y)
+    y1 = Math.max(y1, y)
+  }
+  if (x1 < 0) return
+  for (const [radius, dilated] of dilations) {
+    // Redo the changed box grown by the radius, from a window of the raw
+    // mask grown by it once more
+    const [bx0, by0] = [Math.max(0, x0 - 2 * radius), Math.max(0, y0 - 2 * radius)]
+    const [bx1, by1] = [Math.min(width - 1, x1 + 2 * radius), Math.min(height - 1, y1 + 2 * radius)]
+    const bw = bx1 - bx0 + 1
+    const bh = by1 - by0 + 1
+    const window = new Uint8Array(bw * bh)
+    for (let y = 0; y < bh; y++) window.set(raw.subarray((by0 + y) * width + bx0, (by0 + y) * width + bx0 + bw), y * bw)
+    const grown = dilateMask(window, bw, bh, radius)
+    for (let y = Math.max(0, y0 - radius); y <= Math.min(height - 1, y1 + radius); y++) {
+      const from = Math.max(0, x0 - radius)
+      const to = Math.min(width - 1, x1 + radius)
+      dilated.set(grown.subarray((y - by0) * bw + from - bx0, (y - by0) * bw + to - bx0 + 1), y * width + from)
+    }
+  }
+}
+
+// Edge-aware fill region
+// - Builds a barrier mask from non-background pixels (see barrierMask)
+// - Dilates the mask gapClose px to seal pinholes
+// - Carves out pixels similar to the seed color so recoloring works
+// - Grows the region only through non-barrier pixels similar to the seed color
+// A `barrier` already dilated by gapClose (see createFillEngine) skips the
+// first two steps; it is left unchanged.
+function edgeAwareMask(data, width, height, x, y, { tolerance = 24, gapClose = 1, background = [255, 255, 255, 255], backgroundPixels = null, barrier: dilated = null } = {}) {
+  const start = (y * width + x) * 4
+  const target = [data[start], data[start + 1], data[start + 2], data[start + 3]]
+  const distance = (i) => Math.abs(data[i] - target[0]) + Math.abs(data[i + 1] - target[1]) + Math.abs(data[i + 2] - target[2]) + Math.abs(data[i + 3] - target[3])
+
+  // Barrier mask dilated by 'gapClose' pixels to seal microscopic gaps
+  const barrier = dilated ? dilated.slice() : dilateMask(barrierMask(data, { background, backgroundPixels }), width, height, gapClose)
+  // On a background that varies, bare background is one region however much
+  // its color drifts from the seed's
+  const seedOnBackground = seedOnVaryingBackground(data, start, background, backgroundPixels)
+
+  // Carve out pixels similar to the seed color so bucket can recolor existing regions
+  const carveTol = Math.max(tolerance, 24)
+  for (let p = 0, i = 0; i < data.length; i += 4, p++) {
+    if (distance(i) <= carveTol) barrier[p] = 0
+  }
+
+  // If the seed starts on a barrier pixel, abort (after carve-out)
+  if (barrier[start >> 2] === 1) return null
+
+  const mask = new Uint8Array(width * height)
+  const closeEnough = (p) => !mask[p] && !barrier[p] && (seedOnBackground || distance(p * 4) <= tolerance)
+  scanlineFill(mask, width, height, x, y, closeEnough)
+  return mask
+}
+
+// Fill engine for bucket fills, run by the fill worker (see
+// fill.worker.js) or in its place. fill(job) is floodFill of job.data
+// (width × height) with the job as options. The barrier masks of
+// edge-aware fills are kept for the artwork the fill leaves behind, so the
+// next fill of it (the same `version`) skips building them; job.next is the
+// version of the result.
+//   job: { data, width, height, x, y, method, rgba, tolerance, gapClose,
+//          background, backgroundPixels, version, next }
+export function createFillEngine() {
+  let masks = null // { version, raw, dilations: Map<radius, mask> }
+  return {
+    fill(job) {
+      const { data, width, height, x, y, gapClose = 1 } = job
+      const options = { background: job.background, backgroundPixels: job.backgroundPixels }
+      if (masks?.version !== job.version) masks = null
+      let barrier = null
+      if (job.method !== 'exact') {
+        masks = masks || { version: job.version, raw: barrierMask(data, options), dilations: new Map() }
+        const radius = Math.max(0, Math.ceil(Number(gapClose) || 0))
+        if (!masks.dilations.has(radius)) masks.dilations.set(radius, dilateMask(masks.raw, width, height, radius))
+        barrier = masks.dilations.get(radius)
+      }
+      const result = floodFill(data, width, height, x, y, { ...job, ...options, barrier })
+      if (result.mask && masks) {
+        // A layer (see floodFill) isn't the artwork the masks are of
+        if (job.layer) {
+          masks = null
+        } else {
+          updateBarrierMasks(masks.raw, masks.dilations, result.mask, data, width, height, options)
+          masks.version = job.next
+        }
+      }
+      return result
+    },
+  }
+}
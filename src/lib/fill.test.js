@@ -0,0 +1,183 @@
+import { describe, it, expect } from 'vitest'
+import { floodFill, createFillEngine } from './fill.js'
+
+const WHITE = [255, 255, 255, 255]
+const BLACK = [0, 0, 0, 255]
+const RED = [255, 0, 0, 255]
+
+// width × height RGBA buffer of one color
+function bitmap(width, height, rgba = WHITE) {
+  const data = new Uint8ClampedArray(width * height * 4)
+  for (let i = 0; i < data.length; i += 4) data.set(rgba, i)
+  return data
+}
+
+const pixel = (data, width, x, y) => [...data.subarray((y * width + x) * 4, (y * width + x) * 4 + 4)]
+const setPixel = (data, width, x, y, rgba) => data.set(rgba, (y * width + x) * 4)
+
+// A horizontal ramp whose ends differ by far more than any tolerance, as
+// the bare background and a copy to draw on
+function ramp(width, height) {
+  const backgroundPixels = new Uint8ClampedArray(width * height * 4)
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) setPixel(backgroundPixels, width, x, y, [x * 6, 255 - x * 6, 128, 255])
+  }
+  return { data: backgroundPixels.slice(), backgroundPixels }
+}
+
+// A vertical line at column x, leaving out the rows in `gap`
+function column(data, width, height, x, gap = []) {
+  for (let y = 0; y < height; y++) if (!gap.includes(y)) setPixel(data, width, x, y, BLACK)
+}
+
+describe('floodFill', () => {
+  it('fills the 4-connected region of the exact seed color', () => {
+    const data = bitmap(10, 10)
+    setPixel(data, 10, 5, 5, [250, 250, 250, 255]) // close to white, but not white
+    const { mask } = floodFill(data, 10, 10, 0, 0, { method: 'exact', rgba: RED })
+    expect(pixel(data, 10, 9, 9)).toEqual(RED)
+    expect(pixel(data, 10, 5, 5)).toEqual([250, 250, 250, 255])
+    expect(mask[5 * 10 + 5]).toBe(0)
+    expect(mask[0]).toBe(255)
+  })
+
+  it('fills pixels within tolerance of the seed color when edge-aware', () => {
+    const data = bitmap(10, 10)
+    setPixel(data, 10, 5, 5, [250, 250, 250, 255])
+    floodFill(data, 10, 10, 0, 0, { method: 'edge', rgba: RED, tolerance: 24 })
+    expect(pixel(data, 10, 5, 5)).toEqual(RED)
+  })
+
+  it('includes a pixel exactly at the tolerance and leaves one just past it', () => {
+    // Summed distances of 30 and 31 from white: neither is a barrier
+    const make = () => {
+      const data = bitmap(10, 10)
+      setPixel(data, 10, 3, 3, [235, 245, 255, 255])
+      setPixel(data, 10, 6, 6, [235, 244, 255, 255])
+      return data
+    }
+    const data = make()
+    floodFill(data, 10, 10, 0, 0, { rgba: RED, tolerance: 30 })
+    expect(pixel(data, 10, 3, 3)).toEqual(RED)
+    expect(pixel(data, 10, 6, 6)).toEqual([235, 244, 255, 255])
+  })
+
+  it('stops at curves', () => {
+    const data = bitmap(20, 20)
+    column(data, 20, 20, 10)
+    floodFill(data, 20, 20, 2, 2, { rgba: RED, gapClose: 1 })
+    expect(pixel(data, 20, 8, 2)).toEqual(RED)
+    expect(pixel(data, 20, 15, 15)).toEqual(WHITE)
+  })
+
+  it('seals gaps up to twice gapClose wide in bare background', () => {
+    // Pixels like the seed's are never barriers (so regions can be
+    // recolored); on a varying background the gap's pixels aren't
+    const fill = (gap, gapClose) => {
+      const { data, backgroundPixels } = ramp(40, 20)
+      column(data, 40, 20, 30, gap)
+      floodFill(data, 40, 20, 2, 2, { rgba: RED, gapClose, backgroundPixels })
+      return data
+    }
+    expect(pixel(fill([9, 10], 0), 40, 35, 15)).toEqual(RED)
+    const sealed = fill([9, 10], 1)
+    expect(pixel(sealed, 40, 35, 15)).not.toEqual(RED)
+    expect(pixel(sealed, 40, 28, 2)).toEqual(RED)
+    // The fill keeps gapClose px away from the curve
+    expect(pixel(sealed, 40, 29, 2)).not.toEqual(RED)
+    expect(pixel(fill([8, 9, 10], 1), 40, 35, 15)).toEqual(RED)
+  })
+
+  it('returns no mask and leaves the buffer alone for a seed in the fill color', () => {
+    const data = bitmap(8, 8, RED)
+    const before = data.slice()
+    for (const method of ['exact', 'edge']) {
+      const result = floodFill(data, 8, 8, 3, 3, { method, rgba: RED })
+      expect(result.mask).toBeNull()
+      expect(result.data).toBe(data)
+      expect(data).toEqual(before)
+    }
+  })
+
+  it('fills all bare background connected to the seed on a varying background', () => {
+    const width = 40
+    const height = 10
+    const { data, backgroundPixels } = ramp(width, height)
+    column(data, width, height, 30)
+    const { mask } = floodFill(data, width, height, 0, 0, { rgba: RED, tolerance: 24, backgroundPixels })
+    expect(pixel(data, width, 28, 5)).toEqual(RED)
+    expect(pixel(data, width, 34, 5)).toEqual(pixel(backgroundPixels, width, 34, 5))
+    expect(mask[5 * width + 34]).toBe(0)
+
+    // Compared with a flat background the ramp is mostly barrier
+    const flat = backgroundPixels.slice()
+    column(flat, width, height, 30)
+    floodFill(flat, width, height, 0, 0, { rgba: RED, tolerance: 24 })
+    expect(pixel(flat, width, 28, 5)).not.toEqual(RED)
+  })
+})
+
+describe('createFillEngine', () => {
+  it('gives the same pixels with cached masks as fresh fills', () => {
+    const width = 60
+    const height = 50
+    const start = bitmap(width, height)
+    column(start, width, height, 20, [30])
+    column(start, width, height, 41)
+    for (let x = 0; x < width; x++) setPixel(start, width, x, 25, BLACK)
+
+    // A fixed sequence of seeds, colors and gap radii
+    let seed = 1
+    const random = () => (seed = (seed * 16807) % 2147483647) / 2147483647
+    const engine = createFillEngine()
+    const engineData = start.slice()
+    const fresh = start.slice()
+    let version = 1
+    for (let k = 0; k < 40; k++) {
+      const x = Math.floor(random() * width)
+      const y = Math.floor(random() * height)
+      const options = {
+        method: k % 7 === 6 ? 'exact' : 'edge',
+        rgba: [Math.floor(random() * 256), 40, Math.floor(random() * 256), 255],
+        tolerance: 24,
+        gapClose: k % 3,
+      }
+      floodFill(fresh, width, height, x, y, options)
+      engine.fill({ ...options, data: engineData, width, height, x, y, version, next: version + 1 })
+      version++
+      expect(engineData).toEqual(fresh)
+    }
+  })
+})
+
+describe('floodFill with smooth edges', () => {
+  it('never covers bare background past a curve', () => {
+    for (const gapClose of [1, 3]) {
+      const data = bitmap(20, 20)
+      column(data, 20, 20, 10)
+      const { mask } = floodFill(data, 20, 20, 2, 2, { rgba: RED, gapClose, smooth: true })
+      for (let y = 0; y < 20; y++) {
+        for (let x = 11; x < 20; x++) {
+          expect(pixel(data, 20, x, y)).toEqual(WHITE)
+          expect(mask[y * 20 + x]).toBe(0)
+        }
+      }
+    }
+  })
+
+  it('covers anti-aliased edge pixels by their share of background', () => {
+    // A line with a solid core at x = 10 and half-covered pixels beside it
+    const data = bitmap(20, 20)
+    column(data, 20, 20, 10)
+    for (let y = 0; y < 20; y++) {
+      setPixel(data, 20, 9, y, [128, 128, 128, 255])
+      setPixel(data, 20, 11, y, [128, 128, 128, 255])
+    }
+    const { mask } = floodFill(data, 20, 20, 2, 2, { rgba: RED, gapClose: 0, smooth: true })
+    expect(mask[5 * 20 + 9]).toBe(128)
+    expect(mask[5 * 20 + 10]).toBe(0)
+    expect(mask[5 * 20 + 11]).toBe(0)
+    // Half the white beneath the gray turns red
+    expect(pixel(data, 20, 9, 5)).toEqual([128, 0, 0, 255])
+  })
+})
@@ -0,0 +1,12 @@
+// Worker running bucket fills off the main thread (see filler.js). Each
+// message { id, job } (a fill engine job, see createFillEngine, with its
+// pixel buffers transferred) is answered with { id, mask, data } (see
+// floodFill), both transferred back.
+import { createFillEngine } from './fill.js'
+
+const engine = createFillEngine()
+
+self.onmessage = ({ data: { id, job } }) => {
+  const { mask, data } = engine.fill(job)
+  self.postMessage({ id, mask, data }, mask ? [data.buffer, mask.buffer] : [data.buffer])
+}
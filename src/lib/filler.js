@@ -0,0 +1,61 @@
+// Bucket fills in a Web Worker (see fill.worker.js), so building barrier
+// masks and flooding large canvases doesn't stall the page. Fills run one
+// at a time; cancel() stops the one under way by terminating the worker
+// (losing its cached masks). Where workers are unavailable the same fill
+// engine runs here instead.
+import { createFillEngine } from './fill.js'
+
+// Filler whose fill(job) (see createFillEngine) resolves with { mask, data }
+// as floodFill returns them: job.data is transferred to the worker and
+// unusable afterwards. A cancelled fill rejects with an
+// AbortError.
+export function createFiller() {
+  let engine = null
+  let worker = null
+  let nextId = 0
+  let current = null // { id, resolve, reject } of the fill under way
+
+  const start = () => {
+    worker = new Worker(new URL('./fill.worker.js', import.meta.url), { type: 'module' })
+    worker.onmessage = ({ data }) => {
+      if (!current || data.id !== current.id) return
+      const { resolve } = current
+      current = null
+      resolve({ mask: data.mask, data: data.data })
+    }
+    worker.onerror = (e) => {
+      e.preventDefault?.()
+      stop(new Error('The fill failed'))
+    }
+  }
+
+  const stop = (reason) => {
+    worker?.terminate()
+    worker = null
+    const pending = current
+    current = null
+    pending?.reject(reason)
+  }
+
+  return {
+    fill(job) {
+      if (typeof Worker === 'undefined') {
+        engine = engine || createFillEngine()
+        return Promise.resolve(engine.fill(job))
+      }
+      if (current) return Promise.reject(new Error('A fill is already under way'))
+      if (!worker) start()
+      return new Promise((resolve, reject) => {
+        current = { id: ++nextId, resolve, reject }
+        const buffers = [job.data.buffer, job.backgroundPixels?.buffer].filter(Boolean)
+        worker.postMessage({ id: current.id, job }, buffers)
+      })
+    },
+    cancel() {
+      if (current) stop(new DOMException('The fill was cancelled', 'AbortError'))
+    },
+    dispose() {
+      stop(new DOMException('The fill was cancelled', 'AbortError'))
+    },
+  }
+}
@@ -0,0 +1,87 @@
+// Paint styles of bucket fills, computed per pixel so the fill worker can
+// apply them (see floodFill). A fill's style is one of FILL_STYLES: 'solid'
+// paints `rgba`; 'linear' and 'radial' are gradients from `rgba` to `rgba2`
+// fitted to the bounding box of the filled region (linear ones at `angle`
+// degrees, as background gradients); 'noise' mixes the two colors with
+// value noise of grain `spacing` CSS px; 'hatch' draws 1 CSS px lines of
+// `rgba` at `angle` degrees every `spacing` CSS px, leaving the pixels
+// between them as they were. Patterns start at the region's corner, so
+// they follow it when the view is panned.
+import { gradientLine, gradientCircle } from './background.js'
+
+export const FILL_STYLES = [
+  { value: 'solid', label: 'Solid' },
+  { value: 'linear', label: 'Linear gradient' },
+  { value: 'radial', label: 'Radial gradient' },
+  { value: 'noise', label: 'Noise' },
+  { value: 'hatch', label: 'Hatched' },
+]
+
+const clamp01 = (v) => Math.min(1, Math.max(0, v))
+
+// Lattice value in [0, 1) of the integer point (ix, iy)
+function hash(ix, iy) {
+  let h = (Math.imul(ix, 374761393) + Math.imul(iy, 668265263)) | 0
+  h = Math.imul(h ^ (h >>> 13), 1274126177)
+  return ((h ^ (h >>> 16)) >>> 0) / 4294967296
+}
+
+// Smoothly interpolated value noise in [0, 1) at (u, v) lattice units
+function valueNoise(u, v) {
+  const ix = Math.floor(u)
+  const iy = Math.floor(v)
+  const fx = u - ix
+  const fy = v - iy
+  const sx = fx * fx * (3 - 2 * fx)
+  const sy = fy * fy * (3 - 2 * fy)
+  const top = hash(ix, iy) + (hash(ix + 1, iy) - hash(ix, iy)) * sx
+  const bottom = hash(ix, iy + 1) + (hash(ix + 1, iy + 1) - hash(ix, iy + 1)) * sx
+  return top + (bottom - top) * sy
+}
+
+// Painter of a fill style over the region bounded by [x0, y0, x1, y1]
+// (device px, inclusive) at `ratio` device px per CSS px: paint(x, y, out)
+// writes the color of pixel (x, y) and its opacity (0 to 1) into out.
+export function stylePainter({ style = 'solid', rgba, rgba2 = rgba, angle = 0, spacing = 8 }, [x0, y0, x1, y1], ratio = 1) {
+  const mix = (t, out) => {
+    for (let k = 0; k < 3; k++) out[k] = rgba[k] + (rgba2[k] - rgba[k]) * t
+    out[3] = 1
+  }
+  const bw = x1 - x0 + 1
+  const bh = y1 - y0 + 1
+  const period = Math.max(1, Number(spacing) || 8) * ratio
+  const rad = ((Number(angle) || 0) * Math.PI) / 180
+  switch (style) {
+    case 'linear': {
+      const [ax, ay, bx, by] = gradientLine(angle, bw, bh)
+      const [dx, dy] = [bx - ax, by - ay]
+      const length2 = dx * dx + dy * dy || 1
+      return (x, y, out) => mix(clamp01(((x + 0.5 - x0 - ax) * dx + (y + 0.5 - y0 - ay) * dy) / length2), out)
+    }
+    case 'radial': {
+      const [cx, cy, r] = gradientCircle(bw, bh)
+      return (x, y, out) => mix(clamp01(Math.hypot(x + 0.5 - x0 - cx, y + 0.5 - y0 - cy) / (r || 1)), out)
+    }
+    case 'noise':
+      // Two octaves: blotches of the grain size with finer detail
+      return (x, y, out) => {
+        const u = (x - x0) / period
+        const v = (y - y0) / period
+        mix(0.7 * valueNoise(u, v) + 0.3 * valueNoise(2 * u + 17, 2 * v + 31), out)
+      }
+    case 'hatch': {
+      // Distance across the lines, which run along (cos, sin) of the angle
+      const [nx, ny] = [-Math.sin(rad), Math.cos(rad)]
+      return (x, y, out) => {
+        // Lines pass through the centers of the corner's row and column
+        const d = (x - x0) * nx + (y - y0) * ny
+        const m = ((d % period) + period) % period
+        const offset = Math.min(m, period - m)
+        mix(0, out)
+        out[3] = clamp01(ratio / 2 + 0.5 - offset)
+      }
+    }
+    default:
+      return (x, y, out) => mix(0, out)
+  }
+}
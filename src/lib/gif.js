@@ -0,0 +1,224 @@
+// Minimal animated GIF (GIF89a) encoder: global palette from median cut,
+// nearest-color mapping and LZW compression. Frames are RGBA byte arrays
+// (ImageData.data) of a fixed size and are encoded as they are added, so
+// only the compressed output is kept in memory.
+
+// Build a palette of up to `maxColors` colors (flat [r, g, b, ...]) by median
+// cut over a sample of pixels from the given RGBA buffers.
+export function buildPalette(rgbaList, maxColors = 256, maxSamples = 60000) {
+  const total = rgbaList.reduce((n, d) => n + d.length / 4, 0)
+  const stride = Math.max(1, Math.floor(total / maxSamples))
+  const samples = []
+  for (const data of rgbaList) {
+    for (let p = 0; p < data.length; p += 4 * stride) samples.push([data[p], data[p + 1], data[p + 2]])
+  }
+  if (!samples.length) samples.push([0, 0, 0])
+
+  const boxes = [samples]
+  while (boxes.length < maxColors) {
+    // Split the box with the widest channel range at its median
+    let best = -1
+    let bestRange = 0
+    let bestChannel = 0
+    boxes.forEach((box, i) => {
+      if (box.length < 2) return
+      for (let ch = 0; ch < 3; ch++) {
+        let lo = 255
+        let hi = 0
+        for (const px of box) {
+          if (px[ch] < lo) lo = px[ch]
+          if (px[ch] > hi) hi = px[ch]
+        }
+        if (hi - lo > bestRange) {
+          bestRange = hi - lo
+          best = i
+          bestChannel = ch
+        }
+      }
+    })
+    if (best < 0) break
+    const box = boxes[best].sort((p, q) => p[bestChannel] - q[bestChannel])
+    const mid = box.length >> 1
+    boxes.splice(best, 1, box.slice(0, mid), box.slice(mid))
+  }
+
+  const palette = new Uint8Array(maxColors * 3)
+  boxes.forEach((box, i) => {
+    const sum = [0, 0, 0]
+    for (const px of box) {
+      sum[0] += px[0]
+      sum[1] += px[1]
+      sum[2] += px[2]
+    }
+    for (let ch = 0; ch < 3; ch++) palette[i * 3 + ch] = Math.round(sum[ch] / box.length)
+  })
+  return palette
+}
+
+// Growable byte buffer
+function createWriter() {
+  const chunks = []
+  let buf = new Uint8Array(1 << 16)
+  let pos = 0
+  const flush = () => {
+    chunks.push(buf.slice(0, pos))
+    buf = new Uint8Array(buf.length)
+    pos = 0
+  }
+  return {
+    byte(b) {
+      if (pos === buf.length) flush()
+      buf[pos++] = b & 255
+    },
+    word(w) {
+      this.byte(w)
+      this.byte(w >> 8)
+    },
+    bytes(arr) {
+      for (let i = 0; i < arr.length; i++) this.byte(arr[i])
+    },
+    ascii(str) {
+      for (let i = 0; i < str.length; i++) this.byte(str.charCodeAt(i))
+    },
+    finish() {
+      flush()
+      const size = chunks.reduce((n, c) => n + c.length, 0)
+      const out = new Uint8Array(size)
+      let at = 0
+      for (const c of chunks) {
+        out.set(c, at)
+        at += c.length
+      }
+      return out
+    },
+  }
+}
+
+// LZW-compress palette indices into GIF image data sub-blocks
+function writeLzw(w, indices, minCodeSize) {
+  const clearCode = 1 << minCodeSize
+  const eoiCode = clearCode + 1
+  let nextCode = eoiCode + 1
+  let codeSize = minCodeSize + 1
+  let table = new Map()
+
+  const block = []
+  let cur = 0
+  let curBits = 0
+  const emit = (code) => {
+    cur |= code << curBits
+    curBits += codeSize
+    while (curBits >= 8) {
+      block.push(cur & 255)
+      cur >>>= 8
+      curBits -= 8
+      if (block.length === 255) {
+        w.byte(255)
+        w.bytes(block)
+        block.length = 0
+      }
+    }
+  }
+
+  w.byte(minCodeSize)
+  emit(clearCode)
+  let prefix = indices[0]
+  for (let i = 1; i < indices.length; i++) {
+    const k = indices[i]
+    const key = (prefix << 8) | k
+    const code = table.get(key)
+    if (code !== undefined) {
+      prefix = code
+      continue
+    }
+    emit(prefix)
+    if (nextCode === 4096) {
+      emit(clearCode)
+      nextCode = eoiCode + 1
+      codeSize = minCodeSize + 1
+      table = new Map()
+    } else {
+      if (nextCode >= 1 << codeSize) codeSize++
+      table.set(key, nextCode++)
+    }
+    prefix = k
+  }
+  emit(prefix)
+  emit(eoiCode)
+  if (curBits > 0) block.push(cur & 255)
+  if (block.length) {
+    w.byte(block.length)
+    w.bytes(block)
+  }
+  w.byte(0) // block terminator
+}
+
+// Encoder for width × height frames sharing `palette` (from buildPalette).
+// `delayMs` is rounded to the GIF's 1/100 s resolution; loop = 0 repeats forever.
+export function createGifEncoder(width, height, { palette, delayMs = 100, loop = 0 } = {}) {
+  const colors = palette.length / 3
+  const w = createWriter()
+  const cache = new Map() // rgb -> palette index
+
+  const nearest = (r, g, b) => {
+    const key = (r << 16) | (g << 8) | b
+    let idx = cache.get(key)
+    if (idx !== undefined) return idx
+    let bestDist = Infinity
+    idx = 0
+    for (let i = 0; i < colors; i++) {
+      const dr = palette[i * 3] - r
+      const dg = palette[i * 3 + 1] - g
+      const db = palette[i * 3 + 2] - b
+      const dist = dr * dr + dg * dg + db * db
+      if (dist < bestDist) {
+        bestDist = dist
+        idx = i
+      }
+    }
+    cache.set(key, idx)
+    return idx
+  }
+
+  // Header, logical screen descriptor and global color table (256 entries)
+  w.ascii('GIF89a')
+  w.word(width)
+  w.word(height)
+  w.byte(0xf7) // global table present, 8-bit color resolution, 256 entries
+  w.byte(0) // background color index
+  w.byte(0) // pixel aspect ratio
+  w.bytes(palette)
+  for (let i = colors; i < 256; i++) w.bytes([0, 0, 0])
+  // NETSCAPE2.0 looping extension
+  w.bytes([0x21, 0xff, 0x0b])
+  w.ascii('NETSCAPE2.0')
+  w.bytes([0x03, 0x01])
+  w.word(loop)
+  w.byte(0)
+
+  const delay = Math.max(2, Math.round(delayMs / 10))
+  return {
+    addFrame(rgba) {
+      const indices = new Uint8Array(width * height)
+      for (let p = 0, i = 0; p < indices.length; p++, i += 4) {
+        indices[p] = nearest(rgba[i], rgba[i + 1], rgba[i + 2])
+      }
+      // Graphics control extension (delay, no transparency)
+      w.bytes([0x21, 0xf9, 0x04, 0x04])
+      w.word(delay)
+      w.bytes([0, 0])
+      // Image descriptor covering the whole screen, no local table
+      w.byte(0x2c)
+      w.word(0)
+      w.word(0)
+      w.word(width)
+      w.word(height)
+      w.byte(0)
+      writeLzw(w, indices, 8)
+    },
+    finish() {
+      w.byte(0x3b) // trailer
+      return w.finish()
+    },
+  }
+}
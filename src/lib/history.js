@@ -0,0 +1,36 @@
+// Bounded undo/redo stacks of snapshots.
+//
+// Snapshots are expected to be immutable state (the scene and layer arrays)
+// that shares unchanged items with its neighbours, so an entry costs little
+// more than its arrays of references; the limit bounds that overhead. Pixel
+// data is never stored, since the scene replays fills instead.
+
+export function createHistory(limit = 200) {
+  let past = []
+  let future = []
+  return {
+    // Record `snapshot` as the state before a change; clears redo
+    push(snapshot) {
+      past.push(snapshot)
+      if (past.length > limit) past.shift()
+      future = []
+    },
+    // Step back from `current`; returns the snapshot to restore or null
+    undo(current) {
+      if (!past.length) return null
+      future.push(current)
+      return past.pop()
+    },
+    redo(current) {
+      if (!future.length) return null
+      past.push(current)
+      return future.pop()
+    },
+    get canUndo() {
+      return past.length > 0
+    },
+    get canRedo() {
+      return future.length > 0
+    },
+  }
+}
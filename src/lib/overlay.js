@@ -0,0 +1,87 @@
+// Helpers for the guides drawn over the canvas: axes, grid, tick labels and
+// curve intersections. Guides live on their own canvas above the artwork
+// (see Canvas.jsx), so freezing, saving and bucket fills never see them.
+
+// Grid spacing of 1, 2 or 5 × 10^k giving about `count` lines across `span`
+export function niceStep(span, count = 8) {
+  const raw = Math.abs(span) / Math.max(1, count)
+  if (!(raw > 0) || !isFinite(raw)) return 1
+  const power = 10 ** Math.floor(Math.log10(raw))
+  const m = raw / power
+  return (m < 1.5 ? 1 : m < 3.5 ? 2 : m < 7.5 ? 5 : 10) * power
+}
+
+// Multiples of `step` within [min, max] (capped, in case of a tiny step)
+export function gridValues(min, max, step) {
+  const values = []
+  for (let k = Math.ceil(min / step); k * step <= max && values.length < 500; k++) values.push(k * step)
+  return values
+}
+
+// Tick label with as many decimals as the step needs, e.g. 0.5 -> "0.5"
+export function formatTick(value, step) {
+  const decimals = Math.min(10, Math.max(0, -Math.floor(Math.log10(step) + 1e-9)))
+  const text = value.toFixed(decimals)
+  return Number(text) === 0 ? '0' : text
+}
+
+// Readout value with 4 significant digits, e.g. 3.14159 -> "3.142"
+export function formatCoordinate(value) {
+  if (!isFinite(value)) return '—'
+  const text = String(Number(value.toPrecision(4)))
+  return text === '-0' ? '0' : text
+}
+
+function segmentCrossing([ax, ay], [bx, by], [cx, cy], [dx, dy]) {
+  const rx = bx - ax
+  const ry = by - ay
+  const sx = dx - cx
+  const sy = dy - cy
+  const denom = rx * sy - ry * sx
+  if (denom === 0) return null // parallel or degenerate
+  const t = ((cx - ax) * sy - (cy - ay) * sx) / denom
+  const u = ((cx - ax) * ry - (cy - ay) * rx) / denom
+  if (t < 0 || t > 1 || u < 0 || u > 1) return null
+  return [ax + rx * t, ay + ry * t]
+}
+
+// Points where polylines `a` cross polylines `b` (canvas px). The segments
+// of `b` are bucketed in a grid of `cell` px so long curves stay fast;
+// crossings closer than a pixel are merged and at most `limit` returned.
+export function polylineIntersections(a, b, cell = 32, limit = 200) {
+  const cellRange = (p, q) => [
+    Math.floor(Math.min(p[0], q[0]) / cell), Math.floor(Math.max(p[0], q[0]) / cell),
+    Math.floor(Math.min(p[1], q[1]) / cell), Math.floor(Math.max(p[1], q[1]) / cell),
+  ]
+  const buckets = new Map()
+  for (const line of b) {
+    for (let k = 1; k < line.length; k++) {
+      const [i0, i1, j0, j1] = cellRange(line[k - 1], line[k])
+      for (let i = i0; i <= i1; i++) {
+        for (let j = j0; j <= j1; j++) {
+          const key = `${i},${j}`
+          if (!buckets.has(key)) buckets.set(key, [])
+          buckets.get(key).push([line[k - 1], line[k]])
+        }
+      }
+    }
+  }
+  const found = new Map()
+  for (const line of a) {
+    for (let k = 1; k < line.length; k++) {
+      const [p, q] = [line[k - 1], line[k]]
+      const [i0, i1, j0, j1] = cellRange(p, q)
+      for (let i = i0; i <= i1; i++) {
+        for (let j = j0; j <= j1; j++) {
+          for (const [r, s] of buckets.get(`${i},${j}`) || []) {
+            const point = segmentCrossing(p, q, r, s)
+            if (!point) continue
+            found.set(`${Math.round(point[0])},${Math.round(point[1])}`, point)
+            if (found.size >= limit) return [...found.values()]
+          }
+        }
+      }
+    }
+  }
+  return [...found.values()]
+}
@@ -0,0 +1,71 @@
+// Free parameter detection and slider settings.
+import { math } from './curves.js'
+
+// Variables each curve mode binds itself; everything else is a parameter
+export const MODE_VARIABLES = {
+  fx: ['x'],
+  parametric: ['t'],
+  polar: ['theta', 'θ'],
+  implicit: ['x', 'y'],
+}
+
+// Variables of the line width / opacity expressions: the world point and
+// s, the arc length along the curve from 0 to 1
+export const STYLE_VARIABLES = ['x', 'y', 's']
+
+export const DEFAULT_PARAMS = { a: 1, b: 0, c: 1 }
+
+// Slider range used for a, b and c before this was configurable
+const BUILTIN_SETTINGS = {
+  a: { min: -10, max: 10, step: 0.1 },
+  b: { min: -10, max: 10, step: 0.1 },
+  c: { min: 0, max: 10, step: 0.1 },
+}
+
+export function defaultParamValue(name) {
+  return DEFAULT_PARAMS[name] ?? 1
+}
+
+export function defaultParamSettings(name) {
+  return { min: -10, max: 10, step: 0.1, ...BUILTIN_SETTINGS[name], locked: false }
+}
+
+// A symbol is a parameter unless math.js already gives it a value
+// (pi, e, tau, i, units...). Names of math.js functions used as plain
+// symbols are treated as parameters since calling them is impossible there.
+const isFreeName = (name) => !(name in math) || typeof math[name] === 'function'
+
+// Names of the free symbols across `expressions`, in order of appearance.
+// Function names (sin in sin(x)) and the mode's own variables are skipped;
+// expressions that fail to parse contribute nothing.
+export function detectParameters(expressions, variables = []) {
+  const names = []
+  for (const expr of expressions) {
+    if (!expr || !String(expr).trim()) continue
+    let node
+    try {
+      node = math.parse(expr)
+    } catch {
+      continue
+    }
+    node.traverse((n, path, parent) => {
+      if (!n.isSymbolNode) return
+      if (parent && parent.isFunctionNode && path === 'fn') return
+      if (variables.includes(n.name) || !isFreeName(n.name)) return
+      if (!names.includes(n.name)) names.push(n.name)
+    })
+  }
+  return names
+}
+
+// Snap a value to the slider grid and clamp it to its range
+export function snapParam(value, { min, max, step }) {
+  const s = step > 0 ? step : 0
+  const snapped = s ? min + Math.round((value - min) / s) * s : value
+  // Trim float noise such as 0.30000000000000004
+  return Math.min(max, Math.max(min, Number(snapped.toFixed(10))))
+}
+
+export function randomParam(settings) {
+  return snapParam(settings.min + Math.random() * (settings.max - settings.min), settings)
+}
@@ -0,0 +1,188 @@
+// Pen-plotter output: lay the artwork's curves out on paper, order them to
+// cut pen-up travel, and write G-code or HPGL.
+//
+// Input paths are { color, points } in canvas px inside a width × height
+// frame. A plan holds the paths on paper in mm (origin top-left, y down)
+// grouped by pen; the writers flip y for the plotters' bottom-left origin.
+import { simplifyPolyline, polylineLength } from './polyline.js'
+
+// Portrait width × height in mm
+export const PAPER_SIZES = {
+  A5: [148, 210],
+  A4: [210, 297],
+  A3: [297, 420],
+  Letter: [215.9, 279.4],
+  Legal: [215.9, 355.6],
+}
+
+export const DEFAULT_PLOTTER_SETTINGS = {
+  paper: 'A4',
+  landscape: true,
+  margin: 15, // mm
+  tolerance: 0.1, // mm, path simplification
+  drawSpeed: 25, // mm/s with the pen down
+  travelSpeed: 75, // mm/s with the pen up
+  penUp: 'G0 Z5',
+  penDown: 'G0 Z0',
+}
+
+const PEN_LIFT_SECONDS = 0.2 // per lift or drop, for the time estimate
+
+export function paperSize(settings) {
+  const [w, h] = PAPER_SIZES[settings.paper] || PAPER_SIZES.A4
+  return settings.landscape ? [h, w] : [w, h]
+}
+
+// Distinct path colors in order of appearance
+export function pathColors(paths) {
+  return [...new Set(paths.map(p => p.color))]
+}
+
+// Greedy nearest-neighbour ordering starting from `start`: each step takes
+// the path whose nearer end is closest to the pen, reversing it if needed.
+// Closed loops may start anywhere, so they are rotated to begin at their
+// vertex nearest the pen.
+function orderPaths(lines, start) {
+  const left = lines.slice()
+  const ordered = []
+  let [px, py] = start
+  while (left.length) {
+    let best = 0
+    let bestDist = Infinity
+    let reverse = false
+    left.forEach((line, k) => {
+      const d0 = Math.hypot(line[0][0] - px, line[0][1] - py)
+      const d1 = Math.hypot(line[line.length - 1][0] - px, line[line.length - 1][1] - py)
+      if (d0 < bestDist) { best = k; bestDist = d0; reverse = false }
+      if (d1 < bestDist) { best = k; bestDist = d1; reverse = true }
+    })
+    let line = left.splice(best, 1)[0]
+    if (reverse) line = line.slice().reverse()
+    const first = line[0]
+    const last = line[line.length - 1]
+    if (line.length > 3 && Math.hypot(first[0] - last[0], first[1] - last[1]) < 1e-6) {
+      let near = 0
+      line.forEach(([x, y], k) => {
+        if (Math.hypot(x - px, y - py) < Math.hypot(line[near][0] - px, line[near][1] - py)) near = k
+      })
+      if (near > 0) line = [...line.slice(near, -1), ...line.slice(0, near + 1)]
+    }
+    ordered.push(line)
+    ;[px, py] = line[line.length - 1]
+  }
+  return ordered
+}
+
+// Plan a plot of `paths` drawn in a width × height frame: the frame is
+// scaled to fit the paper inside the margins and centered; paths are
+// simplified, grouped by pen (`pens` maps colors to pen numbers, default
+// one pen per color in order) and ordered. Returns { paper, pens:
+// [{ pen, colors, lines }], stats }.
+export function planPlot(paths, width, height, settings, pens = {}) {
+  const [pw, ph] = paperSize(settings)
+  const margin = Math.max(0, Number(settings.margin) || 0)
+  const scale = Math.max(0, Math.min((pw - 2 * margin) / width, (ph - 2 * margin) / height))
+  const ox = (pw - width * scale) / 2
+  const oy = (ph - height * scale) / 2
+  const tolerance = Math.max(0, Number(settings.tolerance) || 0)
+
+  const colors = pathColors(paths)
+  const penOf = (color) => Number(pens[color]) || colors.indexOf(color) + 1
+  const groups = new Map()
+  for (const { color, points } of paths) {
+    const line = simplifyPolyline(points.map(([x, y]) => [ox + x * scale, oy + y * scale]), tolerance)
+    if (line.length < 2) continue
+    const pen = penOf(color)
+    if (!groups.has(pen)) groups.set(pen, { pen, colors: [], lines: [] })
+    const group = groups.get(pen)
+    if (!group.colors.includes(color)) group.colors.push(color)
+    group.lines.push(line)
+  }
+
+  // Each pen continues from where the previous one stopped
+  let at = [0, 0]
+  const penGroups = [...groups.values()].sort((a, b) => a.pen - b.pen).map(group => {
+    const lines = orderPaths(group.lines, at)
+    at = lines[lines.length - 1].at(-1)
+    return { ...group, lines }
+  })
+  return { paper: [pw, ph], pens: penGroups, stats: plotStats(penGroups, settings) }
+}
+
+// Pen-up moves of a plan as [from, to] pairs, from the origin and back
+export function travelMoves(plan) {
+  const moves = []
+  let at = [0, 0]
+  for (const { lines } of plan.pens) {
+    for (const line of lines) {
+      moves.push([at, line[0]])
+      at = line[line.length - 1]
+    }
+  }
+  moves.push([at, [0, 0]])
+  return moves
+}
+
+function plotStats(pens, settings) {
+  const plan = { pens }
+  const draw = pens.reduce((sum, { lines }) => sum + lines.reduce((s, line) => s + polylineLength(line), 0), 0)
+  const travel = travelMoves(plan).reduce((sum, [a, b]) => sum + Math.hypot(b[0] - a[0], b[1] - a[1]), 0)
+  const lifts = pens.reduce((sum, { lines }) => sum + lines.length, 0)
+  const seconds = draw / Math.max(1, Number(settings.drawSpeed) || 1) +
+    travel / Math.max(1, Number(settings.travelSpeed) || 1) +
+    2 * lifts * PEN_LIFT_SECONDS
+  return { draw, travel, lifts, penChanges: Math.max(0, pens.length - 1), seconds }
+}
+
+const mm = (v) => (Math.round(v * 100) / 100).toFixed(2)
+
+// G-code in mm for GRBL-style plotters. The pen is raised and lowered with
+// the settings' penUp / penDown commands (servo or Z axis); M0 pauses the
+// job for each pen change.
+export function planToGcode(plan, settings) {
+  const [, ph] = plan.paper
+  const feed = Math.round(Math.max(1, Number(settings.drawSpeed) || 1) * 60)
+  const xy = ([x, y]) => `X${mm(x)} Y${mm(ph - y)}`
+  const out = [
+    `; fxART plot, ${plan.paper.map(mm).join(' x ')} mm, ${plan.pens.length} pen(s)`,
+    'G21 ; millimeters',
+    'G90 ; absolute positions',
+    settings.penUp,
+  ]
+  plan.pens.forEach(({ pen, colors, lines }, k) => {
+    out.push(`; pen ${pen}: ${colors.join(', ')}`)
+    if (k > 0) out.push(`M0 ; insert pen ${pen}, then resume`)
+    for (const line of lines) {
+      out.push(`G0 ${xy(line[0])}`, settings.penDown)
+      for (const p of line.slice(1)) out.push(`G1 ${xy(p)} F${feed}`)
+      out.push(settings.penUp)
+    }
+  })
+  out.push('G0 X0 Y0', 'M2')
+  return out.join('\n') + '\n'
+}
+
+// HPGL with pens selected by SP; units are 0.025 mm (40 per mm)
+export function planToHpgl(plan, settings) {
+  const [, ph] = plan.paper
+  const xy = ([x, y]) => `${Math.round(x * 40)},${Math.round((ph - y) * 40)}`
+  const speed = Math.max(0.1, (Number(settings.drawSpeed) || 1) / 10) // cm/s
+  const out = ['IN;', `VS${Math.round(speed * 10) / 10};`]
+  for (const { pen, lines } of plan.pens) {
+    out.push(`SP${pen};`)
+    for (const line of lines) {
+      out.push(`PU${xy(line[0])};`, `PD${line.slice(1).map(xy).join(',')};`)
+    }
+  }
+  out.push('PU0,0;', 'SP0;')
+  return out.join('\n') + '\n'
+}
+
+// h:mm:ss or m:ss
+export function formatDuration(seconds) {
+  const s = Math.round(seconds)
+  const h = Math.floor(s / 3600)
+  const m = Math.floor((s % 3600) / 60)
+  const pad = (v) => String(v).padStart(2, '0')
+  return h ? `${h}:${pad(m)}:${pad(s % 60)}` : `${m}:${pad(s % 60)}`
+}
@@ -0,0 +1,77 @@
+// Polyline helpers shared by the vector exports. A polyline is an array of
+// [x, y] points.
+
+// Ramer–Douglas–Peucker simplification: drops points closer than
+// `tolerance` to the line through the kept neighbours (endpoints are kept)
+export function simplifyPolyline(points, tolerance) {
+  if (points.length < 3) return points
+  const keep = new Uint8Array(points.length)
+  keep[0] = keep[points.length - 1] = 1
+  const stack = [[0, points.length - 1]]
+  while (stack.length) {
+    const [a, b] = stack.pop()
+    const [ax, ay] = points[a]
+    const dx = points[b][0] - ax
+    const dy = points[b][1] - ay
+    const len = Math.hypot(dx, dy)
+    let worst = -1
+    let far = tolerance
+    for (let k = a + 1; k < b; k++) {
+      const [px, py] = points[k]
+      // Closed loops start and end on the same point: use the distance to it
+      const d = len ? Math.abs(dy * (px - ax) - dx * (py - ay)) / len : Math.hypot(px - ax, py - ay)
+      if (d > far) {
+        far = d
+        worst = k
+      }
+    }
+    if (worst >= 0) {
+      keep[worst] = 1
+      stack.push([a, worst], [worst, b])
+    }
+  }
+  return points.filter((_, k) => keep[k])
+}
+
+// Clip a polyline to the rectangle [0, width] × [0, height] (Liang–Barsky
+// per segment); returns the pieces that lie inside
+export function clipPolyline(points, width, height) {
+  const pieces = []
+  let current = null
+  for (let k = 1; k < points.length; k++) {
+    const [x0, y0] = points[k - 1]
+    const [x1, y1] = points[k]
+    const dx = x1 - x0
+    const dy = y1 - y0
+    let t0 = 0
+    let t1 = 1
+    const inside = [[-dx, x0], [dx, width - x0], [-dy, y0], [dy, height - y0]].every(([p, q]) => {
+      if (p === 0) return q >= 0
+      const t = q / p
+      if (p < 0) t0 = Math.max(t0, t)
+      else t1 = Math.min(t1, t)
+      return t0 <= t1
+    })
+    if (!inside) {
+      current = null
+      continue
+    }
+    const a = [x0 + t0 * dx, y0 + t0 * dy]
+    const b = [x0 + t1 * dx, y0 + t1 * dy]
+    // Continue the current piece unless the segment re-entered the rectangle
+    if (!current || t0 > 0) {
+      current = [a]
+      pieces.push(current)
+    }
+    current.push(b)
+    if (t1 < 1) current = null
+  }
+  return pieces
+}
+
+// Total length of a polyline
+export function polylineLength(points) {
+  let length = 0
+  for (let k = 1; k < points.length; k++) length += Math.hypot(points[k][0] - points[k - 1][0], points[k][1] - points[k - 1][1])
+  return length
+}
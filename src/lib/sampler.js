@@ -0,0 +1,96 @@
+// Layer sampling in a Web Worker (see sampling.worker.js), so a heavy
+// expression never freezes the page.
+//
+// Requests are made per layer and identified by their sampling key (see
+// samplingKey); only the latest request of each layer is kept, so while a
+// slider is dragged the values it passed over are skipped. A request is
+// first sampled within FAST_BUDGET_MS, falling back to a low-resolution
+// preview; an incomplete one is then sampled again with SLOW_BUDGET_MS
+// unless newer requests supersede it for every layer that asked for its
+// key, in which case the worker is terminated (cancelling it) and started
+// afresh. A worker that doesn't answer well past its budget is stuck in a
+// single evaluation and is terminated too.
+import { sampledFields, unpackLines } from './sampling.js'
+
+export const FAST_BUDGET_MS = 100
+export const SLOW_BUDGET_MS = 4000
+const HANG_MARGIN_MS = 2000
+
+// Sampler calling onResult({ layerId, key, lines, styles, complete, preview,
+// ms, pass, hung }) for each answer: pass is 'fast' or 'slow', hung marks a
+// request abandoned without lines. Returns null where workers aren't
+// available.
+export function createSampler(onResult) {
+  if (typeof Worker === 'undefined') return null
+  let worker = null
+  let nextId = 0
+  let inFlight = null // { id, layerId, key, job, pass, wanted: ids of the layers waiting for it }
+  let hangTimer = null
+  const pending = new Map() // layerId -> { key, job, pass }
+
+  const stop = () => {
+    clearTimeout(hangTimer)
+    worker?.terminate()
+    worker = null
+    inFlight = null
+  }
+
+  const start = () => {
+    worker = new Worker(new URL('./sampling.worker.js', import.meta.url), { type: 'module' })
+    worker.onmessage = ({ data }) => {
+      if (!inFlight || data.id !== inFlight.id) return
+      clearTimeout(hangTimer)
+      const { layerId, key, pass, job, wanted } = inFlight
+      inFlight = null
+      // Refine an incomplete answer unless every layer has moved on
+      const still = [...wanted].filter(id => !pending.has(id))
+      if (pass === 'fast' && !data.complete && still.length) pending.set(still[0], { key, job, pass: 'slow', also: still.slice(1) })
+      onResult({ ...data, layerId, key, pass, lines: data.lines && unpackLines(data.lines) })
+      pump()
+    }
+    worker.onerror = (e) => {
+      e.preventDefault?.()
+      abandon()
+    }
+  }
+
+  // Give up on the request in flight, e.g. when it's stuck
+  const abandon = () => {
+    const stuck = inFlight
+    stop()
+    if (stuck) onResult({ layerId: stuck.layerId, key: stuck.key, lines: null, styles: null, complete: false, preview: false, pass: stuck.pass, hung: true })
+    pump()
+  }
+
+  const pump = () => {
+    if (inFlight || !pending.size) return
+    const [layerId, { key, job, pass, also = [] }] = pending.entries().next().value
+    pending.delete(layerId)
+    if (!worker) start()
+    const budget = pass === 'fast' ? FAST_BUDGET_MS : SLOW_BUDGET_MS
+    inFlight = { id: ++nextId, layerId, key, job, pass, wanted: new Set([layerId, ...also]) }
+    worker.postMessage({ id: inFlight.id, ...job, budget, preview: pass === 'fast' })
+    // Full resolution, then the preview, each within the budget
+    hangTimer = setTimeout(abandon, 2 * budget + HANG_MARGIN_MS)
+  }
+
+  return {
+    // Sample `layer` (see sampleLayerWithin) unless that is already under way
+    request(layerId, key, layer, view, width, height, over) {
+      if (inFlight?.key === key) {
+        inFlight.wanted.add(layerId)
+        return
+      }
+      if (pending.get(layerId)?.key === key) return
+      pending.set(layerId, { key, job: { layer: sampledFields(layer), view, width, height, over }, pass: 'fast' })
+      // A slow pass no other layer waits for is outdated: cancel it
+      inFlight?.wanted.delete(layerId)
+      if (inFlight?.pass === 'slow' && !inFlight.wanted.size) stop()
+      pump()
+    },
+    dispose() {
+      pending.clear()
+      stop()
+    },
+  }
+}
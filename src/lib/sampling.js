@@ -0,0 +1,278 @@
+// Sampling of a layer's curve as world-space polylines, shared by the main
+// thread and the sampling worker (see sampling.worker.js and sampler.js).
+// Everything here is plain data in, plain data out: mapping to pixels,
+// transforms and stroking are left to Canvas.jsx.
+import { math, toImplicitExpression, evalBound, sampleFunction, sampleParametric, samplePolar, sampleImplicit } from './curves.js'
+import { createMapping } from './viewport.js'
+
+// Fraction of the full resolution used for previews of slow expressions
+export const PREVIEW_DETAIL = 1 / 8
+
+// Compiled expressions by source text; null marks a source that fails to
+// compile. Layers recompile on every edit, so the cache is simply dropped
+// when it grows large.
+const compileCache = new Map()
+
+export function compileSource(source) {
+  const key = source || '0'
+  if (compileCache.has(key)) return compileCache.get(key)
+  let compiled = null
+  try {
+    compiled = math.compile(key)
+  } catch {}
+  if (compileCache.size > 500) compileCache.clear()
+  compileCache.set(key, compiled)
+  return compiled
+}
+
+// The expression a layer plots in its current mode (x(t) for parametric)
+export function layerExpression(layer) {
+  switch (layer.mode) {
+    case 'parametric': return layer.exprX
+    case 'polar': return layer.polarExpr
+    case 'implicit': return layer.implicitExpr
+    default: return layer.expr
+  }
+}
+
+// { main, y } compiled expressions of a layer, or null if any is invalid
+export function compileLayer(layer) {
+  const expr = layerExpression(layer)
+  const main = compileSource(layer.mode === 'implicit' ? toImplicitExpression(expr) : expr)
+  const y = layer.mode === 'parametric' ? compileSource(layer.exprY) : null
+  if (!main || (layer.mode === 'parametric' && !y)) return null
+  return { main, y }
+}
+
+// Iso-level multipliers k (levels are k·c), ordered and capped
+export function implicitKRange(layer) {
+  const kMin = Number(layer.kMin) || 0
+  const kMax = Number(layer.kMax) || 0
+  const lo = Math.round(Math.min(kMin, kMax))
+  const hi = Math.round(Math.max(kMin, kMax))
+  return [lo, Math.min(hi, lo + 100)]
+}
+
+// Every parameter is exposed to the expression; a, b and c always exist
+export function layerScope(params) {
+  return {
+    x: 0,
+    a: 0,
+    b: 0,
+    c: 0,
+    ...Object.fromEntries(Object.entries(params || {}).map(([k, v]) => [k, Number(v)])),
+    sin: math.sin,
+    cos: math.cos,
+    tan: math.tan,
+    abs: math.abs,
+    exp: math.exp,
+    sqrt: math.sqrt,
+    pow: math.pow,
+  }
+}
+
+// Mode settings of a layer's curve, with bounds evaluated
+function layerCurve(layer, scope) {
+  const [lo, hi] = implicitKRange(layer)
+  const levels = new Set() // c = 0 collapses every level onto f = 0
+  for (let k = lo; k <= hi; k++) levels.add(k * scope.c)
+  const samples = layer.samples || 2000
+  return {
+    mode: layer.mode,
+    tRange: { min: evalBound(layer.tMin, 0), max: evalBound(layer.tMax, 2 * Math.PI), samples },
+    thetaRange: { min: evalBound(layer.thetaMin, 0), max: evalBound(layer.thetaMax, 2 * Math.PI), samples },
+    levels: [...levels],
+    gridCell: layer.gridCell,
+  }
+}
+
+// A style expression may be written as a definition, "w(x) = body" or
+// "w = body"; the body is what is plotted
+const DEFINITION = /^[A-Za-z_]\w*\s*(\([\w\s,]*\))?\s*=(?!=)/
+
+// Compiled { width, opacity } line style expressions of a layer (null when
+// blank), or null if either is invalid. They are functions of the world
+// point x, y and the arc length s from 0 to 1. Any other "=" than a
+// definition's is invalid, as math.js would read it as an assignment.
+export function compileStyle(layer) {
+  const compiled = {}
+  for (const key of ['width', 'opacity']) {
+    const source = String(layer[`${key}Expr`] || '').trim()
+    const body = source.replace(DEFINITION, '').trim()
+    compiled[key] = body ? compileSource(body) : null
+    if (source && (!compiled[key] || /(?<![<>=!])=(?!=)/.test(body))) return null
+  }
+  return compiled
+}
+
+// Fields of a layer its sampled curve and style values depend on, besides
+// the view, the canvas size and the overscan
+const SAMPLED_FIELDS = ['mode', 'expr', 'exprX', 'exprY', 'polarExpr', 'implicitExpr', 'tMin', 'tMax', 'thetaMin', 'thetaMax', 'samples', 'gridCell', 'kMin', 'kMax', 'params', 'widthExpr', 'opacityExpr']
+
+export function sampledFields(layer) {
+  return Object.fromEntries(SAMPLED_FIELDS.map(key => [key, layer[key]]))
+}
+
+// Identifies a layer's samples for a view, size and overscan: layers that
+// differ only in style share them
+export function samplingKey(layer, view, width, height, over) {
+  return JSON.stringify([sampledFields(layer), view, width, height, over])
+}
+
+// Sample a curve as world-space polylines for the given view, extended by
+// the `over` margin in px. `curve` holds the mode and its settings,
+// `compiled` the compiled expressions ({ main, y } where y is only used by
+// parametric curves). `detail` below 1 samples that much more coarsely.
+function sampleCurve(curve, compiled, scope, view, width, height, over = { x: 0, y: 0 }, detail = 1) {
+  const map = createMapping(view, width, height)
+  const coarse = (range) => ({ ...range, samples: Math.max(64, Math.round(range.samples * detail)) })
+  switch (curve.mode) {
+    case 'parametric':
+      return sampleParametric(compiled.main, compiled.y, scope, coarse(curve.tRange))
+    case 'polar':
+      return samplePolar(compiled.main, scope, coarse(curve.thetaRange))
+    case 'implicit': {
+      // Grid of gridCell CSS px covering the overscanned canvas
+      const cell = Math.max(1, Number(curve.gridCell) || 4) / Math.sqrt(detail)
+      const cols = Math.ceil((width + 2 * over.x) / cell)
+      const rows = Math.ceil((height + 2 * over.y) / cell)
+      const box = {
+        xMin: view.xMin - over.x / map.pxPerX,
+        xMax: view.xMin + (cols * cell - over.x) / map.pxPerX,
+        yMin: view.yMax - (rows * cell - over.y) / map.pxPerY,
+        yMax: view.yMax + over.y / map.pxPerY,
+      }
+      return sampleImplicit(compiled.main, scope, box, cols, rows, curve.levels)
+    }
+    default: {
+      // Initial steps proportional to extended width (one per 2px); the
+      // sampler subdivides further wherever the curve needs it, except in
+      // coarse previews
+      const padX = over.x / map.pxPerX
+      const steps = Math.max(200, Math.floor((width + 2 * over.x) / 2))
+      if (detail < 1) {
+        return sampleFunction(compiled.main, scope, view.xMin - padX, view.xMax + padX, Math.max(25, steps * detail), map, { tolerancePx: Infinity })
+      }
+      return sampleFunction(compiled.main, scope, view.xMin - padX, view.xMax + padX, steps, map)
+    }
+  }
+}
+
+// A compiled expression that evaluates to NaN once clock.deadline (a
+// performance.now() time) has passed, setting clock.expired. Samplers treat
+// NaN as a gap, so they run out quickly and return what they have.
+function timed(compiled, clock) {
+  return compiled && {
+    evaluate: (scope) => {
+      if (clock.expired || (clock.expired = performance.now() > clock.deadline)) return NaN
+      return compiled.evaluate(scope)
+    },
+  }
+}
+
+// World-space polylines of a layer for the given view, or null if its
+// expressions don't compile. With a `clock` ({ deadline, expired }),
+// sampling stops at the deadline (see timed).
+export function sampleLayer(layer, view, width, height, over, { detail = 1, clock = null } = {}) {
+  const compiled = compileLayer(layer)
+  if (!compiled) return null
+  const scope = layerScope(layer.params)
+  const expressions = clock ? { main: timed(compiled.main, clock), y: timed(compiled.y, clock) } : compiled
+  return sampleCurve(layerCurve(layer, scope), expressions, scope, view, width, height, over, detail)
+}
+
+// Values of a layer's width and opacity expressions (see compileStyle) at
+// the midpoint of each segment of `lines`, in order, with s the length of
+// the lines up to there in px of the view as a fraction of their total:
+// { width, opacity }, each a Float64Array (null for a blank expression)
+// holding NaN where the expression is undefined. null if neither is set or
+// either is invalid. With a `clock`, values past its deadline are NaN.
+function sampleStyle(layer, lines, view, width, height, clock = null) {
+  const compiled = compileStyle(layer)
+  if (!compiled || (!compiled.width && !compiled.opacity)) return null
+  // Lengths along the lines as drawn (see toScreenLines in Canvas.jsx)
+  const { toPx } = createMapping(view, width, height)
+  const limit = 10 * (width + height)
+  const clamp = (v) => Math.max(-limit, Math.min(limit, v))
+  const lengths = lines.map(line => {
+    const px = line.map(([x, y]) => toPx(x, y).map(clamp))
+    return px.slice(1).map((q, k) => Math.hypot(q[0] - px[k][0], q[1] - px[k][1]))
+  })
+  const total = lengths.reduce((sum, segs) => segs.reduce((a, b) => a + b, sum), 0)
+  const count = lengths.reduce((n, segs) => n + segs.length, 0)
+  const scope = { ...layerScope(layer.params), y: 0, s: 0 }
+  const values = {}
+  for (const key of ['width', 'opacity']) {
+    const expr = clock ? timed(compiled[key], clock) : compiled[key]
+    if (!expr) {
+      values[key] = null
+      continue
+    }
+    const out = (values[key] = new Float64Array(count))
+    let k = 0
+    let along = 0
+    lines.forEach((line, i) => {
+      lengths[i].forEach((seg, j) => {
+        scope.x = (line[j][0] + line[j + 1][0]) / 2
+        scope.y = (line[j][1] + line[j + 1][1]) / 2
+        scope.s = total ? (along + seg / 2) / total : 0
+        let v = NaN
+        try {
+          v = Number(expr.evaluate(scope))
+        } catch {}
+        out[k++] = Number.isFinite(v) ? v : NaN
+        along += seg
+      })
+    })
+  }
+  return values
+}
+
+// A layer sampled within `budget` ms: { lines, styles, complete, preview,
+// ms } with styles its style values (see sampleStyle) and ms the time taken
+// at full resolution. If that doesn't finish in time, complete is false
+// and, unless `preview` is false, lines is a preview at PREVIEW_DETAIL
+// (itself given `budget` ms). lines is null if the layer's expressions
+// don't compile. Compiling isn't counted.
+export function sampleLayerWithin(layer, view, width, height, over, { budget = Infinity, preview = true } = {}) {
+  if (!compileLayer(layer)) return { lines: null, styles: null, complete: true, preview: false, ms: 0 }
+  const within = (clock, detail) => {
+    const lines = sampleLayer(layer, view, width, height, over, { detail, clock })
+    return { lines, styles: lines && sampleStyle(layer, lines, view, width, height, clock) }
+  }
+  const start = performance.now()
+  const clock = { deadline: start + budget, expired: false }
+  const full = within(clock, 1)
+  const ms = performance.now() - start
+  if (!full.lines || !clock.expired) return { ...full, complete: true, preview: false, ms }
+  if (!preview) return { ...full, complete: false, preview: false, ms }
+  const previewClock = { deadline: performance.now() + budget, expired: false }
+  return { ...within(previewClock, PREVIEW_DETAIL), complete: false, preview: true, ms }
+}
+
+// Polylines as flat typed arrays { counts, coords }, cheap to pass between
+// threads
+export function packLines(lines) {
+  const counts = new Uint32Array(lines.length)
+  lines.forEach((line, i) => { counts[i] = line.length })
+  const coords = new Float64Array(2 * counts.reduce((sum, n) => sum + n, 0))
+  let k = 0
+  for (const line of lines) {
+    for (const [x, y] of line) {
+      coords[k++] = x
+      coords[k++] = y
+    }
+  }
+  return { counts, coords }
+}
+
+export function unpackLines({ counts, coords }) {
+  const lines = []
+  let k = 0
+  for (const n of counts) {
+    const line = new Array(n)
+    for (let i = 0; i < n; i++, k += 2) line[i] = [coords[k], coords[k + 1]]
+    lines.push(line)
+  }
+  return lines
+}
@@ -0,0 +1,14 @@
+// Worker sampling layers off the main thread (see sampler.js). Each message
+// { id, layer, view, width, height, over, budget, preview } is answered with
+// { id, lines, styles, complete, preview, ms }, lines packed (see packLines)
+// or null if the layer's expressions don't compile.
+import { packLines, sampleLayerWithin } from './sampling.js'
+
+self.onmessage = ({ data }) => {
+  const { id, layer, view, width, height, over, budget, preview } = data
+  const result = sampleLayerWithin(layer, view, width, height, over, { budget, preview })
+  const lines = result.lines && packLines(result.lines)
+  const buffers = lines ? [lines.counts.buffer, lines.coords.buffer] : []
+  for (const values of Object.values(result.styles || {})) if (values) buffers.push(values.buffer)
+  self.postMessage({ ...result, id, lines }, buffers)
+}
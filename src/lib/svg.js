@@ -0,0 +1,101 @@
+// SVG output for vector export.
+//
+// Coordinates are user units (the CSS px of the exported view) written with
+// two decimals, which is plenty for plotters and cutters. Filled regions
+// arrive as pixel masks and are traced into outlines with marching squares.
+import { traceContours } from './contour.js'
+import { dilateMask } from './fill.js'
+import { simplifyPolyline } from './polyline.js'
+
+const num = (v) => String(Math.round(v * 100) / 100)
+
+export function escapeXml(text) {
+  return String(text).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&apos;' })[c])
+}
+
+// An element with the given attributes (numbers rounded) and raw content;
+// null/undefined attributes are left out
+export function svgTag(name, attrs = {}, content = '') {
+  const list = Object.entries(attrs)
+    .filter(([, v]) => v != null)
+    .map(([k, v]) => ` ${k}="${typeof v === 'number' ? num(v) : escapeXml(v)}"`)
+    .join('')
+  return content ? `<${name}${list}>${content}</${name}>` : `<${name}${list}/>`
+}
+
+// Path data for polylines ([[x, y], ...]); single points draw nothing
+export function polylinePathData(lines, closed = false) {
+  return lines
+    .filter(line => line.length > 1)
+    .map(line => line.map(([x, y], k) => `${k ? 'L' : 'M'}${num(x)} ${num(y)}`).join('') + (closed ? 'Z' : ''))
+    .join('')
+}
+
+// Path data outlining the set pixels of a width × height mask (nonzero =
+// inside), each pixel being 1 / scale units wide. The mask is grown by
+// `grow` pixels (dilateMask, giving a 0/1 mask), then softened with a 3×3
+// box blur so the outline follows the region smoothly rather than its pixel
+// staircase. Holes come out as separate loops: fill the path with
+// fill-rule="evenodd".
+export function maskPathData(mask, width, height, scale = 1, grow = 0) {
+  const grown = grow > 0 ? dilateMask(mask, width, height, grow) : mask
+  // One empty node of padding on each side closes every outline; node
+  // (i, j) is the center of pixel (i - 1, j - 1)
+  const cols = width + 1
+  const rows = height + 1
+  const stride = cols + 1
+  const rowSums = new Float32Array(stride * (rows + 1))
+  for (let j = 1; j <= height; j++) {
+    for (let i = 0; i <= cols; i++) {
+      let sum = 0
+      for (let x = i - 2; x <= i; x++) if (x >= 0 && x < width && grown[(j - 1) * width + x]) sum++
+      rowSums[j * stride + i] = sum
+    }
+  }
+  const values = new Float32Array(stride * (rows + 1))
+  for (let j = 0; j <= rows; j++) {
+    for (let i = 0; i <= cols; i++) {
+      let sum = 0
+      for (let y = j - 1; y <= j + 1; y++) if (y >= 0 && y <= rows) sum += rowSums[y * stride + i]
+      values[j * stride + i] = sum / 9
+    }
+  }
+  const loops = traceContours(values, cols, rows, 0.5)
+    .map(loop => simplifyPolyline(loop, 0.3).map(([gx, gy]) => [(gx - 0.5) / scale, (gy - 0.5) / scale]))
+  return polylinePathData(loops.map(loop => loop.slice(0, -1)), true)
+}
+
+// Dublin Core metadata block, as read by Inkscape's Document Properties
+export function svgMetadata({ title, description, source }) {
+  const work = [
+    svgTag('dc:format', {}, 'image/svg+xml'),
+    svgTag('dc:title', {}, escapeXml(title)),
+    svgTag('dc:description', {}, escapeXml(description)),
+    svgTag('dc:source', {}, escapeXml(source)),
+  ].join('')
+  return svgTag('metadata', {}, svgTag('rdf:RDF', {}, svgTag('cc:Work', { 'rdf:about': '' }, work)))
+}
+
+// A named group that Inkscape shows as a layer (Illustrator uses the id)
+export function svgLayer(id, label, content) {
+  return svgTag('g', { id, 'inkscape:groupmode': 'layer', 'inkscape:label': label }, content)
+}
+
+// Standalone document of viewBox width × height; `size` gives the printed
+// width and height attributes (e.g. ['8.27in', '11.69in']). Images link
+// their data with xlink:href, which SVG 1.1 viewers and Inkscape need.
+export function svgDocument(width, height, size, content) {
+  const attrs = {
+    xmlns: 'http://www.w3.org/2000/svg',
+    'xmlns:xlink': 'http://www.w3.org/1999/xlink',
+    'xmlns:inkscape': 'http://www.inkscape.org/namespaces/inkscape',
+    'xmlns:rdf': 'http://www.w3.org/1999/02/22-rdf-syntax-ns#',
+    'xmlns:cc': 'http://creativecommons.org/ns#',
+    'xmlns:dc': 'http://purl.org/dc/elements/1.1/',
+    version: '1.1',
+    width: size[0],
+    height: size[1],
+    viewBox: `0 0 ${num(width)} ${num(height)}`,
+  }
+  return '<?xml version="1.0" encoding="UTF-8"?>\n' + svgTag('svg', attrs, '\n' + content + '\n') + '\n'
+}
@@ -0,0 +1,32 @@
+// Parameter sweeps ("families of curves"): copies of a layer with one
+// parameter, or the tilt, stepped evenly from `from` to `to`. The line color
+// and opacity can ramp across the copies.
+import { lerpColor } from './animation.js'
+
+// `count` evenly spaced values from `from` to `to` (both included)
+export function sweepValues(from, to, count) {
+  const n = Math.max(1, Math.round(Number(count) || 1))
+  return Array.from({ length: n }, (_, k) => (n === 1 ? from : from + ((to - from) * k) / (n - 1)))
+}
+
+// The copies of `layer` for a sweep of `key` ('tilt' or a parameter name).
+// `colorTo` ramps the line color from the layer's own; `opacityFrom` /
+// `opacityTo` ramp the opacity. Ramps left null keep the layer's style.
+export function sweepLayers(layer, { key, from, to, count, colorTo = null, opacityFrom = null, opacityTo = null }) {
+  const values = sweepValues(Number(from), Number(to), count)
+  return values.map((value, k) => {
+    const u = values.length > 1 ? k / (values.length - 1) : 0
+    const copy = key === 'tilt'
+      ? { ...layer, tilt: value }
+      : { ...layer, params: { ...layer.params, [key]: value } }
+    if (colorTo) copy.lineColor = lerpColor(layer.lineColor, colorTo, u)
+    if (opacityFrom != null && opacityTo != null) copy.lineOpacity = opacityFrom + (opacityTo - opacityFrom) * u
+    return copy
+  })
+}
+
+// Footer note for a sweep, e.g. "a from 1 to 2 (20 curves)"
+export function describeSweep({ key, from, to, count }) {
+  const fmt = (v) => String(Math.round(Number(v) * 1e4) / 1e4) + (key === 'tilt' ? '°' : '')
+  return `${key} from ${fmt(from)} to ${fmt(to)} (${count} curves)`
+}
@@ -0,0 +1,52 @@
+// Symmetry copies of a curve around the canvas center.
+//
+// Transforms are canvas matrices (see lib/transform.js). Mirrors across X
+// flip vertically, across Y horizontally; rotations turn clockwise on
+// screen like the tilt.
+import { IDENTITY, multiply, rotation, placementMatrix } from './transform.js'
+
+export const SYMMETRY_MODES = [
+  { value: 'none', label: 'None' },
+  { value: 'mirrorX', label: 'Mirror across X' },
+  { value: 'mirrorY', label: 'Mirror across Y' },
+  { value: 'mirrorXY', label: 'Mirror across X and Y' },
+  { value: 'rotate', label: 'Rotational (N-fold)' },
+  { value: 'kaleidoscope', label: 'Kaleidoscope' },
+]
+
+// Modes repeated by rotation, which use the copy count
+export const ROTATIONAL_SYMMETRY = ['rotate', 'kaleidoscope']
+
+// Linear maps of the copies (the first is always the identity)
+function symmetryMaps(mode, count) {
+  const flipX = [1, 0, 0, -1, 0, 0]
+  const flipY = [-1, 0, 0, 1, 0, 0]
+  const n = Math.max(1, Math.min(36, Math.round(Number(count) || 1)))
+  const turns = Array.from({ length: n }, (_, k) => rotation((360 * k) / n))
+  switch (mode) {
+    case 'mirrorX': return [IDENTITY, flipX]
+    case 'mirrorY': return [IDENTITY, flipY]
+    case 'mirrorXY': return [IDENTITY, flipX, flipY, multiply(flipX, flipY)]
+    case 'rotate': return turns
+    // Dihedral: each rotation of the curve and of its mirror image
+    case 'kaleidoscope': return [...turns, ...turns.map(r => multiply(r, flipX))]
+    default: return [IDENTITY]
+  }
+}
+
+// Transforms drawing each copy of a layer's curve on a width × height
+// canvas: the layer's placement (scale, skew, tilt and offset), then its
+// symmetry, both about the center
+export function layerTransforms(layer, width, height) {
+  const cx = width / 2
+  const cy = height / 2
+  const toCenter = [1, 0, 0, 1, -cx, -cy]
+  const back = [1, 0, 0, 1, cx, cy]
+  const placement = placementMatrix(layer)
+  return symmetryMaps(layer.symmetry, layer.symmetryCount)
+    .map(m => multiply(back, multiply(m, multiply(placement, toCenter))))
+}
+
+export function transformPoints(points, [a, b, c, d, e, f]) {
+  return points.map(([x, y]) => [a * x + c * y + e, b * x + d * y + f])
+}
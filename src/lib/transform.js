@@ -0,0 +1,74 @@
+// Affine placement of a layer's curve on the canvas.
+//
+// Matrices are canvas matrices [a, b, c, d, e, f] (as ctx.transform() takes
+// them: x' = a·x + c·y + e, y' = b·x + d·y + f) in CSS px, y pointing down.
+// A layer is placed about the canvas center by, in order: its scale
+// (scaleX, scaleY), skew (degrees, shearing x along y), rotation (tilt,
+// degrees clockwise on screen) and translation (offsetX, offsetY in px).
+
+export const IDENTITY = [1, 0, 0, 1, 0, 0]
+
+export const DEFAULT_TRANSFORM = { tilt: 0, scaleX: 1, scaleY: 1, skew: 0, offsetX: 0, offsetY: 0 }
+
+// Limits keeping curves sampled finely enough and their overscan bounded
+export const SCALE_LIMITS = [0.1, 10]
+export const SKEW_LIMIT = 75
+
+// Grid the on-canvas handles snap to, per field
+const SNAP_STEPS = { tilt: 15, scaleX: 0.1, scaleY: 0.1, skew: 5, offsetX: 10, offsetY: 10 }
+
+export function multiply(m, n) {
+  return [
+    m[0] * n[0] + m[2] * n[1],
+    m[1] * n[0] + m[3] * n[1],
+    m[0] * n[2] + m[2] * n[3],
+    m[1] * n[2] + m[3] * n[3],
+    m[0] * n[4] + m[2] * n[5] + m[4],
+    m[1] * n[4] + m[3] * n[5] + m[5],
+  ]
+}
+
+export function invert([a, b, c, d, e, f]) {
+  const det = a * d - b * c || 1e-12
+  return [d / det, -b / det, -c / det, a / det, (c * f - d * e) / det, (b * e - a * f) / det]
+}
+
+export function applyMatrix([a, b, c, d, e, f], [x, y]) {
+  return [a * x + c * y + e, b * x + d * y + f]
+}
+
+export function rotation(deg) {
+  const rad = (deg * Math.PI) / 180
+  return [Math.cos(rad), Math.sin(rad), -Math.sin(rad), Math.cos(rad), 0, 0]
+}
+
+// A scale factor within SCALE_LIMITS, keeping its sign (negative flips)
+export function clampScale(value) {
+  const v = Number(value)
+  if (!Number.isFinite(v) || v === 0) return 1
+  const [lo, hi] = SCALE_LIMITS
+  return Math.sign(v) * Math.min(hi, Math.max(lo, Math.abs(v)))
+}
+
+export function clampSkew(value) {
+  return Math.min(SKEW_LIMIT, Math.max(-SKEW_LIMIT, Number(value) || 0))
+}
+
+// The layer's placement about the origin (the canvas center), see above
+export function placementMatrix(layer) {
+  const sx = clampScale(layer.scaleX ?? 1)
+  const sy = clampScale(layer.scaleY ?? 1)
+  const shear = Math.tan((clampSkew(layer.skew) * Math.PI) / 180)
+  const linear = multiply(rotation(Number(layer.tilt) || 0), [sx, 0, shear * sy, sy, 0, 0])
+  return [...linear.slice(0, 4), Number(layer.offsetX) || 0, Number(layer.offsetY) || 0]
+}
+
+export function isIdentityPlacement(layer) {
+  return placementMatrix(layer).every((v, k) => Math.abs(v - IDENTITY[k]) < 1e-9)
+}
+
+// `value` of a transform field rounded to its snapping grid
+export function snapTransform(field, value) {
+  const step = SNAP_STEPS[field]
+  return step ? Number((Math.round(value / step) * step).toFixed(6)) : value
+}
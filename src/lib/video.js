@@ -0,0 +1,134 @@
+// WebM encoding of offline-rendered frames.
+//
+// Frames are produced by `drawFrame(ctx, index)` (which may return a
+// promise) onto a private canvas. Where WebCodecs is available each frame
+// is encoded with a VideoEncoder at the timestamp index / fps and muxed
+// into WebM (see webm.js), so the video plays at `fps` however long the
+// frames took to draw. Otherwise the canvas is captured with MediaRecorder,
+// which stamps frames with the wall time they were pushed: frames are
+// spaced by 1/fps of wall time and one that takes longer than that to draw
+// is held on screen longer in the video.
+
+import { createWebmMuxer } from './webm.js'
+
+const WEBM_TYPES = ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm']
+
+// WebCodecs codec strings with their WebM codec IDs, in order of preference
+const ENCODER_CODECS = [['vp09.00.40.08', 'V_VP9'], ['vp8', 'V_VP8']]
+const BITRATE = 8_000_000
+const KEY_FRAME_SECONDS = 2
+const MAX_ENCODE_QUEUE = 8
+
+export function webmMimeType() {
+  if (typeof MediaRecorder === 'undefined' || typeof HTMLCanvasElement === 'undefined') return null
+  if (!('captureStream' in HTMLCanvasElement.prototype)) return null
+  return WEBM_TYPES.find(t => MediaRecorder.isTypeSupported?.(t)) || null
+}
+
+// Whether this browser can export WebM at all, by either path
+export function webmSupported() {
+  return typeof VideoEncoder !== 'undefined' || !!webmMimeType()
+}
+
+// First encoder config this browser supports for the given size, with the
+// codec's WebM ID, or null
+async function encoderConfig(width, height, fps) {
+  if (typeof VideoEncoder === 'undefined' || typeof VideoFrame === 'undefined') return null
+  for (const [codec, codecId] of ENCODER_CODECS) {
+    const config = { codec, width, height, bitrate: BITRATE, framerate: fps }
+    try {
+      const { supported } = await VideoEncoder.isConfigSupported(config)
+      if (supported) return { config, codecId }
+    } catch {
+      // Treat a rejected config like an unsupported one
+    }
+  }
+  return null
+}
+
+// Resolves to a WebM Blob of the frames, or null when aborted through
+// `signal`
+export async function recordWebm(width, height, frameCount, fps, drawFrame, options = {}) {
+  const encoder = await encoderConfig(width, height, fps)
+  if (encoder) return encodeWebm(encoder, frameCount, fps, drawFrame, options)
+  return captureWebm(width, height, frameCount, fps, drawFrame, options)
+}
+
+async function encodeWebm({ config, codecId }, frameCount, fps, drawFrame, { onProgress, signal } = {}) {
+  const { width, height } = config
+  const canvas = document.createElement('canvas')
+  canvas.width = width
+  canvas.height = height
+  const ctx = canvas.getContext('2d')
+  const frameDuration = 1e6 / fps
+  const muxer = createWebmMuxer({ width, height, codec: codecId, frameDuration })
+  let failure = null
+  const encoder = new VideoEncoder({
+    output(chunk) {
+      const data = new Uint8Array(chunk.byteLength)
+      chunk.copyTo(data)
+      muxer.addFrame(data, chunk.timestamp, chunk.type === 'key')
+    },
+    error(err) { failure = err },
+  })
+  encoder.configure(config)
+  const keyEvery = Math.max(1, Math.round(fps * KEY_FRAME_SECONDS))
+
+  try {
+    for (let i = 0; i < frameCount; i++) {
+      if (signal?.aborted) return null
+      if (failure) throw failure
+      await drawFrame(ctx, i)
+      const frame = new VideoFrame(canvas, {
+        timestamp: Math.round(i * frameDuration),
+        duration: Math.round(frameDuration),
+      })
+      encoder.encode(frame, { keyFrame: i % keyEvery === 0 })
+      frame.close()
+      // Let the encoder catch up rather than queueing every frame
+      while (encoder.encodeQueueSize > MAX_ENCODE_QUEUE && !failure) {
+        await new Promise(resolve => setTimeout(resolve, 10))
+      }
+      onProgress?.((i + 1) / frameCount)
+    }
+    await encoder.flush()
+    if (failure) throw failure
+  } finally {
+    if (encoder.state !== 'closed') encoder.close()
+  }
+  return new Blob([muxer.finish()], { type: 'video/webm' })
+}
+
+async function captureWebm(width, height, frameCount, fps, drawFrame, { onProgress, signal } = {}) {
+  const mimeType = webmMimeType()
+  if (!mimeType) throw new Error('WebM recording is not supported in this browser')
+  const canvas = document.createElement('canvas')
+  canvas.width = width
+  canvas.height = height
+  const ctx = canvas.getContext('2d')
+  const stream = canvas.captureStream(0)
+  const [track] = stream.getVideoTracks()
+  const recorder = new MediaRecorder(stream, { mimeType, videoBitsPerSecond: BITRATE })
+  const chunks = []
+  recorder.ondataavailable = (e) => { if (e.data.size) chunks.push(e.data) }
+  const stopped = new Promise(resolve => { recorder.onstop = resolve })
+  const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms))
+
+  recorder.start()
+  try {
+    for (let i = 0; i < frameCount; i++) {
+      if (signal?.aborted) break
+      const started = performance.now()
+      await drawFrame(ctx, i)
+      track.requestFrame?.()
+      onProgress?.((i + 1) / frameCount)
+      await wait(Math.max(0, 1000 / fps - (performance.now() - started)))
+    }
+  } finally {
+    recorder.stop()
+    await stopped
+    track.stop()
+  }
+  if (signal?.aborted) return null
+  return new Blob(chunks, { type: 'video/webm' })
+}
@@ -0,0 +1,124 @@
+// Viewport model: the world-space rectangle { xMin, xMax, yMin, yMax } shown
+// on the canvas. All helpers are pure and take the canvas size in CSS pixels.
+
+export const DEFAULT_VIEWPORT = { xMin: -10, xMax: 10, yMin: -5, yMax: 5 }
+
+// Smallest span a viewport may be zoomed into (guards float precision)
+const MIN_SPAN = 1e-9
+
+export function isValidViewport(view) {
+  return Boolean(view) &&
+    [view.xMin, view.xMax, view.yMin, view.yMax].every(v => typeof v === 'number' && isFinite(v)) &&
+    view.xMax - view.xMin > MIN_SPAN &&
+    view.yMax - view.yMin > MIN_SPAN
+}
+
+export function sameViewport(a, b) {
+  return a === b || (Boolean(a) && Boolean(b) &&
+    a.xMin === b.xMin && a.xMax === b.xMax && a.yMin === b.yMin && a.yMax === b.yMax)
+}
+
+// Expand the narrower axis around its center so one world unit covers the
+// same number of pixels horizontally and vertically.
+export function squareViewport(view, width, height) {
+  if (!(width > 0 && height > 0)) return view
+  const spanX = view.xMax - view.xMin
+  const spanY = view.yMax - view.yMin
+  const unitsPerPx = Math.max(spanX / width, spanY / height)
+  const cx = (view.xMin + view.xMax) / 2
+  const cy = (view.yMin + view.yMax) / 2
+  const hx = (unitsPerPx * width) / 2
+  const hy = (unitsPerPx * height) / 2
+  return { xMin: cx - hx, xMax: cx + hx, yMin: cy - hy, yMax: cy + hy }
+}
+
+// Viewport for a toWidth × toHeight canvas with the same center and scale
+// (world units per pixel) as `view` on a width × height canvas
+export function resizeViewport(view, width, height, toWidth, toHeight) {
+  const cx = (view.xMin + view.xMax) / 2
+  const cy = (view.yMin + view.yMax) / 2
+  const hx = ((view.xMax - view.xMin) * toWidth) / width / 2
+  const hy = ((view.yMax - view.yMin) * toHeight) / height / 2
+  return { xMin: cx - hx, xMax: cx + hx, yMin: cy - hy, yMax: cy + hy }
+}
+
+// Viewport actually drawn for the given canvas size
+export function effectiveViewport(view, width, height, square = false) {
+  const v = isValidViewport(view) ? view : DEFAULT_VIEWPORT
+  return square ? squareViewport(v, width, height) : v
+}
+
+// World <-> CSS pixel mapping (y grows upwards in world space)
+export function createMapping(view, width, height) {
+  const pxPerX = width / (view.xMax - view.xMin)
+  const pxPerY = height / (view.yMax - view.yMin)
+  return {
+    pxPerX,
+    pxPerY,
+    toPx: (x, y) => [(x - view.xMin) * pxPerX, height - (y - view.yMin) * pxPerY],
+    toWorld: (px, py) => [view.xMin + px / pxPerX, view.yMin + (height - py) / pxPerY],
+  }
+}
+
+// Move the view by a drag of (dxPx, dyPx) screen pixels
+export function panViewport(view, dxPx, dyPx, width, height) {
+  const dx = (dxPx / width) * (view.xMax - view.xMin)
+  const dy = (dyPx / height) * (view.yMax - view.yMin)
+  return { xMin: view.xMin - dx, xMax: view.xMax - dx, yMin: view.yMin + dy, yMax: view.yMax + dy }
+}
+
+// Zoom by `factor` (> 1 zooms in) keeping the world point under the pixel
+// (px, py) fixed on screen
+export function zoomViewport(view, factor, px, py, width, height) {
+  const [ax, ay] = createMapping(view, width, height).toWorld(px, py)
+  const f = Math.max(1e-6, factor)
+  const next = {
+    xMin: ax - (ax - view.xMin) / f,
+    xMax: ax + (view.xMax - ax) / f,
+    yMin: ay - (ay - view.yMin) / f,
+    yMax: ay + (view.yMax - ay) / f,
+  }
+  return isValidViewport(next) ? next : view
+}
+
+// Bounding viewport of world polylines with a relative margin. With
+// `robust`, the extreme 1% of values on each axis is ignored so poles and
+// asymptotes don't blow up the fit. Returns null when there are no points.
+export function fitViewport(lines, { margin = 0.08, robust = false } = {}) {
+  const xs = []
+  const ys = []
+  for (const line of lines) {
+    for (const [x, y] of line) {
+      xs.push(x)
+      ys.push(y)
+    }
+  }
+  if (!xs.length) return null
+  const extent = (vals) => {
+    const sorted = Float64Array.from(vals).sort()
+    if (!robust || vals.length < 20) return [sorted[0], sorted[sorted.length - 1]]
+    const cut = Math.floor(sorted.length * 0.01)
+    return [sorted[cut], sorted[sorted.length - 1 - cut]]
+  }
+  const pad = ([lo, hi]) => {
+    const span = hi - lo
+    const m = span > MIN_SPAN ? span * margin : Math.max(1, Math.abs(lo) * 0.1)
+    return [lo - m, hi + m]
+  }
+  const [xMin, xMax] = pad(extent(xs))
+  const [yMin, yMax] = pad(extent(ys))
+  return { xMin, xMax, yMin, yMax }
+}
+
+// Where an image captured over viewport `from` lands when drawn in the
+// viewport `to`: returns [dx, dy, dw, dh] in CSS pixels of the target canvas
+export function viewportImageRect(from, to, width, height) {
+  const spanX = to.xMax - to.xMin
+  const spanY = to.yMax - to.yMin
+  return [
+    ((from.xMin - to.xMin) / spanX) * width,
+    ((to.yMax - from.yMax) / spanY) * height,
+    ((from.xMax - from.xMin) / spanX) * width,
+    ((from.yMax - from.yMin) / spanY) * height,
+  ]
+}
@@ -0,0 +1,164 @@
+// Minimal WebM (Matroska) muxer for one video track of encoded frames, such
+// as the chunks of a WebCodecs VideoEncoder (see video.js). Each frame keeps
+// the timestamp it is given, so the video plays at the intended rate however
+// long the frames took to make. Clusters start at key frames; a seek head
+// and cues let players seek.
+
+const TIMECODE_SCALE = 1_000_000 // ns per timecode: timecodes are in ms
+const MAX_CLUSTER_MS = 30_000 // block timecodes are int16 offsets from their cluster's
+
+// Element IDs (with their length marker bits, as written)
+const ID = {
+  EBML: 0x1a45dfa3,
+  EBMLVersion: 0x4286,
+  EBMLReadVersion: 0x42f7,
+  EBMLMaxIDLength: 0x42f2,
+  EBMLMaxSizeLength: 0x42f3,
+  DocType: 0x4282,
+  DocTypeVersion: 0x4287,
+  DocTypeReadVersion: 0x4285,
+  Segment: 0x18538067,
+  SeekHead: 0x114d9b74,
+  Seek: 0x4dbb,
+  SeekID: 0x53ab,
+  SeekPosition: 0x53ac,
+  Info: 0x1549a966,
+  TimecodeScale: 0x2ad7b1,
+  Duration: 0x4489,
+  MuxingApp: 0x4d80,
+  WritingApp: 0x5741,
+  Tracks: 0x1654ae6b,
+  TrackEntry: 0xae,
+  TrackNumber: 0xd7,
+  TrackUID: 0x73c5,
+  FlagLacing: 0x9c,
+  CodecID: 0x86,
+  TrackType: 0x83,
+  DefaultDuration: 0x23e383,
+  Video: 0xe0,
+  PixelWidth: 0xb0,
+  PixelHeight: 0xba,
+  Cluster: 0x1f43b675,
+  Timecode: 0xe7,
+  SimpleBlock: 0xa3,
+  Cues: 0x1c53bb6b,
+  CuePoint: 0xbb,
+  CueTime: 0xb3,
+  CueTrackPositions: 0xb7,
+  CueTrack: 0xf7,
+  CueClusterPosition: 0xf1,
+}
+
+// Big-endian bytes of a non-negative integer, in `length` bytes or as few
+// as it needs
+function uintBytes(value, length = 0) {
+  const bytes = []
+  for (let v = value; v > 0 || bytes.length < Math.max(1, length); v = Math.floor(v / 256)) bytes.unshift(v % 256)
+  return bytes
+}
+
+const idBytes = (id) => uintBytes(id)
+
+// Element data size as a variable-length integer
+function sizeBytes(size) {
+  let length = 1
+  while (size >= 2 ** (7 * length) - 1) length++
+  const bytes = uintBytes(size, length)
+  bytes[0] |= 0x80 >> (length - 1)
+  return bytes
+}
+
+function concat(parts) {
+  const out = new Uint8Array(parts.reduce((n, p) => n + p.length, 0))
+  let at = 0
+  for (const p of parts) {
+    out.set(p, at)
+    at += p.length
+  }
+  return out
+}
+
+// An element with raw content (bytes or child elements)
+function element(id, ...content) {
+  const data = concat(content.map(c => (c instanceof Uint8Array ? c : Uint8Array.from(c))))
+  return concat([Uint8Array.from([...idBytes(id), ...sizeBytes(data.length)]), data])
+}
+
+const uint = (id, value, length) => element(id, uintBytes(value, length))
+const text = (id, value) => element(id, new TextEncoder().encode(value))
+
+function float(id, value) {
+  const bytes = new Uint8Array(8)
+  new DataView(bytes.buffer).setFloat64(0, value)
+  return element(id, bytes)
+}
+
+// Muxer of a width × height video track of `codec` ('V_VP9' or 'V_VP8')
+// with frames of `frameDuration` µs. addFrame(data, timestamp, key) takes
+// each encoded frame in order with its timestamp in µs; finish() returns
+// the file's bytes.
+export function createWebmMuxer({ width, height, codec = 'V_VP9', frameDuration = 0 }) {
+  const clusters = [] // { time (ms), key (starts with a key frame), blocks }
+  let end = 0
+
+  return {
+    addFrame(data, timestamp, key) {
+      const time = Math.round(timestamp / 1000)
+      let cluster = clusters.at(-1)
+      if (!cluster || key || time - cluster.time > MAX_CLUSTER_MS) {
+        cluster = { time, key, blocks: [] }
+        clusters.push(cluster)
+      }
+      // Track 1, the time from the cluster's (int16), then the flags
+      const offset = time - cluster.time
+      const header = [0x81, (offset >> 8) & 0xff, offset & 0xff, key ? 0x80 : 0]
+      cluster.blocks.push(element(ID.SimpleBlock, header, data))
+      end = Math.max(end, (timestamp + frameDuration) / 1000)
+    },
+    finish() {
+      const info = element(ID.Info,
+        uint(ID.TimecodeScale, TIMECODE_SCALE),
+        float(ID.Duration, end),
+        text(ID.MuxingApp, 'fxART'),
+        text(ID.WritingApp, 'fxART'))
+      const tracks = element(ID.Tracks, element(ID.TrackEntry,
+        uint(ID.TrackNumber, 1),
+        uint(ID.TrackUID, 1),
+        uint(ID.FlagLacing, 0),
+        text(ID.CodecID, codec),
+        uint(ID.TrackType, 1), // video
+        ...(frameDuration ? [uint(ID.DefaultDuration, Math.round(frameDuration * 1000))] : []),
+        element(ID.Video, uint(ID.PixelWidth, width), uint(ID.PixelHeight, height))))
+      const clusterBytes = clusters.map(c => element(ID.Cluster, uint(ID.Timecode, c.time), ...c.blocks))
+
+      // Positions are from the start of the segment's data; the seek head's
+      // are written in 8 bytes so its size doesn't depend on them
+      const seekHead = (positions) => element(ID.SeekHead, ...positions.map(([id, position]) =>
+        element(ID.Seek, element(ID.SeekID, idBytes(id)), uint(ID.SeekPosition, position, 8))))
+      const seeks = [ID.Info, ID.Tracks, ...(clusters.some(c => c.key) ? [ID.Cues] : [])]
+      const headSize = seekHead(seeks.map(id => [id, 0])).length
+      let position = headSize + info.length + tracks.length
+      const cuePoints = []
+      clusters.forEach((c, k) => {
+        if (c.key) {
+          cuePoints.push(element(ID.CuePoint, uint(ID.CueTime, c.time),
+            element(ID.CueTrackPositions, uint(ID.CueTrack, 1), uint(ID.CueClusterPosition, position))))
+        }
+        position += clusterBytes[k].length
+      })
+      const cues = cuePoints.length ? element(ID.Cues, ...cuePoints) : new Uint8Array(0)
+      const positions = { [ID.Info]: headSize, [ID.Tracks]: headSize + info.length, [ID.Cues]: position }
+      const head = seekHead(seeks.map(id => [id, positions[id]]))
+
+      const ebml = element(ID.EBML,
+        uint(ID.EBMLVersion, 1),
+        uint(ID.EBMLReadVersion, 1),
+        uint(ID.EBMLMaxIDLength, 4),
+        uint(ID.EBMLMaxSizeLength, 8),
+        text(ID.DocType, 'webm'),
+        uint(ID.DocTypeVersion, 2),
+        uint(ID.DocTypeReadVersion, 2))
+      return concat([ebml, element(ID.Segment, head, info, tracks, ...clusterBytes, cues)])
+    },
+  }
+}
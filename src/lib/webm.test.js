@@ -0,0 +1,75 @@
+import { describe, it, expect } from 'vitest'
+import { createWebmMuxer } from './webm.js'
+
+// Read a variable-length integer at `at`: [value, length], keeping the
+// length marker for IDs
+function vint(bytes, at, keepMarker) {
+  let length = 1
+  while (!(bytes[at] & (0x80 >> (length - 1)))) length++
+  let value = keepMarker ? bytes[at] : bytes[at] & (0xff >> length)
+  for (let k = 1; k < length; k++) value = value * 256 + bytes[at + k]
+  return [value, length]
+}
+
+// Elements of bytes[start, end) as { id, start, data: [from, to) }
+function elements(bytes, start = 0, end = bytes.length) {
+  const out = []
+  for (let at = start; at < end;) {
+    const [id, idLength] = vint(bytes, at, true)
+    const [size, sizeLength] = vint(bytes, at + idLength, false)
+    const from = at + idLength + sizeLength
+    out.push({ id, start: at, from, to: from + size })
+    at = from + size
+  }
+  return out
+}
+
+const child = (bytes, parent, id) => elements(bytes, parent.from, parent.to).find(e => e.id === id)
+const uintOf = (bytes, e) => bytes.subarray(e.from, e.to).reduce((v, b) => v * 256 + b, 0)
+
+function muxed(frames, options = {}) {
+  const muxer = createWebmMuxer({ width: 32, height: 16, codec: 'V_VP8', frameDuration: 40_000, ...options })
+  for (const [timestamp, key] of frames) muxer.addFrame(Uint8Array.of(1, 2, 3), timestamp, key)
+  return muxer.finish()
+}
+
+describe('createWebmMuxer', () => {
+  it('writes an EBML header and one segment spanning the rest of the file', () => {
+    const bytes = muxed([[0, true], [40_000, false]])
+    const [header, segment, ...rest] = elements(bytes)
+    expect(header.id).toBe(0x1a45dfa3)
+    expect(new TextDecoder().decode(bytes.subarray(child(bytes, header, 0x4282).from, child(bytes, header, 0x4282).to))).toBe('webm')
+    expect(segment.id).toBe(0x18538067)
+    expect(segment.to).toBe(bytes.length)
+    expect(rest).toEqual([])
+  })
+
+  it('keeps each frame at its timestamp, starting clusters at key frames', () => {
+    const bytes = muxed([[0, true], [40_000, false], [80_000, true], [120_000, false]])
+    const segment = elements(bytes)[1]
+    const clusters = elements(bytes, segment.from, segment.to).filter(e => e.id === 0x1f43b675)
+    expect(clusters).toHaveLength(2)
+    const times = clusters.flatMap(c => {
+      const base = uintOf(bytes, child(bytes, c, 0xe7))
+      return elements(bytes, c.from, c.to).filter(e => e.id === 0xa3).map(b => {
+        expect(bytes[b.from]).toBe(0x81) // track 1
+        return base + ((bytes[b.from + 1] << 8) | bytes[b.from + 2])
+      })
+    })
+    expect(times).toEqual([0, 40, 80, 120])
+  })
+
+  it('records the duration and points the seek head at its elements', () => {
+    const bytes = muxed([[0, true], [40_000, false]])
+    const segment = elements(bytes)[1]
+    const info = child(bytes, segment, 0x1549a966)
+    const duration = child(bytes, info, 0x4489)
+    expect(new DataView(bytes.buffer, duration.from, 8).getFloat64(0)).toBe(80)
+    const seekHead = child(bytes, segment, 0x114d9b74)
+    for (const seek of elements(bytes, seekHead.from, seekHead.to)) {
+      const id = uintOf(bytes, child(bytes, seek, 0x53ab))
+      const position = uintOf(bytes, child(bytes, seek, 0x53ac))
+      expect(vint(bytes, segment.from + position, true)[0]).toBe(id)
+    }
+  })
+})